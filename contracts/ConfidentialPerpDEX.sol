@@ -53,6 +53,9 @@ contract ConfidentialPerpDEX {
         liquidationThreshold = TFHE.asEuint64(500);
         fundingRate = TFHE.asEuint64(10);
         encryptedOraclePrice = TFHE.asEuint64(50000 * 100);
+        TFHE.allow(liquidationThreshold, address(this));
+        TFHE.allow(fundingRate, address(this));
+        TFHE.allow(encryptedOraclePrice, address(this));
     }
 
     modifier onlyAdmin() {
@@ -60,8 +63,15 @@ contract ConfidentialPerpDEX {
         _;
     }
 
-    function deposit(bytes memory encryptedAmount) external {
-        euint64 amount = TFHE.asEuint64(encryptedAmount);
+    /// @dev Stored ciphertexts must be allowed for this contract to use them in
+    ///      later transactions, and for their owner to re-encrypt them
+    function _allow(euint64 value, address owner) internal {
+        TFHE.allow(value, address(this));
+        TFHE.allow(value, owner);
+    }
+
+    function deposit(einput encryptedAmount, bytes calldata inputProof) external {
+        euint64 amount = TFHE.asEuint64(encryptedAmount, inputProof);
 
         euint64 currentBalance = encryptedBalances[msg.sender];
         if (TFHE.isInitialized(currentBalance)) {
@@ -69,6 +79,7 @@ contract ConfidentialPerpDEX {
         } else {
             encryptedBalances[msg.sender] = amount;
         }
+        _allow(encryptedBalances[msg.sender], msg.sender);
 
         emit BalanceDeposited(msg.sender, 0);
     }
@@ -78,27 +89,32 @@ contract ConfidentialPerpDEX {
     }
 
     function openPosition(
-        bytes memory encSize,
+        einput encSize,
         uint8 leverage,
         bool isLong,
-        bytes memory encStopLoss,
-        bytes memory encTakeProfit
+        einput encStopLoss,
+        einput encTakeProfit,
+        bytes calldata inputProof
     ) external returns (bytes32 positionId) {
-        euint64 size = TFHE.asEuint64(encSize);
-        euint64 stopLoss = TFHE.asEuint64(encStopLoss);
-        euint64 takeProfit = TFHE.asEuint64(encTakeProfit);
+        euint64 size = TFHE.asEuint64(encSize, inputProof);
+        euint64 stopLoss = TFHE.asEuint64(encStopLoss, inputProof);
+        euint64 takeProfit = TFHE.asEuint64(encTakeProfit, inputProof);
+        // A copy of the oracle price, so the trader can re-encrypt their entry
+        // price without being allowed the global oracle handle
+        euint64 entryPrice = TFHE.add(encryptedOraclePrice, uint64(0));
 
         euint64 positionValue = TFHE.mul(size, encryptedOraclePrice);
         euint64 requiredCollateral = TFHE.div(positionValue, uint64(leverage));
 
         euint64 userBalance = encryptedBalances[msg.sender];
         encryptedBalances[msg.sender] = TFHE.sub(userBalance, requiredCollateral);
+        _allow(encryptedBalances[msg.sender], msg.sender);
 
         positionId = keccak256(abi.encodePacked(msg.sender, block.timestamp, size));
 
         positions[msg.sender][positionId] = EncryptedPosition({
             size: size,
-            entryPrice: encryptedOraclePrice,
+            entryPrice: entryPrice,
             collateral: requiredCollateral,
             leverage: leverage,
             isLong: isLong,
@@ -108,6 +124,12 @@ contract ConfidentialPerpDEX {
             takeProfit: takeProfit
         });
 
+        _allow(size, msg.sender);
+        _allow(entryPrice, msg.sender);
+        _allow(requiredCollateral, msg.sender);
+        _allow(stopLoss, msg.sender);
+        _allow(takeProfit, msg.sender);
+
         userPositionIds[msg.sender].push(positionId);
 
         emit PositionOpened(msg.sender, positionId, isLong);
@@ -120,6 +142,7 @@ contract ConfidentialPerpDEX {
         euint64 pnl = calculatePnL(msg.sender, positionId);
         euint64 returnAmount = TFHE.add(pos.collateral, pnl);
         encryptedBalances[msg.sender] = TFHE.add(encryptedBalances[msg.sender], returnAmount);
+        _allow(encryptedBalances[msg.sender], msg.sender);
 
         pos.isOpen = false;
 
@@ -132,14 +155,17 @@ contract ConfidentialPerpDEX {
     /// @param encTakeProfit Encrypted take profit price (0 to disable)
     function updateStopLossTakeProfit(
         bytes32 positionId,
-        bytes memory encStopLoss,
-        bytes memory encTakeProfit
+        einput encStopLoss,
+        einput encTakeProfit,
+        bytes calldata inputProof
     ) external {
         EncryptedPosition storage pos = positions[msg.sender][positionId];
         require(pos.isOpen, "Position not open");
 
-        pos.stopLoss = TFHE.asEuint64(encStopLoss);
-        pos.takeProfit = TFHE.asEuint64(encTakeProfit);
+        pos.stopLoss = TFHE.asEuint64(encStopLoss, inputProof);
+        pos.takeProfit = TFHE.asEuint64(encTakeProfit, inputProof);
+        _allow(pos.stopLoss, msg.sender);
+        _allow(pos.takeProfit, msg.sender);
 
         emit StopLossTakeProfitUpdated(msg.sender, positionId);
     }
@@ -149,9 +175,10 @@ contract ConfidentialPerpDEX {
     /// @param positionId The position ID
     /// @return slTriggered Whether stop loss is triggered
     /// @return tpTriggered Whether take profit is triggered
+    /// @dev Not `view`: TFHE operations are transactions in fhevm 0.5. Results of an
+    ///      eth_call are neither stored nor allowed, so they cannot be re-encrypted.
     function checkStopLossTakeProfit(address trader, bytes32 positionId)
         public
-        view
         returns (ebool slTriggered, ebool tpTriggered)
     {
         EncryptedPosition storage pos = positions[trader][positionId];
@@ -195,6 +222,7 @@ contract ConfidentialPerpDEX {
         euint64 pnl = calculatePnL(trader, positionId);
         euint64 returnAmount = TFHE.add(pos.collateral, pnl);
         encryptedBalances[trader] = TFHE.add(encryptedBalances[trader], returnAmount);
+        _allow(encryptedBalances[trader], trader);
 
         pos.isOpen = false;
 
@@ -203,7 +231,8 @@ contract ConfidentialPerpDEX {
         emit PositionClosed(trader, positionId);
     }
 
-    function calculatePnL(address trader, bytes32 positionId) public view returns (euint64) {
+    /// @dev Not `view`, like checkStopLossTakeProfit
+    function calculatePnL(address trader, bytes32 positionId) public returns (euint64) {
         EncryptedPosition storage pos = positions[trader][positionId];
         require(pos.isOpen, "Position not open");
 
@@ -219,7 +248,6 @@ contract ConfidentialPerpDEX {
 
     function checkLiquidation(address trader, bytes32 positionId)
         public
-        view
         returns (ebool)
     {
         EncryptedPosition storage pos = positions[trader][positionId];
@@ -246,17 +274,21 @@ contract ConfidentialPerpDEX {
 
         euint64 liquidationReward = TFHE.div(pos.collateral, 10);
         encryptedBalances[msg.sender] = TFHE.add(encryptedBalances[msg.sender], liquidationReward);
+        _allow(encryptedBalances[msg.sender], msg.sender);
 
         emit LiquidationTriggered(trader, positionId);
     }
 
     function placeOrder(
-        bytes memory encPrice,
-        bytes memory encSize,
-        bool isLong
+        einput encPrice,
+        einput encSize,
+        bool isLong,
+        bytes calldata inputProof
     ) external returns (uint256 orderId) {
-        euint64 price = TFHE.asEuint64(encPrice);
-        euint64 size = TFHE.asEuint64(encSize);
+        euint64 price = TFHE.asEuint64(encPrice, inputProof);
+        euint64 size = TFHE.asEuint64(encSize, inputProof);
+        _allow(price, msg.sender);
+        _allow(size, msg.sender);
 
         orderBook.push(EncryptedOrder({
             price: price,
@@ -300,11 +332,12 @@ contract ConfidentialPerpDEX {
         }
     }
 
-    function updateOraclePrice(bytes memory encNewPrice)
+    function updateOraclePrice(einput encNewPrice, bytes calldata inputProof)
         external
         onlyAdmin
     {
-        encryptedOraclePrice = TFHE.asEuint64(encNewPrice);
+        encryptedOraclePrice = TFHE.asEuint64(encNewPrice, inputProof);
+        TFHE.allow(encryptedOraclePrice, address(this));
 
         emit PriceUpdated(block.timestamp);
     }
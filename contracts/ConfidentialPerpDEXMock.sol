@@ -17,6 +17,8 @@ contract ConfidentialPerpDEXMock {
         bool isLong;
         uint256 timestamp;
         bool isOpen;
+        uint256 stopLoss;       // Mock encrypted stop loss price (0 = not set)
+        uint256 takeProfit;     // Mock encrypted take profit price (0 = not set)
     }
 
     struct Order {
@@ -41,6 +43,9 @@ contract ConfidentialPerpDEXMock {
 
     event PositionOpened(address indexed trader, bytes32 indexed positionId, bool isLong);
     event PositionClosed(address indexed trader, bytes32 indexed positionId);
+    event StopLossTriggered(address indexed trader, bytes32 indexed positionId);
+    event TakeProfitTriggered(address indexed trader, bytes32 indexed positionId);
+    event StopLossTakeProfitUpdated(address indexed trader, bytes32 indexed positionId);
     event OrderPlaced(address indexed trader, uint256 indexed orderId, bool isLong);
     event OrderMatched(uint256 indexed orderId1, uint256 indexed orderId2);
     event LiquidationTriggered(address indexed trader, bytes32 indexed positionId);
@@ -61,9 +66,10 @@ contract ConfidentialPerpDEXMock {
 
     /**
      * @notice Deposit funds (mock encrypted)
-     * @dev In real FHE version, amount would be encrypted bytes
+     * @dev In real FHE version, amount would be an encrypted input handle.
+     *      Here handles are the plaintext values and the proof is ignored.
      */
-    function deposit(bytes memory encryptedAmount) external {
+    function deposit(bytes32 encryptedAmount, bytes calldata /* inputProof */) external {
         // Mock: decode the "encrypted" amount (in real version this would be FHE decryption)
         uint256 amount = _mockDecrypt(encryptedAmount);
 
@@ -83,9 +89,12 @@ contract ConfidentialPerpDEXMock {
      * @notice Open a leveraged position
      */
     function openPosition(
-        bytes memory encSize,
+        bytes32 encSize,
         uint8 leverage,
-        bool isLong
+        bool isLong,
+        bytes32 encStopLoss,
+        bytes32 encTakeProfit,
+        bytes calldata /* inputProof */
     ) external returns (bytes32 positionId) {
         uint256 size = _mockDecrypt(encSize);
 
@@ -105,7 +114,9 @@ contract ConfidentialPerpDEXMock {
             leverage: leverage,
             isLong: isLong,
             timestamp: block.timestamp,
-            isOpen: true
+            isOpen: true,
+            stopLoss: _mockDecrypt(encStopLoss),
+            takeProfit: _mockDecrypt(encTakeProfit)
         });
 
         userPositionIds[msg.sender].push(positionId);
@@ -129,6 +140,69 @@ contract ConfidentialPerpDEXMock {
         emit PositionClosed(msg.sender, positionId);
     }
 
+    /**
+     * @notice Update stop loss and take profit for an existing position (0 to disable)
+     */
+    function updateStopLossTakeProfit(
+        bytes32 positionId,
+        bytes32 encStopLoss,
+        bytes32 encTakeProfit,
+        bytes calldata /* inputProof */
+    ) external {
+        Position storage pos = positions[msg.sender][positionId];
+        require(pos.isOpen, "Position not open");
+
+        pos.stopLoss = _mockDecrypt(encStopLoss);
+        pos.takeProfit = _mockDecrypt(encTakeProfit);
+
+        emit StopLossTakeProfitUpdated(msg.sender, positionId);
+    }
+
+    /**
+     * @notice Check if stop loss or take profit is triggered for a position
+     * @dev Unlike the FHE version, unset (0) triggers never fire
+     */
+    function checkStopLossTakeProfit(address trader, bytes32 positionId)
+        public
+        view
+        returns (bool slTriggered, bool tpTriggered)
+    {
+        Position storage pos = positions[trader][positionId];
+        require(pos.isOpen, "Position not open");
+
+        if (pos.isLong) {
+            slTriggered = pos.stopLoss != 0 && oraclePrice < pos.stopLoss;
+            tpTriggered = pos.takeProfit != 0 && oraclePrice > pos.takeProfit;
+        } else {
+            slTriggered = pos.stopLoss != 0 && oraclePrice > pos.stopLoss;
+            tpTriggered = pos.takeProfit != 0 && oraclePrice < pos.takeProfit;
+        }
+    }
+
+    /**
+     * @notice Execute stop loss or take profit closure (can be called by anyone/bot)
+     */
+    function executeStopLossTakeProfit(address trader, bytes32 positionId) external {
+        Position storage pos = positions[trader][positionId];
+        require(pos.isOpen, "Position not open");
+
+        // In mock version, we can actually check this
+        (bool slTriggered, bool tpTriggered) = checkStopLossTakeProfit(trader, positionId);
+        require(slTriggered || tpTriggered, "Stop loss / take profit not triggered");
+
+        uint256 pnl = calculatePnL(trader, positionId);
+        balances[trader] += pos.collateral + pnl;
+
+        pos.isOpen = false;
+
+        if (slTriggered) {
+            emit StopLossTriggered(trader, positionId);
+        } else {
+            emit TakeProfitTriggered(trader, positionId);
+        }
+        emit PositionClosed(trader, positionId);
+    }
+
     /**
      * @notice Calculate PnL for a position
      */
@@ -198,9 +272,10 @@ contract ConfidentialPerpDEXMock {
      * @notice Place a limit order
      */
     function placeOrder(
-        bytes memory encPrice,
-        bytes memory encSize,
-        bool isLong
+        bytes32 encPrice,
+        bytes32 encSize,
+        bool isLong,
+        bytes calldata /* inputProof */
     ) external returns (uint256 orderId) {
         uint256 price = _mockDecrypt(encPrice);
         uint256 size = _mockDecrypt(encSize);
@@ -255,7 +330,7 @@ contract ConfidentialPerpDEXMock {
     /**
      * @notice Update oracle price (admin only)
      */
-    function updateOraclePrice(bytes memory encNewPrice)
+    function updateOraclePrice(bytes32 encNewPrice, bytes calldata /* inputProof */)
         external
         onlyAdmin
     {
@@ -289,26 +364,17 @@ contract ConfidentialPerpDEXMock {
      * @dev Mock decryption function
      * @notice In real FHE version, this would use TFHE.asEuint64()
      */
-    function _mockDecrypt(bytes memory data) internal pure returns (uint256) {
-        // Simple mock: convert bytes to uint256
+    function _mockDecrypt(bytes32 handle) internal pure returns (uint256) {
+        // Simple mock: the handle is the value
         // In production this would be actual FHE decryption
-        if (data.length == 0) return 0;
-        if (data.length < 32) {
-            // Pad the data
-            bytes memory padded = new bytes(32);
-            for (uint i = 0; i < data.length; i++) {
-                padded[32 - data.length + i] = data[i];
-            }
-            return uint256(bytes32(padded));
-        }
-        return uint256(bytes32(data));
+        return uint256(handle);
     }
 
     /**
      * @notice Helper to encode values for testing
      * @dev Frontend would use this to "encrypt" values
      */
-    function mockEncrypt(uint256 value) external pure returns (bytes memory) {
-        return abi.encodePacked(value);
+    function mockEncrypt(uint256 value) external pure returns (bytes32) {
+        return bytes32(value);
     }
 }
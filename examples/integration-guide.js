@@ -1,5 +1,5 @@
 import { ethers } from "ethers";
-import { ConfidentialPerpDEXSDK } from "../src/perp-dex-sdk.js";
+import { ConfidentialPerpDEXSDK, Price, Size, Collateral, createLoggerFromEnv } from "../src/perp-dex-sdk.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -22,11 +22,12 @@ async function main() {
   console.log("👤 Address:", await signer.getAddress());
   console.log("💰 Balance:", ethers.formatEther(await provider.getBalance(signer.address)), "ETH\n");
 
-  // Step 2: Initialize SDK
+  // Step 2: Initialize SDK (LOG_LEVEL / LOG_FORMAT control the SDK's own output)
   const dex = new ConfidentialPerpDEXSDK(
     process.env.CONTRACT_ADDRESS,
     provider,
-    signer
+    signer,
+    { logger: createLoggerFromEnv() }
   );
 
   await dex.initialize();
@@ -35,16 +36,16 @@ async function main() {
   // Step 3: Deposit collateral (encrypted)
   console.log("📌 STEP 1: Deposit Collateral");
   console.log("─".repeat(50));
-  await dex.deposit(1000000); // Deposit 10,000.00 (assuming 2 decimals)
+  await dex.deposit(Collateral.parse("10000")); // 10,000.00 USDC
   console.log("");
 
   // Step 4: Open a long position
   console.log("📌 STEP 2: Open Long Position");
   console.log("─".repeat(50));
   const { positionId } = await dex.openPosition(
-    100,    // size: 1.00 BTC
-    5,      // leverage: 5x
-    true    // isLong: true
+    Size.parse("1"),  // size: 1.0000 BTC
+    5,                // leverage: 5x
+    true              // isLong: true
   );
   console.log("");
 
@@ -52,9 +53,9 @@ async function main() {
   console.log("📌 STEP 3: Place Limit Order");
   console.log("─".repeat(50));
   await dex.placeOrder(
-    5100000, // price: 51,000.00
-    50,      // size: 0.50 BTC
-    false    // isLong: false (sell order)
+    Price.parse("51000"), // price: 51,000.00
+    Size.parse("0.5"),    // size: 0.5000 BTC
+    false                 // isLong: false (sell order)
   );
   console.log("");
 
@@ -83,6 +84,19 @@ async function main() {
   await dex.closePosition(positionId);
   console.log("");
 
+  // Step 9: Rebuild trade history from past events
+  console.log("📌 STEP 7: Trade History");
+  console.log("─".repeat(50));
+  const history = await dex.getPositionHistory();
+  history.forEach(({ positionId, isLong, status, events }) => {
+    console.log(`  ${positionId.slice(0, 10)}… ${isLong ? "LONG" : "SHORT"} ${status} (${events.length} events)`);
+  });
+  const orders = await dex.getOrderHistory();
+  orders.forEach(({ orderId, status, matches }) => {
+    console.log(`  Order #${orderId}: ${status}${matches.length ? ` with #${matches[0].orderId}` : ""}`);
+  });
+  console.log("");
+
   // Cleanup
   dex.unsubscribeFromEvents();
   console.log("✅ Integration guide completed!");
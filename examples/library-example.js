@@ -1,5 +1,5 @@
 import { ethers } from "ethers";
-import { ConfidentialPerpDEXSDK } from "../src/perp-dex-sdk.js";
+import { ConfidentialPerpDEXSDK, Price, Size, Collateral, createLogger, createLoggerFromEnv } from "../src/perp-dex-sdk.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -8,28 +8,30 @@ dotenv.config();
  * Library Usage Example
  *
  * Demonstrates how to integrate the SDK into your application
- * with error handling and best practices.
+ * with error handling and best practices. Pass your application's logger
+ * so SDK output ends up in your logs instead of on stdout.
  */
 
 class TradingBot {
-  constructor(contractAddress, rpcUrl, privateKey) {
+  constructor(contractAddress, rpcUrl, privateKey, { logger = createLogger() } = {}) {
+    this.logger = logger;
     this.provider = new ethers.JsonRpcProvider(rpcUrl);
     this.signer = new ethers.Wallet(privateKey, this.provider);
-    this.dex = new ConfidentialPerpDEXSDK(contractAddress, this.provider, this.signer);
+    this.dex = new ConfidentialPerpDEXSDK(contractAddress, this.provider, this.signer, { logger });
     this.positions = new Map();
   }
 
   async initialize() {
     try {
       await this.dex.initialize();
-      console.log("✅ Trading bot initialized");
+      this.logger.info("✅ Trading bot initialized");
 
       // Setup event listeners
       this.dex.subscribeToEvents((eventName, data) => {
         this.handleEvent(eventName, data);
       });
     } catch (error) {
-      console.error("❌ Initialization failed:", error.message);
+      this.logger.error("❌ Initialization failed", { error });
       throw error;
     }
   }
@@ -37,7 +39,7 @@ class TradingBot {
   handleEvent(eventName, data) {
     switch (eventName) {
       case "PositionOpened":
-        console.log(`📈 New position opened by ${data.trader}`);
+        this.logger.info("📈 New position opened", { trader: data.trader, positionId: data.positionId });
         this.positions.set(data.positionId, {
           trader: data.trader,
           isLong: data.isLong,
@@ -46,66 +48,58 @@ class TradingBot {
         break;
 
       case "PositionClosed":
-        console.log(`📉 Position closed: ${data.positionId}`);
+        this.logger.info("📉 Position closed", { positionId: data.positionId });
         this.positions.delete(data.positionId);
         break;
 
       case "LiquidationTriggered":
-        console.log(`⚠️ Liquidation: ${data.trader} - ${data.positionId}`);
+        this.logger.info("⚠️ Liquidation", { trader: data.trader, positionId: data.positionId });
         this.positions.delete(data.positionId);
         break;
 
       case "OrderPlaced":
-        console.log(`📝 Order placed: ${data.orderId} by ${data.trader}`);
+        this.logger.info("📝 Order placed", { orderId: data.orderId, trader: data.trader });
         break;
 
       default:
-        console.log(`🔔 Unknown event: ${eventName}`);
+        this.logger.debug("🔔 Other event", { event: eventName, txHash: data.transactionHash });
     }
   }
 
   async openLongPosition(size, leverage) {
     try {
-      console.log(`\n🎯 Opening LONG position: ${size} @ ${leverage}x leverage`);
       const result = await this.dex.openPosition(size, leverage, true);
-      console.log(`✅ Position ID: ${result.positionId}`);
       return result.positionId;
     } catch (error) {
-      console.error("❌ Failed to open position:", error.message);
+      this.logger.error("❌ Failed to open position", { error });
       throw error;
     }
   }
 
   async openShortPosition(size, leverage) {
     try {
-      console.log(`\n🎯 Opening SHORT position: ${size} @ ${leverage}x leverage`);
       const result = await this.dex.openPosition(size, leverage, false);
-      console.log(`✅ Position ID: ${result.positionId}`);
       return result.positionId;
     } catch (error) {
-      console.error("❌ Failed to open position:", error.message);
+      this.logger.error("❌ Failed to open position", { error });
       throw error;
     }
   }
 
   async closePositionById(positionId) {
     try {
-      console.log(`\n🔒 Closing position: ${positionId}`);
       await this.dex.closePosition(positionId);
-      console.log("✅ Position closed successfully");
     } catch (error) {
-      console.error("❌ Failed to close position:", error.message);
+      this.logger.error("❌ Failed to close position", { positionId, error });
       throw error;
     }
   }
 
   async depositFunds(amount) {
     try {
-      console.log(`\n💰 Depositing ${amount}...`);
       await this.dex.deposit(amount);
-      console.log("✅ Deposit successful");
     } catch (error) {
-      console.error("❌ Deposit failed:", error.message);
+      this.logger.error("❌ Deposit failed", { error });
       throw error;
     }
   }
@@ -114,41 +108,41 @@ class TradingBot {
     try {
       const address = await this.signer.getAddress();
       const positions = await this.dex.getUserPositions(address);
-      console.log(`\n📊 Active positions: ${positions.length}`);
+      this.logger.info("📊 Active positions", { count: positions.length });
       return positions;
     } catch (error) {
-      console.error("❌ Failed to fetch positions:", error.message);
+      this.logger.error("❌ Failed to fetch positions", { error });
       throw error;
     }
   }
 
   async placeLimitOrder(price, size, isBuy) {
     try {
-      console.log(`\n📝 Placing ${isBuy ? 'BUY' : 'SELL'} limit order`);
       const result = await this.dex.placeOrder(price, size, isBuy);
-      console.log(`✅ Order ID: ${result.orderId}`);
       return result.orderId;
     } catch (error) {
-      console.error("❌ Failed to place order:", error.message);
+      this.logger.error("❌ Failed to place order", { error });
       throw error;
     }
   }
 
   shutdown() {
     this.dex.unsubscribeFromEvents();
-    console.log("\n👋 Trading bot shutdown");
+    this.logger.info("👋 Trading bot shutdown");
   }
 }
 
 // Example usage
+// LOG_LEVEL=debug|info|warn|error|silent, LOG_FORMAT=pretty|json
 async function runExample() {
-  console.log("🤖 Trading Bot Example\n");
-  console.log("=".repeat(60));
+  const logger = createLoggerFromEnv();
+  logger.info("🤖 Trading Bot Example");
 
   const bot = new TradingBot(
     process.env.CONTRACT_ADDRESS,
     process.env.RPC_URL,
-    process.env.PRIVATE_KEY
+    process.env.PRIVATE_KEY,
+    { logger }
   );
 
   try {
@@ -156,25 +150,25 @@ async function runExample() {
     await bot.initialize();
 
     // Deposit collateral
-    await bot.depositFunds(5000000); // 50,000.00
+    await bot.depositFunds(Collateral.parse("50000"));
 
     // Open positions
-    const longPositionId = await bot.openLongPosition(100, 10); // 1.00 BTC @ 10x
+    const longPositionId = await bot.openLongPosition(Size.parse("1"), 10); // 1 BTC @ 10x
     await new Promise(r => setTimeout(r, 2000));
 
-    const shortPositionId = await bot.openShortPosition(50, 5); // 0.50 BTC @ 5x
+    const shortPositionId = await bot.openShortPosition(Size.parse("0.5"), 5); // 0.5 BTC @ 5x
     await new Promise(r => setTimeout(r, 2000));
 
     // Place limit orders
-    await bot.placeLimitOrder(5200000, 25, true);  // Buy order
-    await bot.placeLimitOrder(4800000, 25, false); // Sell order
+    await bot.placeLimitOrder(Price.parse("52000"), Size.parse("0.25"), true);  // Buy order
+    await bot.placeLimitOrder(Price.parse("48000"), Size.parse("0.25"), false); // Sell order
     await new Promise(r => setTimeout(r, 2000));
 
     // View positions
     await bot.getMyPositions();
 
     // Wait for events
-    console.log("\n⏳ Monitoring for 20 seconds...");
+    logger.info("⏳ Monitoring for 20 seconds...");
     await new Promise(r => setTimeout(r, 20000));
 
     // Close positions
@@ -183,9 +177,9 @@ async function runExample() {
 
     await bot.closePositionById(shortPositionId);
 
-    console.log("\n✅ Example completed successfully!");
+    logger.info("✅ Example completed successfully!");
   } catch (error) {
-    console.error("\n❌ Example failed:", error);
+    logger.error("❌ Example failed", { error });
   } finally {
     bot.shutdown();
   }
@@ -0,0 +1,111 @@
+// Account activity: the user's contract events as one chronological feed.
+//
+// Entries are built from ethers event objects, whether backfilled with
+// queryFilter or received live, and keyed by transaction hash and log index so
+// an event seen both ways is only listed once.
+
+// Events in the feed. `alert` ones also raise a toast and, when enabled, a
+// browser notification.
+export const ACTIVITY_TYPES = {
+    BalanceDeposited: { icon: '💰', label: 'Deposit' },
+    PositionOpened: { icon: '📈', label: 'Position opened' },
+    StopLossTakeProfitUpdated: { icon: '🛡️', label: 'SL/TP updated' },
+    PositionClosed: { icon: '✅', label: 'Position closed' },
+    StopLossTriggered: { icon: '🛑', label: 'Stop loss triggered', alert: true },
+    TakeProfitTriggered: { icon: '🎯', label: 'Take profit triggered', alert: true },
+    LiquidationTriggered: { icon: '💥', label: 'Position liquidated', alert: true },
+    OrderPlaced: { icon: '📝', label: 'Order placed' },
+    OrderMatched: { icon: '🤝', label: 'Order matched' }
+};
+
+const CSV_COLUMNS = ['time', 'event', 'description', 'details', 'block', 'transaction'];
+
+function shortId(id) {
+    return `${id.substring(0, 10)}...`;
+}
+
+function describe(event) {
+    const { args } = event;
+    switch (event.event) {
+        case 'BalanceDeposited':
+            return 'Amount encrypted';
+        case 'PositionOpened':
+            return `${args.isLong ? 'LONG' : 'SHORT'} · Position ${shortId(args.positionId)}`;
+        case 'OrderPlaced':
+            return `${args.isLong ? 'BUY' : 'SELL'} · Order #${args.orderId}`;
+        case 'OrderMatched':
+            return `Orders #${args.orderId1} and #${args.orderId2}`;
+        default:
+            return `Position ${shortId(args.positionId)}`;
+    }
+}
+
+/**
+ * Turn an ethers event into a feed entry.
+ * @param {object} event - ethers v5 Event (event, args, blockNumber, logIndex, transactionHash)
+ * @param {number|null} timestamp - Block time in ms, when known
+ */
+export function activityFromEvent(event, timestamp = null) {
+    const type = ACTIVITY_TYPES[event.event];
+    return {
+        key: `${event.transactionHash}:${event.logIndex}`,
+        event: event.event,
+        icon: type.icon,
+        label: type.label,
+        alert: type.alert === true,
+        details: describe(event),
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash,
+        timestamp
+    };
+}
+
+/** Link to a transaction on the network's block explorer, or null without one. */
+export function explorerTxUrl(explorerUrl, transactionHash) {
+    return explorerUrl ? `${explorerUrl.replace(/\/+$/, '')}/tx/${transactionHash}` : null;
+}
+
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class ActivityFeed {
+    constructor() {
+        this.entries = []; // newest first
+        this.keys = new Set();
+    }
+
+    /**
+     * Add entries not already in the feed.
+     * @returns {Array} the entries that were new
+     */
+    add(entries) {
+        const added = entries.filter(entry => !this.keys.has(entry.key));
+        if (added.length === 0) return added;
+
+        added.forEach(entry => this.keys.add(entry.key));
+        this.entries.push(...added);
+        this.entries.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+        return added;
+    }
+
+    clear() {
+        this.entries = [];
+        this.keys.clear();
+    }
+
+    /** The whole feed as CSV, oldest first. */
+    toCsv() {
+        const rows = this.entries.slice().reverse().map(entry => [
+            entry.timestamp == null ? '' : new Date(entry.timestamp).toISOString(),
+            entry.event,
+            entry.label,
+            entry.details,
+            entry.blockNumber,
+            entry.transactionHash
+        ]);
+        return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+    }
+}
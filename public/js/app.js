@@ -1,37 +1,107 @@
 // Confidential Perp DEX Frontend Application
 import { ethers } from 'https://cdn.ethers.io/lib/ethers-5.7.esm.min.js';
+import { Price, Size, Collateral, notional, requiredCollateral, liquidationPrice } from './units.js';
+import { ENCRYPTION_MODES, createEncryptor } from './encryption.js';
+import { DEFAULT_PRICE_SOURCE, PriceFeed, fetchPublicPrice } from './price-feed.js';
+import { ACTIVITY_TYPES, ActivityFeed, activityFromEvent, explorerTxUrl } from './activity.js';
 
 // Contract ABI (simplified version - include only necessary functions)
 const CONTRACT_ABI = [
-    "function deposit(bytes memory encryptedAmount) external",
+    "function deposit(bytes32 encryptedAmount, bytes calldata inputProof) external",
     "function getBalance() external view returns (uint256)",
-    "function openPosition(bytes memory encSize, uint8 leverage, bool isLong, bytes memory encStopLoss, bytes memory encTakeProfit) external returns (bytes32)",
+    "function openPosition(bytes32 encSize, uint8 leverage, bool isLong, bytes32 encStopLoss, bytes32 encTakeProfit, bytes calldata inputProof) external returns (bytes32)",
     "function closePosition(bytes32 positionId) external",
-    "function updateStopLossTakeProfit(bytes32 positionId, bytes memory encStopLoss, bytes memory encTakeProfit) external",
-    "function placeOrder(bytes memory encPrice, bytes memory encSize, bool isLong) external returns (uint256)",
+    "function updateStopLossTakeProfit(bytes32 positionId, bytes32 encStopLoss, bytes32 encTakeProfit, bytes calldata inputProof) external",
+    "function placeOrder(bytes32 encPrice, bytes32 encSize, bool isLong, bytes calldata inputProof) external returns (uint256)",
     "function getUserPositions(address user) external view returns (bytes32[])",
+    "function positions(address trader, bytes32 positionId) external view returns (uint256 size, uint256 entryPrice, uint256 collateral, uint8 leverage, bool isLong, uint256 timestamp, bool isOpen, uint256 stopLoss, uint256 takeProfit)",
+    "function calculatePnL(address trader, bytes32 positionId) external returns (uint256)",
+    "function liquidationThreshold() external view returns (uint256)",
     "function getOrderBookSize() external view returns (uint256)",
+    "function orderBook(uint256 index) external view returns (uint256 price, uint256 size, address trader, bool isLong, bool isFilled, uint256 timestamp)",
     "event PositionOpened(address indexed trader, bytes32 indexed positionId, bool isLong)",
     "event PositionClosed(address indexed trader, bytes32 indexed positionId)",
     "event StopLossTriggered(address indexed trader, bytes32 indexed positionId)",
     "event TakeProfitTriggered(address indexed trader, bytes32 indexed positionId)",
     "event StopLossTakeProfitUpdated(address indexed trader, bytes32 indexed positionId)",
+    "function getOraclePrice() external view returns (uint256)",
+    "event PriceUpdated(uint256 timestamp)",
     "event OrderPlaced(address indexed trader, uint256 indexed orderId, bool isLong)",
+    "event OrderMatched(uint256 indexed orderId1, uint256 indexed orderId2)",
+    "event LiquidationTriggered(address indexed trader, bytes32 indexed positionId)",
     "event BalanceDeposited(address indexed user, uint256 amount)"
 ];
 
+// RPC and gateway per network, for fhevmjs (the wallet's own RPC is not reachable from here),
+// and the block explorer that activity links to
+const NETWORKS = {
+    zama: {
+        name: 'Zama Devnet',
+        chainId: 9000,
+        rpcUrl: 'https://devnet.zama.ai',
+        gatewayUrl: 'https://gateway.devnet.zama.ai',
+        explorerUrl: 'https://explorer.devnet.zama.ai'
+    },
+    localhost: { name: 'Localhost', chainId: 31337, rpcUrl: 'http://localhost:8545' }
+};
+
+const ORDERS_PER_PAGE = 10;
+
+// Order book reads in flight at once
+const ORDER_FETCH_CONCURRENCY = 20;
+
+// How far back to look for past events: the oracle's last PriceUpdated, how positions closed, activity
+const EVENT_LOOKBACK_BLOCKS = 10000;
+
+// Events that close a position, and how the history labels them
+const CLOSE_EVENTS = {
+    PositionClosed: 'Closed',
+    LiquidationTriggered: 'Liquidated',
+    StopLossTriggered: 'Stop loss',
+    TakeProfitTriggered: 'Take profit'
+};
+
+const ENCRYPTION_MODE_LABELS = {
+    auto: '🔐 Auto',
+    fhevm: '🔐 FHE',
+    mock: '🧪 Mock'
+};
+
 class ConfidentialPerpDEXApp {
     constructor() {
         this.provider = null;
         this.signer = null;
         this.contract = null;
-        this.fhevmInstance = null;
+        this.encryptor = null;
         this.userAddress = null;
         this.contractAddress = null;
+        this.network = null;
+
+        // 'auto' picks mock for ConfidentialPerpDEXMock and FHE otherwise
+        this.encryptionMode = null;
+        this.contractFlavor = null;
+
+        // Reference price: the mock contract's oracle when fresh, else the public source
+        this.priceSource = null;
+        this.priceFeed = null;
+        this.lastOracleUpdate = null;
+
+        // Re-encryption keypairs, keyed by contract and user address
+        this.reencryptionKeys = new Map();
 
         // State
-        this.positions = [];
-        this.orders = [];
+        this.positions = [];           // positions(user, id) for every ID, open and closed
+        this.decryptedPositions = new Map();
+        this.closeReasons = new Map(); // position ID -> label from CLOSE_EVENTS
+        this.ownTriggerUpdates = new Set(); // hashes of SL/TP updates sent from this tab
+        this.liquidationThresholdBps = null;
+        this.orders = [];              // orderBook entries, indexed by order ID
+        this.orderPage = 0;            // 0 = newest orders
+        this.decryptedOrders = new Map();
+        this.syncingOrders = null;
+        this.activity = new ActivityFeed();
+        this.blockTimes = new Map();   // block number -> Promise<ms>
+        this.notificationsEnabled = localStorage.getItem('activity_notifications') === 'true';
 
         this.init();
     }
@@ -39,6 +109,11 @@ class ConfidentialPerpDEXApp {
     async init() {
         // Load contract address from environment or use default
         this.contractAddress = this.loadContractAddress();
+        this.network = this.loadNetwork();
+        this.encryptionMode = this.loadEncryptionMode();
+        this.priceSource = this.loadPriceSource();
+        this.updateEncryptionUI();
+        this.startPriceFeed();
 
         // Setup UI event listeners
         this.setupEventListeners();
@@ -55,11 +130,29 @@ class ConfidentialPerpDEXApp {
         return localStorage.getItem('contract_address') || '0x0000000000000000000000000000000000000000';
     }
 
+    loadNetwork() {
+        const saved = JSON.parse(localStorage.getItem('network') || 'null');
+        if (saved?.id === 'custom') return saved;
+        return { id: saved?.id || 'zama', ...NETWORKS[saved?.id || 'zama'] };
+    }
+
+    loadPriceSource() {
+        return JSON.parse(localStorage.getItem('price_source') || 'null') || DEFAULT_PRICE_SOURCE;
+    }
+
+    loadEncryptionMode() {
+        const mode = localStorage.getItem('encryption_mode');
+        return ENCRYPTION_MODES.includes(mode) ? mode : 'auto';
+    }
+
     setupEventListeners() {
         // Wallet connection
         document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
         document.getElementById('disconnectWallet')?.addEventListener('click', () => this.disconnectWallet());
 
+        // Encryption mode
+        document.getElementById('encryptionMode').addEventListener('change', (e) => this.setEncryptionMode(e.target.value));
+
         // Configuration modal
         document.getElementById('configureContract').addEventListener('click', () => this.openConfigModal());
         document.getElementById('closeModal').addEventListener('click', () => this.closeConfigModal());
@@ -67,6 +160,15 @@ class ConfidentialPerpDEXApp {
         document.getElementById('testConnection').addEventListener('click', () => this.testConnection());
         document.getElementById('networkSelect').addEventListener('change', (e) => this.toggleCustomNetwork(e));
 
+        // Stop loss / take profit modal
+        document.getElementById('closeSltpModal').addEventListener('click', () => this.closeStopLossTakeProfitDialog());
+        document.getElementById('cancelSltp').addEventListener('click', () => this.closeStopLossTakeProfitDialog());
+        document.getElementById('sltpForm').addEventListener('submit', (e) => this.handleStopLossTakeProfit(e));
+        document.getElementById('sltpForm').addEventListener('click', (e) => {
+            const field = e.target.closest('[data-clear]')?.dataset.clear;
+            if (field) document.getElementById(field).value = '0';
+        });
+
         // Forms
         document.getElementById('depositForm').addEventListener('submit', (e) => this.handleDeposit(e));
         document.getElementById('tradeForm').addEventListener('submit', (e) => this.handleTrade(e));
@@ -108,6 +210,30 @@ class ConfidentialPerpDEXApp {
         // Refresh buttons
         document.getElementById('refreshPositions').addEventListener('click', () => this.loadPositions());
         document.getElementById('refreshOrders').addEventListener('click', () => this.loadOrders());
+        document.getElementById('refreshActivity').addEventListener('click', () => this.loadActivity());
+
+        // Activity export and notifications
+        document.getElementById('exportActivity').addEventListener('click', () => this.exportActivity());
+        document.getElementById('activityNotifications').checked = this.notificationsEnabled;
+        document.getElementById('activityNotifications').addEventListener('change', (e) => this.setNotifications(e.target.checked));
+        document.getElementById('toasts').addEventListener('click', (e) => e.target.closest('.toast')?.remove());
+
+        // Order book pages and decrypt buttons (rendered dynamically)
+        document.getElementById('ordersPagination').addEventListener('click', (e) => {
+            const page = e.target.closest('[data-page]')?.dataset.page;
+            if (page != null) this.showOrderPage(Number(page));
+        });
+        document.getElementById('positionsTab').addEventListener('click', (e) => {
+            const decryptId = e.target.closest('[data-decrypt-position]')?.dataset.decryptPosition;
+            if (decryptId) this.decryptPosition(decryptId);
+
+            const editId = e.target.closest('[data-edit-sltp]')?.dataset.editSltp;
+            if (editId) this.openStopLossTakeProfitDialog(editId);
+        });
+        document.getElementById('ordersList').addEventListener('click', (e) => {
+            const orderId = e.target.closest('[data-decrypt-order]')?.dataset.decryptOrder;
+            if (orderId != null) this.decryptOrder(Number(orderId));
+        });
     }
 
     setupTabs() {
@@ -185,8 +311,12 @@ class ConfidentialPerpDEXApp {
             // Update UI
             this.updateWalletUI(true);
 
-            // Initialize FHEVM (mock - actual implementation would use fhevmjs)
-            await this.initializeFHEVM();
+            // fhevmjs, or the mock encoding
+            await this.initializeEncryption();
+
+            // The oracle becomes a price source once connected
+            await this.loadLastOracleUpdate();
+            this.startPriceFeed();
 
             // Load user data
             await this.loadUserData();
@@ -204,35 +334,181 @@ class ConfidentialPerpDEXApp {
         }
     }
 
-    async initializeFHEVM() {
-        // Mock FHEVM initialization
-        // In production, this would use the actual fhevmjs library
+    async initializeEncryption() {
         this.showLoading('Initializing FHE encryption...');
+        this.encryptor = null;
+        this.reencryptionKeys.clear();
+        this.updateEncryptionUI();
+
+        const { encryptor, flavor } = await createEncryptor(this.encryptionMode, {
+            provider: this.provider,
+            contractAddress: this.contractAddress,
+            fhevm: { networkUrl: this.network.rpcUrl, gatewayUrl: this.network.gatewayUrl }
+        });
+        this.encryptor = encryptor;
+        this.contractFlavor = flavor;
+        this.updateEncryptionUI();
+
+        if (encryptor.kind === 'mock') {
+            console.warn('⚠️ Mock encryption: amounts are sent and stored in plaintext');
+        } else {
+            console.log('✅ FHE encryption initialized (fhevmjs)');
+        }
+    }
+
+    async setEncryptionMode(mode) {
+        this.encryptionMode = mode;
+        localStorage.setItem('encryption_mode', mode);
+
+        if (!this.contract) {
+            this.updateEncryptionUI();
+            return;
+        }
+
+        try {
+            await this.initializeEncryption();
+            this.hideLoading();
+        } catch (error) {
+            console.error('Encryption error:', error);
+            this.hideLoading();
+            alert('Failed to initialize encryption: ' + error.message);
+        }
+    }
+
+    updateEncryptionUI() {
+        const status = document.getElementById('encryptionStatus');
+        const label = document.getElementById('encryptionLabel');
+        document.getElementById('encryptionMode').value = this.encryptionMode;
+
+        status.classList.remove('fhe', 'mock', 'mismatch');
+        status.title = '';
+
+        // Before connecting, show the selected mode
+        if (!this.encryptor) {
+            label.textContent = ENCRYPTION_MODE_LABELS[this.encryptionMode];
+            return;
+        }
+
+        if (this.encryptor.kind === 'mock') {
+            status.classList.add('mock');
+            status.title = 'Mock mode: values are sent in plaintext and are public on chain';
+            label.textContent = `🧪 ${this.encryptor.label}`;
+        } else {
+            status.classList.add('fhe');
+            label.textContent = `🔐 ${this.encryptor.label}`;
+        }
+
+        // A forced mode the contract cannot read: its transactions will revert
+        const expected = this.contractFlavor === 'mock' ? 'mock' : 'fhevm';
+        if (this.encryptor.kind !== expected) {
+            status.classList.add('mismatch');
+            status.title = `The contract expects ${expected === 'mock' ? 'mock' : 'FHE'} inputs; transactions will fail`;
+        }
+    }
+
+    /**
+     * Encrypt 64-bit values as one input: a handle per value, and one proof
+     * passed once as the call's last argument.
+     */
+    encryptValues(...values) {
+        return this.encryptor.encryptInput(
+            values.map(value => ({ type: 'u64', value })),
+            this.contractAddress,
+            this.userAddress
+        );
+    }
 
-        // Simulating initialization delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        this.fhevmInstance = {
-            // Mock encryption function
-            encrypt64: async (value) => {
-                // In production, this would actually encrypt the value
-                // For now, we'll just convert it to bytes
-                const scaled = Math.floor(value * 100); // Scale to 2 decimals
-                const hex = scaled.toString(16).padStart(16, '0');
-                return ethers.utils.hexlify('0x' + hex);
+    startPriceFeed() {
+        this.priceFeed?.stop();
+
+        // The FHE oracle price is only allowed for the contract, so it never decrypts
+        const sources = [];
+        if (this.contract && this.contractFlavor === 'mock') {
+            sources.push({ name: 'oracle', read: () => this.readOraclePrice() });
+        }
+        if (this.priceSource.url) {
+            sources.push({ name: 'public', read: () => fetchPublicPrice(this.priceSource) });
+        }
+
+        this.priceFeed = new PriceFeed({
+            sources,
+            staleAfterMs: this.priceSource.staleAfterMs,
+            onChange: () => {
+                this.updatePriceUI();
+                this.updatePositionSummary();
+                this.updateRiskReward();
             }
-        };
+        });
+        this.priceFeed.start();
+    }
+
+    /** The mock contract's oracle price, stored in plaintext. */
+    async readOraclePrice() {
+        const price = await this.contract.getOraclePrice();
+        return { price: new Price(price.toString()), updatedAt: this.lastOracleUpdate };
+    }
+
+    async loadLastOracleUpdate() {
+        try {
+            const latest = await this.provider.getBlockNumber();
+            const events = await this.contract.queryFilter(
+                this.contract.filters.PriceUpdated(),
+                Math.max(0, latest - EVENT_LOOKBACK_BLOCKS),
+                latest
+            );
+            const last = events[events.length - 1];
+            this.lastOracleUpdate = last ? last.args.timestamp.toNumber() * 1000 : null;
+        } catch (error) {
+            console.error('Error loading oracle updates:', error);
+        }
+    }
 
-        console.log('✅ FHE encryption initialized (mock mode)');
+    /** The trade ticket's reference price, or null until one is known. */
+    get currentPrice() {
+        return this.priceFeed?.price || null;
+    }
+
+    updatePriceUI() {
+        const status = document.getElementById('priceStatus');
+        const { price, source, ageMs, isStale, error } = this.priceFeed;
+
+        status.classList.toggle('live', price != null && !isStale);
+        status.classList.toggle('stale', price != null && isStale);
+        document.getElementById('priceValue').textContent = price ? `BTC $${this.formatUsd(price)}` : 'BTC --';
+
+        let age = '';
+        if (price) {
+            age = ageMs == null ? `${source}, age unknown` : `${source}, ${this.formatAge(ageMs)} ago`;
+        }
+        document.getElementById('priceAge').textContent = age;
+        status.title = error ? `Last refresh failed: ${error}` : isStale ? 'Price may be out of date' : '';
+        if (this.contract && this.contractFlavor !== 'mock' && !this.priceSource.url) {
+            status.title = 'The FHE oracle price is not readable: set a price source under ⚙️ Configure';
+        }
+    }
+
+    formatAge(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+        return `${Math.round(seconds / 3600)}h`;
     }
 
     disconnectWallet() {
+        this.contract?.removeAllListeners();
         this.provider = null;
         this.signer = null;
         this.contract = null;
-        this.fhevmInstance = null;
+        this.encryptor = null;
         this.userAddress = null;
+        this.reencryptionKeys.clear();
+        this.activity.clear();
+        this.renderActivity();
+        this.lastOracleUpdate = null;
+        this.oracleUnreadable = false;
         this.updateWalletUI(false);
+        this.updateEncryptionUI();
+        this.startPriceFeed();
     }
 
     updateWalletUI(connected) {
@@ -249,7 +525,7 @@ class ConfidentialPerpDEXApp {
             const shortAddress = this.userAddress.substring(0, 6) + '...' + this.userAddress.substring(38);
             document.getElementById('walletAddress').textContent = shortAddress;
 
-            networkName.textContent = 'Zama Devnet';
+            networkName.textContent = this.network.name;
         } else {
             connectBtn.classList.remove('hidden');
             walletInfo.classList.add('hidden');
@@ -262,12 +538,14 @@ class ConfidentialPerpDEXApp {
         await this.loadBalance();
         await this.loadPositions();
         await this.loadOrders();
+        // After the order book, which tells which matches are ours
+        await this.loadActivity();
     }
 
     async loadBalance() {
         try {
-            const encryptedBalance = await this.contract.getBalance();
-            // Display encrypted balance (can't actually decrypt in this demo)
+            await this.contract.getBalance();
+            // Decrypting needs a re-encryption signature, so wait for "Decrypt & View" (decryptBalance)
             document.getElementById('encryptedBalance').textContent = '🔒 Encrypted';
         } catch (error) {
             console.error('Error loading balance:', error);
@@ -275,18 +553,73 @@ class ConfidentialPerpDEXApp {
     }
 
     async decryptBalance() {
-        // In production, this would decrypt the balance using FHE
-        // For demo purposes, we'll show a placeholder
-        alert('In production, this would decrypt your balance using your private key.\n\nBalance decryption requires:\n- FHE decryption key\n- Oracle service for decryption\n- Zero-knowledge proof verification');
+        if (!this.contract || !this.encryptor) {
+            alert('Please connect your wallet first');
+            return;
+        }
+
+        try {
+            this.showLoading('Decrypting balance...');
+
+            const handle = await this.contract.getBalance();
+            const balance = new Collateral(await this.userDecrypt(handle));
+
+            document.getElementById('encryptedBalance').textContent = `${this.formatUsd(balance)} USDC`;
+
+            this.hideLoading();
+        } catch (error) {
+            console.error('Decryption error:', error);
+            this.hideLoading();
+            alert('Failed to decrypt balance: ' + error.message);
+        }
+    }
+
+    reencryptionKeyId() {
+        return `${this.contractAddress.toLowerCase()}:${this.userAddress.toLowerCase()}`;
+    }
+
+    async getReencryptionKeypair() {
+        const cacheKey = this.reencryptionKeyId();
+        if (this.reencryptionKeys.has(cacheKey)) {
+            return this.reencryptionKeys.get(cacheKey);
+        }
+
+        // Authorize a fresh keypair once per contract and account
+        const { publicKey, privateKey } = this.encryptor.generateKeypair();
+        const eip712 = this.encryptor.createEIP712(publicKey, this.contractAddress);
+        const signature = await this.signer._signTypedData(
+            eip712.domain,
+            { Reencrypt: eip712.types.Reencrypt },
+            eip712.message
+        );
+
+        const keypair = { publicKey, privateKey, signature: signature.replace('0x', '') };
+        this.reencryptionKeys.set(cacheKey, keypair);
+        return keypair;
+    }
+
+    async userDecrypt(handle) {
+        const value = BigInt(handle.toString());
+        if (value === 0n) return 0n;
+
+        const { publicKey, privateKey, signature } = await this.getReencryptionKeypair();
+        return this.encryptor.reencrypt(
+            value,
+            privateKey,
+            publicKey,
+            signature,
+            this.contractAddress,
+            this.userAddress
+        );
     }
 
     async handleDeposit(e) {
         e.preventDefault();
 
         try {
-            const amount = parseFloat(document.getElementById('depositAmount').value);
+            const amount = this.readAmount('depositAmount', Collateral);
 
-            if (!amount || amount <= 0) {
+            if (!amount || amount.raw === 0n) {
                 alert('Please enter a valid amount');
                 return;
             }
@@ -295,20 +628,20 @@ class ConfidentialPerpDEXApp {
             this.showStatus('depositStatus', '🔒 Encrypting your deposit amount...', '');
 
             // Encrypt the amount
-            const encryptedAmount = await this.fhevmInstance.encrypt64(amount);
+            const { handles: [encryptedAmount], inputProof } = await this.encryptValues(amount.raw);
 
             this.showLoading('Sending transaction...');
             this.showStatus('depositStatus', '📤 Sending transaction to blockchain...', '');
 
             // Send deposit transaction
-            const tx = await this.contract.deposit(encryptedAmount);
+            const tx = await this.contract.deposit(encryptedAmount, inputProof);
 
             this.showStatus('depositStatus', '⏳ Waiting for confirmation...', '');
 
             await tx.wait();
 
             this.hideLoading();
-            this.showStatus('depositStatus', `✅ Successfully deposited ${amount} USDC (encrypted)`, 'success');
+            this.showStatus('depositStatus', `✅ Successfully deposited ${this.formatUsd(amount)} USDC (encrypted)`, 'success');
 
             // Reset form
             document.getElementById('depositForm').reset();
@@ -327,48 +660,31 @@ class ConfidentialPerpDEXApp {
         e.preventDefault();
 
         try {
-            const size = parseFloat(document.getElementById('positionSize').value);
+            const size = this.readAmount('positionSize', Size);
             const leverage = parseInt(document.getElementById('leverage').value);
             const isLong = document.getElementById('positionType').value === 'true';
-            const stopLoss = parseFloat(document.getElementById('stopLoss').value) || 0;
-            const takeProfit = parseFloat(document.getElementById('takeProfit').value) || 0;
+            const stopLoss = this.readAmount('stopLoss', Price) || new Price(0);
+            const takeProfit = this.readAmount('takeProfit', Price) || new Price(0);
 
-            if (!size || size <= 0) {
+            if (!size || size.raw === 0n) {
                 alert('Please enter a valid position size');
                 return;
             }
 
-            // Validate stop loss and take profit logic
-            const mockPrice = 50000;
-            if (stopLoss > 0) {
-                if (isLong && stopLoss >= mockPrice) {
-                    alert('Stop loss for LONG position must be below current price');
-                    return;
-                }
-                if (!isLong && stopLoss <= mockPrice) {
-                    alert('Stop loss for SHORT position must be above current price');
-                    return;
-                }
-            }
-
-            if (takeProfit > 0) {
-                if (isLong && takeProfit <= mockPrice) {
-                    alert('Take profit for LONG position must be above current price');
-                    return;
-                }
-                if (!isLong && takeProfit >= mockPrice) {
-                    alert('Take profit for SHORT position must be below current price');
-                    return;
-                }
+            // Validate stop loss and take profit against the current price
+            const invalid = this.validateStopLossTakeProfit(stopLoss, takeProfit, isLong);
+            if (invalid) {
+                alert(invalid);
+                return;
             }
+            if (!this.confirmTriggerPrice(stopLoss, takeProfit)) return;
 
             this.showLoading('Encrypting position data...');
             this.showStatus('tradeStatus', '🔒 Encrypting position size, stop loss, and take profit...', '');
 
             // Encrypt the position size, stop loss, and take profit
-            const encryptedSize = await this.fhevmInstance.encrypt64(size);
-            const encryptedStopLoss = await this.fhevmInstance.encrypt64(stopLoss);
-            const encryptedTakeProfit = await this.fhevmInstance.encrypt64(takeProfit);
+            const { handles: [encryptedSize, encryptedStopLoss, encryptedTakeProfit], inputProof } =
+                await this.encryptValues(size.raw, stopLoss.raw, takeProfit.raw);
 
             this.showLoading('Opening position...');
             this.showStatus('tradeStatus', `📤 Opening ${isLong ? 'LONG' : 'SHORT'} position with risk management...`, '');
@@ -379,7 +695,8 @@ class ConfidentialPerpDEXApp {
                 leverage,
                 isLong,
                 encryptedStopLoss,
-                encryptedTakeProfit
+                encryptedTakeProfit,
+                inputProof
             );
 
             this.showStatus('tradeStatus', '⏳ Waiting for confirmation...', '');
@@ -393,7 +710,7 @@ class ConfidentialPerpDEXApp {
             this.hideLoading();
 
             let successMessage = `✅ Position opened successfully!\nPosition ID: ${positionId.substring(0, 10)}...`;
-            if (stopLoss > 0 || takeProfit > 0) {
+            if (stopLoss.raw > 0n || takeProfit.raw > 0n) {
                 successMessage += '\n🛡️ Risk management active';
             }
 
@@ -413,15 +730,62 @@ class ConfidentialPerpDEXApp {
         }
     }
 
+    /**
+     * Check SL/TP against the current price for the position's direction.
+     * Zero means "not set" and is always valid.
+     * @returns {string|null} what is wrong, or null
+     */
+    validateStopLossTakeProfit(stopLoss, takeProfit, isLong) {
+        const price = this.currentPrice;
+        if ((stopLoss.raw > 0n || takeProfit.raw > 0n) && !price) {
+            return 'The current price is not known yet, so stop loss and take profit cannot be checked. Please try again shortly.';
+        }
+
+        if (stopLoss.raw > 0n) {
+            if (isLong && stopLoss.raw >= price.raw) {
+                return 'Stop loss for LONG position must be below current price';
+            }
+            if (!isLong && stopLoss.raw <= price.raw) {
+                return 'Stop loss for SHORT position must be above current price';
+            }
+        }
+
+        if (takeProfit.raw > 0n) {
+            if (isLong && takeProfit.raw <= price.raw) {
+                return 'Take profit for LONG position must be above current price';
+            }
+            if (!isLong && takeProfit.raw >= price.raw) {
+                return 'Take profit for SHORT position must be below current price';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * SL/TP were checked against a stale price: ask before sending them.
+     * @returns {boolean} whether to go ahead
+     */
+    confirmTriggerPrice(stopLoss, takeProfit) {
+        const { price, source, ageMs, isStale } = this.priceFeed;
+        if (!isStale || (stopLoss.raw === 0n && takeProfit.raw === 0n)) return true;
+
+        const age = ageMs == null ? 'of unknown age' : `${this.formatAge(ageMs)} old`;
+        return confirm(
+            `Stop loss and take profit were checked against a ${source} price of $${this.formatUsd(price)} ` +
+            `that is ${age} and may be out of date. Send them anyway?`
+        );
+    }
+
     async handleOrder(e) {
         e.preventDefault();
 
         try {
-            const price = parseFloat(document.getElementById('orderPrice').value);
-            const size = parseFloat(document.getElementById('orderSize').value);
+            const price = this.readAmount('orderPrice', Price);
+            const size = this.readAmount('orderSize', Size);
             const isBuy = document.getElementById('orderType').value === 'true';
 
-            if (!price || price <= 0 || !size || size <= 0) {
+            if (!price || price.raw === 0n || !size || size.raw === 0n) {
                 alert('Please enter valid price and size');
                 return;
             }
@@ -430,14 +794,13 @@ class ConfidentialPerpDEXApp {
             this.showStatus('orderStatus', '🔒 Encrypting order price and size...', '');
 
             // Encrypt price and size
-            const encryptedPrice = await this.fhevmInstance.encrypt64(price);
-            const encryptedSize = await this.fhevmInstance.encrypt64(size);
+            const { handles: [encryptedPrice, encryptedSize], inputProof } = await this.encryptValues(price.raw, size.raw);
 
             this.showLoading('Placing order...');
             this.showStatus('orderStatus', `📤 Placing ${isBuy ? 'BUY' : 'SELL'} order...`, '');
 
             // Place order
-            const tx = await this.contract.placeOrder(encryptedPrice, encryptedSize, isBuy);
+            const tx = await this.contract.placeOrder(encryptedPrice, encryptedSize, isBuy, inputProof);
 
             this.showStatus('orderStatus', '⏳ Waiting for confirmation...', '');
 
@@ -456,8 +819,8 @@ class ConfidentialPerpDEXApp {
             // Reset form
             document.getElementById('orderForm').reset();
 
-            // Reload orders
-            await this.loadOrders();
+            // Pick up the new order
+            await this.syncOrders();
 
         } catch (error) {
             console.error('Order error:', error);
@@ -471,63 +834,294 @@ class ConfidentialPerpDEXApp {
 
         try {
             const positionIds = await this.contract.getUserPositions(this.userAddress);
+            this.positions = await Promise.all(positionIds.map(async id => {
+                const position = await this.contract.positions(this.userAddress, id);
+                return {
+                    id,
+                    leverage: position.leverage,
+                    isLong: position.isLong,
+                    isOpen: position.isOpen,
+                    openedAt: position.timestamp.toNumber() * 1000,
+                    // Encrypted handles, decrypted on demand
+                    handles: {
+                        size: position.size,
+                        entryPrice: position.entryPrice,
+                        collateral: position.collateral,
+                        stopLoss: position.stopLoss,
+                        takeProfit: position.takeProfit
+                    }
+                };
+            }));
+
+            if (this.positions.some(position => !position.isOpen && !this.closeReasons.has(position.id))) {
+                await this.loadCloseReasons();
+            }
+
+            this.renderPositions();
+        } catch (error) {
+            console.error('Error loading positions:', error);
+        }
+    }
 
-            const positionsList = document.getElementById('positionsList');
+    /** Label closed positions with the event that closed them, where it is recent enough to find. */
+    async loadCloseReasons() {
+        try {
+            const latest = await this.provider.getBlockNumber();
+            const fromBlock = Math.max(0, latest - EVENT_LOOKBACK_BLOCKS);
 
-            if (positionIds.length === 0) {
-                positionsList.innerHTML = `
-                    <div class="empty-state">
-                        <div class="empty-icon">📊</div>
-                        <p>No open positions</p>
-                        <small>Open a position in the Trade tab</small>
-                    </div>
-                `;
-                return;
+            for (const [name, label] of Object.entries(CLOSE_EVENTS)) {
+                const events = await this.contract.queryFilter(this.contract.filters[name](this.userAddress), fromBlock, latest);
+                events.forEach(event => this.setCloseReason(event.args.positionId, label));
             }
+        } catch (error) {
+            console.error('Error loading position history:', error);
+        }
+    }
 
-            // Render positions
-            positionsList.innerHTML = positionIds.map((id, index) => `
-                <div class="position-item">
-                    <div class="position-header">
-                        <div>
-                            <strong>Position #${index + 1}</strong>
-                            <div class="position-badge long">LONG</div>
-                        </div>
-                        <div>
-                            <small>ID: ${id.substring(0, 10)}...</small>
-                        </div>
+    // SL/TP executions also emit PositionClosed; keep the more specific label
+    setCloseReason(positionId, label) {
+        if (label !== CLOSE_EVENTS.PositionClosed || !this.closeReasons.has(positionId)) {
+            this.closeReasons.set(positionId, label);
+        }
+    }
+
+    renderPositions() {
+        const open = this.positions.filter(position => position.isOpen);
+        const closed = this.positions.filter(position => !position.isOpen);
+
+        document.getElementById('positionsList').innerHTML = open.length === 0 ? `
+            <div class="empty-state">
+                <div class="empty-icon">📊</div>
+                <p>No open positions</p>
+                <small>Open a position in the Trade tab</small>
+            </div>
+        ` : open.map(position => this.renderPosition(position)).join('');
+
+        document.getElementById('positionHistorySection').classList.toggle('hidden', closed.length === 0);
+        document.getElementById('positionHistory').innerHTML = closed
+            .sort((a, b) => b.openedAt - a.openedAt)
+            .map(position => this.renderPosition(position))
+            .join('');
+    }
+
+    renderPosition(position) {
+        const decrypted = this.decryptedPositions.get(position.id);
+        const encrypted = '🔒 Encrypted';
+        const usd = (value) => (value ? `$${this.formatUsd(value)}` : encrypted);
+        const trigger = (value) => (!value ? encrypted : value.raw === 0n ? 'Not set' : `$${this.formatUsd(value)}`);
+
+        const details = [
+            ['Size', decrypted ? `${decrypted.size.format({ minDecimals: 0 })} BTC` : encrypted],
+            ['Entry Price', usd(decrypted?.entryPrice)],
+            ['Collateral', usd(decrypted?.collateral)],
+            ['Stop Loss / Take Profit', decrypted ? `${trigger(decrypted.stopLoss)} / ${trigger(decrypted.takeProfit)}` : encrypted]
+        ];
+        if (position.isOpen) {
+            details.push(
+                ['Unrealized PnL', !decrypted ? encrypted : decrypted.pnl ? `$${this.formatUsd(decrypted.pnl)}` : 'Unavailable'],
+                ['Est. Liquidation Price', !decrypted ? encrypted
+                    : decrypted.liquidationPrice === undefined ? 'Unavailable'
+                    : decrypted.liquidationPrice ? `$${this.formatUsd(decrypted.liquidationPrice)}` : 'None']
+            );
+        }
+
+        const status = position.isOpen ? 'Open' : this.closeReasons.get(position.id) || 'Closed';
+        const actions = [
+            decrypted ? '' : `<button class="btn btn-sm btn-outline" data-decrypt-position="${position.id}">🔓 Decrypt</button>`,
+            position.isOpen ? `<button class="btn btn-sm btn-outline" data-edit-sltp="${position.id}">🛡️ Edit SL/TP</button>` : '',
+            position.isOpen ? `<button class="btn btn-sm btn-danger" onclick="app.closePosition('${position.id}')">Close Position</button>` : ''
+        ].join('');
+
+        return `
+            <div class="position-item${position.isOpen ? '' : ' closed'}">
+                <div class="position-header">
+                    <div>
+                        <span class="position-badge ${position.isLong ? 'long' : 'short'}">${position.isLong ? 'LONG' : 'SHORT'} ${position.leverage}x</span>
+                        <span class="position-status ${position.isOpen ? 'open' : 'closed'}">${status}</span>
                     </div>
-                    <div class="position-details">
-                        <div class="position-detail">
-                            <span class="detail-label">Size</span>
-                            <span class="detail-value">🔒 Encrypted</span>
-                        </div>
-                        <div class="position-detail">
-                            <span class="detail-label">Entry Price</span>
-                            <span class="detail-value">🔒 Encrypted</span>
-                        </div>
-                        <div class="position-detail">
-                            <span class="detail-label">Collateral</span>
-                            <span class="detail-value">🔒 Encrypted</span>
-                        </div>
+                    <div class="position-meta">
+                        <small>ID: ${position.id.substring(0, 10)}...</small>
+                        <small>Opened ${new Date(position.openedAt).toLocaleString()}</small>
+                    </div>
+                </div>
+                <div class="position-details">
+                    ${details.map(([label, value]) => `
                         <div class="position-detail">
-                            <span class="detail-label">PnL</span>
-                            <span class="detail-value text-success">🔒 Encrypted</span>
+                            <span class="detail-label">${label}</span>
+                            <span class="detail-value">${value}</span>
                         </div>
-                    </div>
-                    <div class="position-actions">
-                        <button class="btn btn-sm btn-danger" onclick="app.closePosition('${id}')">
-                            Close Position
-                        </button>
-                    </div>
+                    `).join('')}
                 </div>
-            `).join('');
+                ${actions ? `<div class="position-actions">${actions}</div>` : ''}
+            </div>
+        `;
+    }
+
+    async decryptPosition(positionId) {
+        const position = this.positions.find(p => p.id === positionId);
+        if (!position) return;
+
+        try {
+            this.showLoading('Decrypting position...');
+
+            const { handles } = position;
+            const [size, entryPrice, collateral, stopLoss, takeProfit] = await Promise.all(
+                [handles.size, handles.entryPrice, handles.collateral, handles.stopLoss, handles.takeProfit]
+                    .map(handle => this.userDecrypt(handle))
+            );
+            const decrypted = {
+                size: new Size(size),
+                entryPrice: new Price(entryPrice),
+                collateral: new Collateral(collateral),
+                stopLoss: new Price(stopLoss),
+                takeProfit: new Price(takeProfit)
+            };
+
+            if (position.isOpen) {
+                decrypted.pnl = await this.decryptPnL(positionId);
+                // undefined: the threshold is unknown; null: the price cannot reach liquidation
+                const thresholdBps = await this.getLiquidationThreshold();
+                decrypted.liquidationPrice = thresholdBps == null
+                    ? undefined
+                    : liquidationPrice({ ...decrypted, isLong: position.isLong }, thresholdBps);
+            }
 
+            this.decryptedPositions.set(positionId, decrypted);
+            this.renderPositions();
+            this.hideLoading();
         } catch (error) {
-            console.error('Error loading positions:', error);
+            console.error('Decryption error:', error);
+            this.hideLoading();
+            alert('Failed to decrypt position: ' + error.message);
         }
     }
 
+    /** Open the SL/TP dialog, prefilled with the current values when they can be decrypted. */
+    async openStopLossTakeProfitDialog(positionId) {
+        const position = this.positions.find(p => p.id === positionId);
+        if (!position?.isOpen) return;
+
+        let current = this.decryptedPositions.get(positionId);
+        if (!current) {
+            try {
+                this.showLoading('Decrypting current stop loss / take profit...');
+                const [stopLoss, takeProfit] = await Promise.all(
+                    [position.handles.stopLoss, position.handles.takeProfit].map(handle => this.userDecrypt(handle))
+                );
+                current = { stopLoss: new Price(stopLoss), takeProfit: new Price(takeProfit) };
+            } catch (error) {
+                console.warn('Cannot decrypt current SL/TP:', error.message);
+            } finally {
+                this.hideLoading();
+            }
+        }
+
+        // Both values are replaced on submit, so unknown current values are left for the user to re-enter
+        const prefill = (value) => (value && value.raw > 0n ? value.format() : '');
+        document.getElementById('editStopLoss').value = prefill(current?.stopLoss);
+        document.getElementById('editTakeProfit').value = prefill(current?.takeProfit);
+        document.getElementById('sltpPosition').textContent =
+            `${position.isLong ? 'LONG' : 'SHORT'} ${position.leverage}x · ID: ${position.id.substring(0, 10)}...`;
+
+        const status = document.getElementById('sltpStatus');
+        if (current) {
+            status.classList.add('hidden');
+        } else {
+            this.showStatus('sltpStatus', '⚠️ Current values could not be decrypted. Both will be replaced by what you enter here.', 'error');
+        }
+
+        this.editingPositionId = positionId;
+        document.getElementById('sltpModal').classList.remove('hidden');
+    }
+
+    closeStopLossTakeProfitDialog() {
+        this.editingPositionId = null;
+        document.getElementById('sltpModal').classList.add('hidden');
+    }
+
+    async handleStopLossTakeProfit(e) {
+        e.preventDefault();
+
+        const positionId = this.editingPositionId;
+        const position = this.positions.find(p => p.id === positionId);
+        if (!position?.isOpen) return;
+
+        // Empty or 0 clears the trigger
+        const stopLoss = this.readAmount('editStopLoss', Price) || new Price(0);
+        const takeProfit = this.readAmount('editTakeProfit', Price) || new Price(0);
+
+        const invalid = this.validateStopLossTakeProfit(stopLoss, takeProfit, position.isLong);
+        if (invalid) {
+            alert(invalid);
+            return;
+        }
+        if (!this.confirmTriggerPrice(stopLoss, takeProfit)) return;
+
+        try {
+            this.showLoading('Encrypting stop loss and take profit...');
+            const { handles: [encryptedStopLoss, encryptedTakeProfit], inputProof } =
+                await this.encryptValues(stopLoss.raw, takeProfit.raw);
+
+            this.showLoading('Updating stop loss / take profit...');
+            const tx = await this.contract.updateStopLossTakeProfit(positionId, encryptedStopLoss, encryptedTakeProfit, inputProof);
+            this.ownTriggerUpdates.add(tx.hash);
+            await tx.wait();
+
+            // We know what we submitted, so a decrypted card stays decrypted
+            const decrypted = this.decryptedPositions.get(positionId);
+            if (decrypted) Object.assign(decrypted, { stopLoss, takeProfit });
+
+            this.hideLoading();
+            this.closeStopLossTakeProfitDialog();
+            await this.loadPositions();
+        } catch (error) {
+            console.error('Error updating SL/TP:', error);
+            this.hideLoading();
+            this.showStatus('sltpStatus', '❌ Update failed: ' + error.message, 'error');
+        }
+    }
+
+    /** Refresh a position after a StopLossTakeProfitUpdated event. */
+    onStopLossTakeProfitUpdated(positionId, transactionHash) {
+        // Updates from this tab are applied by handleStopLossTakeProfit. Anything
+        // else (another tab or device) makes the cached decrypted values out of date.
+        if (!this.ownTriggerUpdates.delete(transactionHash)) {
+            this.decryptedPositions.delete(positionId);
+        }
+        this.loadPositions();
+    }
+
+    /**
+     * Unrealized PnL, or null when it cannot be decrypted. On FHE `calculatePnL`
+     * returns a handle computed during an eth_call, which is never allowed for
+     * re-encryption, so only the mock contract's value is readable.
+     */
+    async decryptPnL(positionId) {
+        try {
+            const handle = await this.contract.callStatic.calculatePnL(this.userAddress, positionId);
+            return new Collateral(await this.userDecrypt(handle));
+        } catch (error) {
+            console.warn('Cannot decrypt PnL:', error.message);
+            return null;
+        }
+    }
+
+    /** `liquidationThreshold` in basis points, or null when it cannot be decrypted (encrypted on FHE). */
+    async getLiquidationThreshold() {
+        if (this.liquidationThresholdBps == null) {
+            const handle = await this.contract.liquidationThreshold();
+            try {
+                this.liquidationThresholdBps = this.contractFlavor === 'mock'
+                    ? handle.toNumber()
+                    : Number(await this.userDecrypt(handle));
+            } catch (error) {
+                console.warn('Cannot decrypt liquidationThreshold:', error.message);
+                return null;
+            }
+        }
+        return this.liquidationThresholdBps;
+    }
+
     async closePosition(positionId) {
         if (!confirm('Are you sure you want to close this position?')) return;
 
@@ -550,70 +1144,318 @@ class ConfidentialPerpDEXApp {
         }
     }
 
+    /** Reload the whole order book. */
     async loadOrders() {
         if (!this.contract) return;
+        await this.syncOrders({ reload: true });
+    }
+
+    /** Fetch orders added since the last sync. Syncs run one after another. */
+    syncOrders({ reload = false } = {}) {
+        this.syncingOrders = (this.syncingOrders || Promise.resolve()).then(() => {
+            if (reload) {
+                this.orders = [];
+                this.decryptedOrders.clear();
+            }
+            return this.fetchNewOrders();
+        });
+        return this.syncingOrders;
+    }
 
+    async fetchNewOrders() {
         try {
-            const orderBookSize = await this.contract.getOrderBookSize();
+            const size = (await this.contract.getOrderBookSize()).toNumber();
+
+            for (let start = this.orders.length; start < size; start += ORDER_FETCH_CONCURRENCY) {
+                const ids = [];
+                for (let id = start; id < Math.min(start + ORDER_FETCH_CONCURRENCY, size); id++) ids.push(id);
+                const orders = await Promise.all(ids.map(id => this.fetchOrder(id)));
+                orders.forEach((order, index) => { this.orders[ids[index]] = order; });
+            }
 
-            document.getElementById('totalOrders').textContent = orderBookSize.toString();
-            document.getElementById('buyOrders').textContent = '🔒';
-            document.getElementById('sellOrders').textContent = '🔒';
+            this.renderOrders();
+        } catch (error) {
+            console.error('Error loading orders:', error);
+        }
+    }
 
-            const ordersList = document.getElementById('ordersList');
+    async fetchOrder(id) {
+        const order = await this.contract.orderBook(id);
+        return {
+            id,
+            trader: order.trader,
+            isLong: order.isLong,
+            isFilled: order.isFilled,
+            timestamp: order.timestamp.toNumber() * 1000,
+            // Encrypted handles, decrypted on demand for the order's owner
+            price: order.price,
+            size: order.size
+        };
+    }
 
-            if (orderBookSize.toNumber() === 0) {
-                ordersList.innerHTML = `
-                    <div class="empty-state">
-                        <div class="empty-icon">📋</div>
-                        <p>No orders in the book</p>
-                        <small>Place an order in the Trade tab</small>
-                    </div>
-                `;
-                return;
-            }
+    onOrdersMatched(...ids) {
+        for (const id of ids) {
+            const order = this.orders[id.toNumber()];
+            if (order) order.isFilled = true;
+        }
+        this.renderOrders();
+    }
 
-            // In production, you'd fetch actual order details
-            // For now, show placeholder
+    isOwnOrder(order) {
+        return this.userAddress != null && order.trader.toLowerCase() === this.userAddress.toLowerCase();
+    }
+
+    showOrderPage(page) {
+        this.orderPage = page;
+        this.renderOrders();
+    }
+
+    renderOrders() {
+        const orders = this.orders.filter(Boolean);
+        const open = orders.filter(order => !order.isFilled);
+
+        document.getElementById('totalOrders').textContent = orders.length.toString();
+        document.getElementById('buyOrders').textContent = open.filter(order => order.isLong).length.toString();
+        document.getElementById('sellOrders').textContent = open.filter(order => !order.isLong).length.toString();
+
+        const ordersList = document.getElementById('ordersList');
+        const pagination = document.getElementById('ordersPagination');
+
+        if (orders.length === 0) {
             ordersList.innerHTML = `
-                <div class="order-item">
-                    <div class="order-info">
-                        <span class="order-type buy">BUY</span>
-                        <div>
-                            <div style="font-size: 0.875rem; color: var(--text-secondary);">
-                                Price: 🔒 Encrypted | Size: 🔒 Encrypted
-                            </div>
-                        </div>
-                    </div>
+                <div class="empty-state">
+                    <div class="empty-icon">📋</div>
+                    <p>No orders in the book</p>
+                    <small>Place an order in the Trade tab</small>
+                </div>
+            `;
+            pagination.innerHTML = '';
+            return;
+        }
+
+        // Newest first
+        const pages = Math.ceil(orders.length / ORDERS_PER_PAGE);
+        this.orderPage = Math.min(this.orderPage, pages - 1);
+        const newest = orders.slice().reverse();
+        const page = newest.slice(this.orderPage * ORDERS_PER_PAGE, (this.orderPage + 1) * ORDERS_PER_PAGE);
+
+        ordersList.innerHTML = page.map(order => this.renderOrder(order)).join('');
+
+        pagination.innerHTML = pages <= 1 ? '' : `
+            <button class="btn btn-sm btn-outline" data-page="${this.orderPage - 1}" ${this.orderPage === 0 ? 'disabled' : ''}>← Newer</button>
+            <span>Page ${this.orderPage + 1} of ${pages}</span>
+            <button class="btn btn-sm btn-outline" data-page="${this.orderPage + 1}" ${this.orderPage === pages - 1 ? 'disabled' : ''}>Older →</button>
+        `;
+    }
+
+    renderOrder(order) {
+        const own = this.isOwnOrder(order);
+        const decrypted = this.decryptedOrders.get(order.id);
+
+        let details = 'Price: 🔒 Encrypted | Size: 🔒 Encrypted';
+        if (decrypted) {
+            details = `Price: $${this.formatUsd(decrypted.price)} | Size: ${decrypted.size.format({ minDecimals: 0 })} BTC`;
+        }
+
+        const trader = own ? 'You' : `${order.trader.substring(0, 6)}...${order.trader.substring(38)}`;
+        const decryptButton = own && !decrypted
+            ? `<button class="btn btn-sm btn-outline" data-decrypt-order="${order.id}">🔓 Decrypt</button>`
+            : '';
+
+        return `
+            <div class="order-item${own ? ' own' : ''}">
+                <div class="order-info">
+                    <span class="order-type ${order.isLong ? 'buy' : 'sell'}">${order.isLong ? 'BUY' : 'SELL'}</span>
                     <div>
-                        <span style="font-size: 0.75rem; color: var(--text-secondary);">Order #1</span>
+                        <div style="font-size: 0.875rem; color: var(--text-secondary);">${details}</div>
+                        <small class="order-meta">${trader} · ${this.formatAge(Date.now() - order.timestamp)} ago</small>
                     </div>
                 </div>
-            `;
+                <div class="order-actions">
+                    ${decryptButton}
+                    <span class="order-status ${order.isFilled ? 'filled' : 'open'}">${order.isFilled ? 'Filled' : 'Open'}</span>
+                    <span style="font-size: 0.75rem; color: var(--text-secondary);">Order #${order.id}</span>
+                </div>
+            </div>
+        `;
+    }
 
+    async decryptOrder(orderId) {
+        const order = this.orders[orderId];
+        if (!order || !this.isOwnOrder(order)) return;
+
+        try {
+            this.showLoading('Decrypting order...');
+
+            const [price, size] = await Promise.all([this.userDecrypt(order.price), this.userDecrypt(order.size)]);
+            this.decryptedOrders.set(orderId, { price: new Price(price), size: new Size(size) });
+            this.renderOrders();
+
+            this.hideLoading();
         } catch (error) {
-            console.error('Error loading orders:', error);
+            console.error('Decryption error:', error);
+            this.hideLoading();
+            alert('Failed to decrypt order: ' + error.message);
+        }
+    }
+
+    /** Rebuild the activity feed from the last EVENT_LOOKBACK_BLOCKS blocks of logs. */
+    async loadActivity() {
+        if (!this.contract || !this.userAddress) return;
+
+        try {
+            const latest = await this.provider.getBlockNumber();
+            const fromBlock = Math.max(0, latest - EVENT_LOOKBACK_BLOCKS);
+
+            const events = [];
+            for (const name of Object.keys(ACTIVITY_TYPES)) {
+                // OrderMatched carries order IDs, not traders
+                const filter = name === 'OrderMatched'
+                    ? this.contract.filters.OrderMatched()
+                    : this.contract.filters[name](this.userAddress);
+                const found = await this.contract.queryFilter(filter, fromBlock, latest);
+                events.push(...(name === 'OrderMatched' ? found.filter(event => this.isOwnMatch(event)) : found));
+            }
+
+            this.activity.clear();
+            await this.recordActivity(events);
+        } catch (error) {
+            console.error('Error loading activity:', error);
         }
     }
 
+    isOwnMatch(event) {
+        return [event.args.orderId1, event.args.orderId2].some(id => {
+            const order = this.orders[id.toNumber()];
+            return order && this.isOwnOrder(order);
+        });
+    }
+
+    /** Add events to the feed; live ones that are new also raise alerts. */
+    async recordActivity(events, { live = false } = {}) {
+        const entries = await Promise.all(events.map(async event => activityFromEvent(event, await this.blockTime(event))));
+        const added = this.activity.add(entries);
+        this.renderActivity();
+
+        if (live) added.filter(entry => entry.alert).forEach(entry => this.notify(entry));
+    }
+
+    /** Block time in ms, fetched once per block; null when the block cannot be read. */
+    blockTime(event) {
+        if (!this.blockTimes.has(event.blockNumber)) {
+            this.blockTimes.set(event.blockNumber, event.getBlock()
+                .then(block => block.timestamp * 1000)
+                .catch(() => {
+                    this.blockTimes.delete(event.blockNumber);
+                    return null;
+                }));
+        }
+        return this.blockTimes.get(event.blockNumber);
+    }
+
+    renderActivity() {
+        const list = document.getElementById('activityList');
+        if (this.activity.entries.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🕒</div>
+                    <p>No activity yet</p>
+                    <small>${this.userAddress ? `Nothing in the last ${EVENT_LOOKBACK_BLOCKS.toLocaleString()} blocks` : 'Connect your wallet to load your history'}</small>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = this.activity.entries.map(entry => {
+            const when = entry.timestamp == null ? `Block ${entry.blockNumber}` : new Date(entry.timestamp).toLocaleString();
+            const url = explorerTxUrl(this.network.explorerUrl, entry.transactionHash);
+            const tx = url
+                ? `<a href="${url}" target="_blank" rel="noopener">${entry.transactionHash.substring(0, 10)}...</a>`
+                : `${entry.transactionHash.substring(0, 10)}...`;
+
+            return `
+                <div class="activity-item${entry.alert ? ' alert' : ''}">
+                    <span class="activity-icon">${entry.icon}</span>
+                    <div class="activity-body">
+                        <strong>${entry.label}</strong>
+                        <span class="activity-details">${entry.details}</span>
+                    </div>
+                    <div class="activity-meta">${when} · ${tx}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    exportActivity() {
+        if (this.activity.entries.length === 0) {
+            alert('No activity to export');
+            return;
+        }
+
+        const blob = new Blob([this.activity.toCsv()], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `activity-${this.userAddress.substring(0, 8)}.csv`;
+        link.click();
+        // The download starts asynchronously; revoking right away can cancel it
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /** In-page toast, plus a browser notification when enabled and permitted. */
+    notify(entry) {
+        this.showToast(`${entry.icon} ${entry.label}: ${entry.details}`, entry.event === 'LiquidationTriggered' ? 'error' : 'warning');
+
+        if (this.notificationsEnabled && window.Notification?.permission === 'granted') {
+            new Notification(`Confidential Perp DEX: ${entry.label}`, { body: entry.details });
+        }
+    }
+
+    async setNotifications(enabled) {
+        if (enabled) {
+            if (!window.Notification) {
+                this.showToast('This browser does not support notifications', 'error');
+                enabled = false;
+            } else if (await Notification.requestPermission() !== 'granted') {
+                this.showToast('Notifications are blocked for this site', 'error');
+                enabled = false;
+            }
+        }
+
+        this.notificationsEnabled = enabled;
+        document.getElementById('activityNotifications').checked = enabled;
+        localStorage.setItem('activity_notifications', String(enabled));
+    }
+
+    showToast(message, type = '', durationMs = 8000) {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`.trim();
+        toast.textContent = message;
+        document.getElementById('toasts').appendChild(toast);
+        setTimeout(() => toast.remove(), durationMs);
+    }
+
     updatePositionSummary() {
-        const size = parseFloat(document.getElementById('positionSize').value) || 0;
+        const size = this.readAmount('positionSize', Size) || new Size(0);
         const leverage = parseInt(document.getElementById('leverage').value) || 1;
-        const mockPrice = 50000; // Mock BTC price
+        const price = this.currentPrice;
 
-        const positionValue = size * mockPrice;
-        const requiredCollateral = positionValue / leverage;
+        if (!price) {
+            document.getElementById('positionValue').textContent = '--';
+            document.getElementById('requiredCollateral').textContent = '--';
+            return;
+        }
 
+        // Same integer math as the contract
         document.getElementById('positionValue').textContent =
-            `$${positionValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+            `$${this.formatUsd(notional(size, price))}`;
         document.getElementById('requiredCollateral').textContent =
-            `$${requiredCollateral.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+            `$${this.formatUsd(requiredCollateral(size, price, leverage))}`;
     }
 
     updateRiskReward() {
-        const mockPrice = 50000; // Mock BTC price
-        const stopLoss = parseFloat(document.getElementById('stopLoss').value) || 0;
-        const takeProfit = parseFloat(document.getElementById('takeProfit').value) || 0;
+        const currentPrice = this.currentPrice?.toNumber() || 0;
+        const stopLoss = this.readAmount('stopLoss', Price)?.toNumber() || 0;
+        const takeProfit = this.readAmount('takeProfit', Price)?.toNumber() || 0;
         const isLong = document.getElementById('positionType').value === 'true';
 
         const ratioEl = document.getElementById('riskRewardRatio');
@@ -630,13 +1472,19 @@ class ConfidentialPerpDEXApp {
             return;
         }
 
+        if (currentPrice === 0) {
+            ratioEl.textContent = 'No price';
+            ratioEl.style.color = 'var(--text-secondary)';
+            return;
+        }
+
         let risk, reward;
         if (isLong) {
-            risk = mockPrice - stopLoss;
-            reward = takeProfit - mockPrice;
+            risk = currentPrice - stopLoss;
+            reward = takeProfit - currentPrice;
         } else {
-            risk = stopLoss - mockPrice;
-            reward = mockPrice - takeProfit;
+            risk = stopLoss - currentPrice;
+            reward = currentPrice - takeProfit;
         }
 
         if (risk <= 0 || reward <= 0) {
@@ -659,6 +1507,12 @@ class ConfidentialPerpDEXApp {
     }
 
     setupContractListeners() {
+        // New oracle price: refresh the reference price now
+        this.contract.on('PriceUpdated', (timestamp) => {
+            this.lastOracleUpdate = timestamp.toNumber() * 1000;
+            this.priceFeed.refresh();
+        });
+
         // Listen for position events
         this.contract.on('PositionOpened', (trader, positionId, isLong) => {
             if (trader.toLowerCase() === this.userAddress.toLowerCase()) {
@@ -667,20 +1521,41 @@ class ConfidentialPerpDEXApp {
             }
         });
 
-        this.contract.on('PositionClosed', (trader, positionId) => {
+        // Closed by the trader, a liquidator or the SL/TP keeper
+        for (const [name, label] of Object.entries(CLOSE_EVENTS)) {
+            this.contract.on(name, (trader, positionId) => {
+                if (trader.toLowerCase() === this.userAddress.toLowerCase()) {
+                    console.log(`Position ${label.toLowerCase()}:`, positionId);
+                    this.setCloseReason(positionId, label);
+                    this.loadPositions();
+                }
+            });
+        }
+
+        this.contract.on('StopLossTakeProfitUpdated', (trader, positionId, event) => {
             if (trader.toLowerCase() === this.userAddress.toLowerCase()) {
-                console.log('Position closed:', positionId);
-                this.loadPositions();
+                console.log('Stop loss / take profit updated:', positionId);
+                this.onStopLossTakeProfitUpdated(positionId, event.transactionHash);
             }
         });
 
-        this.contract.on('OrderPlaced', (trader, orderId, isLong) => {
-            if (trader.toLowerCase() === this.userAddress.toLowerCase()) {
-                console.log('Order placed:', orderId);
-                this.loadOrders();
-            }
+        // Every trader's orders, fetched incrementally
+        this.contract.on('OrderPlaced', () => this.syncOrders());
+
+        this.contract.on('OrderMatched', (orderId1, orderId2, event) => {
+            this.syncOrders().then(() => {
+                this.onOrdersMatched(orderId1, orderId2);
+                if (this.isOwnMatch(event)) this.recordActivity([event], { live: true });
+            });
         });
 
+        // Activity feed: every other activity event is indexed by the user's address
+        for (const name of Object.keys(ACTIVITY_TYPES).filter(name => name !== 'OrderMatched')) {
+            this.contract.on(this.contract.filters[name](this.userAddress), (...args) => {
+                this.recordActivity([args[args.length - 1]], { live: true });
+            });
+        }
+
         this.contract.on('BalanceDeposited', (user, amount) => {
             if (user.toLowerCase() === this.userAddress.toLowerCase()) {
                 console.log('Balance deposited');
@@ -694,6 +1569,19 @@ class ConfidentialPerpDEXApp {
         const currentAddress = localStorage.getItem('contract_address') || '';
         document.getElementById('contractAddressInput').value = currentAddress;
         document.getElementById('currentContract').textContent = currentAddress || 'Not set';
+        document.getElementById('currentNetwork').textContent = this.network.name;
+
+        document.getElementById('networkSelect').value = this.network.id;
+        document.getElementById('customNetworkFields').classList.toggle('hidden', this.network.id !== 'custom');
+        if (this.network.id === 'custom') {
+            document.getElementById('customRpcUrl').value = this.network.rpcUrl;
+            document.getElementById('customChainId').value = this.network.chainId;
+            document.getElementById('customExplorerUrl').value = this.network.explorerUrl || '';
+        }
+
+        document.getElementById('priceSourceUrl').value = this.priceSource.url;
+        document.getElementById('priceSourcePath').value = this.priceSource.path;
+        document.getElementById('priceStaleAfter').value = this.priceSource.staleAfterMs ? this.priceSource.staleAfterMs / 1000 : '';
 
         // Show modal
         document.getElementById('configModal').classList.remove('hidden');
@@ -766,12 +1654,39 @@ class ConfidentialPerpDEXApp {
             return;
         }
 
+        const networkId = document.getElementById('networkSelect').value;
+        let network = { id: networkId, ...NETWORKS[networkId] };
+        if (networkId === 'custom') {
+            const rpcUrl = document.getElementById('customRpcUrl').value;
+            const chainId = parseInt(document.getElementById('customChainId').value);
+            if (!rpcUrl || !chainId) {
+                alert('Please enter the RPC URL and chain ID of the custom network');
+                return;
+            }
+            const explorerUrl = document.getElementById('customExplorerUrl').value.trim() || undefined;
+            network = { id: 'custom', name: `Custom (Chain ID: ${chainId})`, chainId, rpcUrl, explorerUrl };
+        }
+
+        // An empty URL leaves the mock contract's oracle as the only price source
+        const staleAfterSeconds = parseInt(document.getElementById('priceStaleAfter').value);
+        const priceSource = {
+            url: document.getElementById('priceSourceUrl').value.trim(),
+            path: document.getElementById('priceSourcePath').value.trim(),
+            staleAfterMs: staleAfterSeconds > 0 ? staleAfterSeconds * 1000 : undefined
+        };
+
         // Save to localStorage
         localStorage.setItem('contract_address', address);
+        localStorage.setItem('network', JSON.stringify(network));
+        localStorage.setItem('price_source', JSON.stringify(priceSource));
         this.contractAddress = address;
+        this.network = network;
+        this.priceSource = priceSource;
+        this.startPriceFeed();
 
         // Update UI
         document.getElementById('currentContract').textContent = address;
+        document.getElementById('currentNetwork').textContent = network.name;
 
         // Show success message
         alert('Configuration saved! Please reconnect your wallet to apply changes.');
@@ -794,9 +1709,11 @@ class ConfidentialPerpDEXApp {
         try {
             const provider = new ethers.providers.Web3Provider(window.ethereum);
             const network = await provider.getNetwork();
-            const expectedChainId = 9000; // Zama devnet
+            const expectedChainId = this.network.chainId;
 
-            if (network.chainId !== expectedChainId) {
+            if (network.chainId !== expectedChainId && this.network.id !== 'zama') {
+                console.warn(`Wallet is on chain ${network.chainId}, the configured network is ${expectedChainId}`);
+            } else if (network.chainId !== expectedChainId) {
                 const switchNetwork = confirm(
                     `You're connected to chain ${network.chainId}.\n` +
                     `This app requires Zama Devnet (Chain ID: ${expectedChainId}).\n\n` +
@@ -832,8 +1749,8 @@ class ConfidentialPerpDEXApp {
                                 symbol: 'ZAMA',
                                 decimals: 18
                             },
-                            rpcUrls: ['https://devnet.zama.ai'],
-                            blockExplorerUrls: ['https://explorer.devnet.zama.ai']
+                            rpcUrls: [NETWORKS.zama.rpcUrl],
+                            blockExplorerUrls: [NETWORKS.zama.explorerUrl]
                         }],
                     });
                 } catch (addError) {
@@ -846,6 +1763,25 @@ class ConfidentialPerpDEXApp {
         }
     }
 
+    /**
+     * Parse a form field into a fixed-point type (Price, Size, Collateral).
+     * Returns null for empty or invalid input.
+     */
+    readAmount(elementId, Type) {
+        const value = document.getElementById(elementId).value;
+        if (!value) return null;
+
+        try {
+            return Type.parse(value);
+        } catch {
+            return null;
+        }
+    }
+
+    formatUsd(amount) {
+        return amount.toNumber().toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
     showLoading(message) {
         const overlay = document.getElementById('loadingOverlay');
         const messageEl = document.getElementById('loadingMessage');
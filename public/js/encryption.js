@@ -0,0 +1,193 @@
+// Encryption backends for the frontend, mirroring src/encryption.js.
+//
+// Every encryptor turns plaintext values into the input handles and proof the
+// contract expects (`einput` arguments plus one trailing `bytes inputProof`)
+// and decrypts handles for their owner:
+//
+//   kind, label                            "fhevm" | "mock", and the name shown in the header
+//   init({ provider, contractAddress })
+//   encryptInput(values, contractAddress, userAddress)
+//                                          -> { handles, inputProof } for [{ type: 'u64'|'u8'|'bool', value }]
+//   generateKeypair(), createEIP712(publicKey, contractAddress)
+//   reencrypt(handle, privateKey, publicKey, signature, contractAddress, userAddress) -> bigint
+import { ethers } from 'https://cdn.ethers.io/lib/ethers-5.7.esm.min.js';
+
+export const ENCRYPTION_MODES = ['auto', 'fhevm', 'mock'];
+
+// Browser build of fhevmjs (UMD, exposes window.fhevm). Same major as package.json.
+export const FHEVMJS_BUNDLE_URL = 'https://cdn.jsdelivr.net/npm/fhevmjs@0.5.8/bundle/fhevm.min.js';
+
+const MOCK_PROBE_ABI = ['function mockEncrypt(uint256 value) external pure returns (bytes32)'];
+
+const FHEVM_ADDERS = {
+    u64: 'add64',
+    u8: 'add8',
+    bool: 'addBool'
+};
+
+let fhevmjsLoading = null;
+
+/** Load the fhevmjs bundle once, on first use; mock mode never downloads it. */
+function loadFhevmjs() {
+    if (window.fhevm) return Promise.resolve(window.fhevm);
+
+    fhevmjsLoading ??= new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = FHEVMJS_BUNDLE_URL;
+        script.onload = () => resolve(window.fhevm);
+        script.onerror = () => {
+            fhevmjsLoading = null;
+            reject(new Error(`Could not load fhevmjs from ${FHEVMJS_BUNDLE_URL}`));
+        };
+        document.head.appendChild(script);
+    });
+    return fhevmjsLoading;
+}
+
+/**
+ * Real FHE encryption through fhevmjs. The network public key is fetched from
+ * the node at `networkUrl`; `gatewayUrl` is needed to decrypt.
+ */
+export class FhevmEncryptor {
+    constructor({ networkUrl, gatewayUrl, aclAddress } = {}) {
+        this.kind = 'fhevm';
+        this.label = 'FHE (fhevmjs)';
+        this.config = { networkUrl, gatewayUrl, aclAddress };
+        this.instance = null;
+    }
+
+    async init({ provider }) {
+        if (!this.config.networkUrl) {
+            throw new Error('FHE mode needs the network RPC URL to fetch its public key');
+        }
+
+        const fhevm = await loadFhevmjs();
+        await fhevm.initFhevm();
+
+        const { chainId } = await provider.getNetwork();
+        this.instance = await fhevm.createInstance({ ...this.config, chainId });
+
+        if (!this.instance.getPublicKey()) {
+            throw new Error(`No FHE public key at ${this.config.networkUrl}`);
+        }
+    }
+
+    async encryptInput(values, contractAddress, userAddress) {
+        const input = this.instance.createEncryptedInput(contractAddress, userAddress);
+        for (const { type, value } of values) {
+            input[FHEVM_ADDERS[type]](value);
+        }
+
+        const { handles, inputProof } = input.encrypt();
+        return {
+            handles: handles.map(handle => ethers.utils.hexlify(handle)),
+            inputProof: ethers.utils.hexlify(inputProof)
+        };
+    }
+
+    generateKeypair() {
+        return this.instance.generateKeypair();
+    }
+
+    createEIP712(publicKey, contractAddress) {
+        return this.instance.createEIP712(publicKey, contractAddress);
+    }
+
+    reencrypt(handle, privateKey, publicKey, signature, contractAddress, userAddress) {
+        if (!this.config.gatewayUrl) {
+            throw new Error('Decrypting needs a gateway URL for this network');
+        }
+        return this.instance.reencrypt(handle, privateKey, publicKey, signature, contractAddress, userAddress);
+    }
+}
+
+/**
+ * Plaintext encoding for ConfidentialPerpDEXMock. Each handle is the value
+ * itself as bytes32, exactly like its `mockEncrypt`, and there is no proof.
+ * Nothing is hidden: every value is readable on chain.
+ */
+export class MockEncryptor {
+    constructor() {
+        this.kind = 'mock';
+        this.label = 'Mock (public values)';
+        this.chainId = null;
+    }
+
+    async init({ provider }) {
+        const { chainId } = await provider.getNetwork();
+        this.chainId = chainId;
+    }
+
+    async encryptInput(values) {
+        return {
+            handles: values.map(({ value }) => ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32)),
+            inputProof: '0x'
+        };
+    }
+
+    generateKeypair() {
+        return {
+            publicKey: ethers.utils.hexlify(ethers.utils.randomBytes(32)),
+            privateKey: ethers.utils.hexlify(ethers.utils.randomBytes(32))
+        };
+    }
+
+    createEIP712(publicKey, contractAddress) {
+        return {
+            domain: { name: 'Authorization token', version: '1', chainId: this.chainId, verifyingContract: contractAddress },
+            types: { Reencrypt: [{ name: 'publicKey', type: 'bytes' }] },
+            message: { publicKey },
+            primaryType: 'Reencrypt'
+        };
+    }
+
+    // Handles read from the mock contract already are the values
+    async reencrypt(handle) {
+        return BigInt(handle);
+    }
+}
+
+/**
+ * Probe a deployment for the mock contract's `mockEncrypt` helper. A revert
+ * means FHE; any other failure (network, wallet) is thrown.
+ * @returns {Promise<'mock'|'fhe'>}
+ */
+export async function detectContractFlavor(provider, contractAddress) {
+    const probe = new ethers.Contract(contractAddress, MOCK_PROBE_ABI, provider);
+    try {
+        await probe.mockEncrypt(1);
+        return 'mock';
+    } catch (error) {
+        // ethers v5 reports reverts and undecodable results alike as CALL_EXCEPTION
+        if (error.code === 'CALL_EXCEPTION') {
+            return 'fhe';
+        }
+        throw error;
+    }
+}
+
+/**
+ * Build and initialize the encryptor for `mode` ('auto' probes the contract).
+ * @returns {Promise<{encryptor: FhevmEncryptor|MockEncryptor, flavor: 'mock'|'fhe'}>}
+ */
+export async function createEncryptor(mode, { provider, contractAddress, fhevm }) {
+    const flavor = await detectContractFlavor(provider, contractAddress);
+
+    let encryptor;
+    switch (mode) {
+        case 'fhevm':
+            encryptor = new FhevmEncryptor(fhevm);
+            break;
+        case 'mock':
+            encryptor = new MockEncryptor();
+            break;
+        case 'auto':
+            encryptor = flavor === 'mock' ? new MockEncryptor() : new FhevmEncryptor(fhevm);
+            break;
+        default:
+            throw new Error(`Unknown encryption mode: ${mode}`);
+    }
+
+    await encryptor.init({ provider, contractAddress });
+    return { encryptor, flavor };
+}
@@ -0,0 +1,117 @@
+// Reference price for the trade ticket.
+//
+// Sources are tried in order on every refresh; the first with a fresh price
+// wins. When every source that answers is stale, the first answer is kept and
+// flagged stale. Each source resolves to { price: Price, updatedAt: ms | null },
+// where updatedAt is when the price itself last changed (null when unknown).
+import { Price } from './units.js';
+
+// Any JSON endpoint works; `path` is dot-separated into the response
+export const DEFAULT_PRICE_SOURCE = {
+    url: 'https://api.coinbase.com/v2/prices/BTC-USD/spot',
+    path: 'data.amount'
+};
+
+/** Fetch a price from a public JSON endpoint. */
+export async function fetchPublicPrice({ url, path }, { timeoutMs = 10000 } = {}) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+        throw new Error(`Price source answered HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    const value = path ? path.split('.').reduce((object, key) => object?.[key], body) : body;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new Error(`No price at "${path}" in the price source response`);
+    }
+
+    // Sources quote more decimals than the contract's 2
+    return { price: Price.parse(number.toFixed(Price.decimals)), updatedAt: Date.now() };
+}
+
+export class PriceFeed {
+    /**
+     * @param {object} options
+     * @param {Array<{name: string, read: () => Promise<{price: Price, updatedAt: number|null}>}>} options.sources
+     * @param {number} [options.refreshMs=30000] - Time between refreshes
+     * @param {number} [options.staleAfterMs=300000] - Age after which the price is flagged stale
+     * @param {Function} [options.onChange] - Called after every refresh and every clock tick
+     */
+    constructor({ sources, refreshMs = 30000, staleAfterMs = 300000, onChange = () => {} }) {
+        this.sources = sources;
+        this.refreshMs = refreshMs;
+        this.staleAfterMs = staleAfterMs;
+        this.onChange = onChange;
+
+        this.price = null;
+        this.source = null;
+        this.updatedAt = null;
+        this.error = null;
+
+        this.refreshing = null;
+        this.timers = [];
+    }
+
+    get ageMs() {
+        return this.updatedAt == null ? null : Date.now() - this.updatedAt;
+    }
+
+    /** Stale when old, when its age is unknown, or when the last refresh failed. */
+    get isStale() {
+        return this.price == null || this.isOld(this.updatedAt) || this.error != null;
+    }
+
+    isOld(updatedAt) {
+        return updatedAt == null || Date.now() - updatedAt > this.staleAfterMs;
+    }
+
+    refresh() {
+        this.refreshing ??= this.readSources().finally(() => {
+            this.refreshing = null;
+            this.onChange(this);
+        });
+        return this.refreshing;
+    }
+
+    async readSources() {
+        const errors = [];
+        let fallback = null;
+        for (const { name, read } of this.sources) {
+            try {
+                const { price, updatedAt } = await read();
+                if (price.raw === 0n) throw new Error('price is 0');
+
+                if (!this.isOld(updatedAt)) {
+                    Object.assign(this, { price, updatedAt, source: name, error: null });
+                    return;
+                }
+                fallback ??= { price, updatedAt, source: name, error: null };
+            } catch (error) {
+                errors.push(`${name}: ${error.message}`);
+            }
+        }
+
+        if (fallback) {
+            Object.assign(this, fallback);
+            return;
+        }
+
+        // Keep showing the last price, flagged stale
+        this.error = errors.join('; ') || 'No price source configured';
+    }
+
+    start() {
+        this.refresh();
+        this.timers.push(
+            setInterval(() => this.refresh(), this.refreshMs),
+            // Keeps the displayed age current between refreshes
+            setInterval(() => this.onChange(this), 5000)
+        );
+    }
+
+    stop() {
+        this.timers.forEach(clearInterval);
+        this.timers = [];
+    }
+}
@@ -0,0 +1,166 @@
+// Fixed-point amounts shared by the SDK (re-exported from src/units.js) and the frontend.
+//
+// Every encrypted amount is a euint64 holding an integer number of base units.
+// The contract multiplies size by price to get position value and divides by
+// leverage for collateral, so the three scales have to line up:
+//
+//   Collateral decimals = Price decimals + Size decimals
+//
+// Price keeps the 2 decimals the contract seeds its oracle with (50000 * 100).
+
+export const PRICE_DECIMALS = 2;
+export const SIZE_DECIMALS = 4;
+export const COLLATERAL_DECIMALS = PRICE_DECIMALS + SIZE_DECIMALS;
+
+export const UINT64_MAX = 2n ** 64n - 1n;
+
+/**
+ * Parse a decimal amount into integer base units without going through floats.
+ * @param {string|number|bigint} value - e.g. "1.5", 1.5 or 2n
+ * @param {number} decimals
+ * @returns {bigint}
+ */
+export function parseUnits(value, decimals) {
+    const text = typeof value === 'string' ? value.trim() : String(value);
+    const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+
+    if (!match || (!match[2] && !match[3])) {
+        throw new TypeError(`Invalid amount: "${value}"`);
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    if (fraction.length > decimals && /[1-9]/.test(fraction.slice(decimals))) {
+        throw new RangeError(`Amount "${value}" has more than ${decimals} decimal places`);
+    }
+
+    const units = BigInt((whole || '0') + fraction.slice(0, decimals).padEnd(decimals, '0'));
+    return sign ? -units : units;
+}
+
+/**
+ * Format integer base units as a decimal string.
+ * @param {bigint} raw
+ * @param {number} decimals
+ * @param {object} [options]
+ * @param {number} [options.minDecimals=decimals] - Trailing zeros are trimmed down to this many places
+ * @returns {string}
+ */
+export function formatUnits(raw, decimals, { minDecimals = decimals } = {}) {
+    const value = BigInt(raw);
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+
+    const whole = digits.slice(0, digits.length - decimals);
+    let fraction = digits.slice(digits.length - decimals);
+    while (fraction.length > minDecimals && fraction.endsWith('0')) {
+        fraction = fraction.slice(0, -1);
+    }
+
+    return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+}
+
+/**
+ * Immutable euint64 amount with a fixed number of decimals.
+ * Subclasses set `decimals`; `raw` holds the integer base units.
+ */
+export class FixedPoint {
+    constructor(raw) {
+        if (typeof raw === 'number' && !Number.isInteger(raw)) {
+            throw new TypeError(`${this.constructor.name} takes integer base units; use ${this.constructor.name}.parse("${raw}")`);
+        }
+
+        const value = BigInt(raw);
+        if (value < 0n || value > UINT64_MAX) {
+            throw new RangeError(`${this.constructor.name} ${value} is outside the euint64 range`);
+        }
+
+        this.raw = value;
+        Object.freeze(this);
+    }
+
+    /** Parse a human-readable decimal ("1.5") into this type. */
+    static parse(value) {
+        return new this(parseUnits(value, this.decimals));
+    }
+
+    /** Accept an instance of this type or raw integer base units. */
+    static from(value) {
+        if (value instanceof FixedPoint) {
+            if (!(value instanceof this)) {
+                throw new TypeError(`Expected ${this.name}, got ${value.constructor.name}`);
+            }
+            return value;
+        }
+        return new this(value);
+    }
+
+    get decimals() {
+        return this.constructor.decimals;
+    }
+
+    format(options) {
+        return formatUnits(this.raw, this.decimals, options);
+    }
+
+    /** Lossy conversion for display math (ratios, percentages). */
+    toNumber() {
+        return Number(this.format());
+    }
+
+    equals(other) {
+        return other instanceof this.constructor && other.raw === this.raw;
+    }
+
+    toString() {
+        return this.format();
+    }
+
+    toJSON() {
+        return this.format();
+    }
+}
+
+export class Price extends FixedPoint {
+    static decimals = PRICE_DECIMALS;
+}
+
+export class Size extends FixedPoint {
+    static decimals = SIZE_DECIMALS;
+}
+
+export class Collateral extends FixedPoint {
+    static decimals = COLLATERAL_DECIMALS;
+}
+
+/** Position value (size × price), as computed by the contract. */
+export function notional(size, price) {
+    return new Collateral(Size.from(size).raw * Price.from(price).raw);
+}
+
+/** Collateral the contract locks when opening a position: size × price / leverage. */
+export function requiredCollateral(size, price, leverage) {
+    return new Collateral(notional(size, price).raw / BigInt(leverage));
+}
+
+/**
+ * Estimated price at which a position reaches the contract's liquidation
+ * threshold: collateral + PnL = size × price × thresholdBps / 10000.
+ * Uses signed PnL, so it is an estimate where the contract floors losses.
+ * @param {object} position - { size, entryPrice, collateral, isLong }
+ * @param {number|bigint} thresholdBps - `liquidationThreshold` in basis points (500 = 5%)
+ * @returns {Price|null} null when the price cannot fall far enough (long) to liquidate
+ */
+export function liquidationPrice({ size, entryPrice, collateral, isLong }, thresholdBps) {
+    const sizeRaw = Size.from(size).raw;
+    if (sizeRaw === 0n) return null;
+
+    const entryValue = notional(sizeRaw, entryPrice).raw;
+    const collateralRaw = Collateral.from(collateral).raw;
+    const threshold = BigInt(thresholdBps);
+
+    if (isLong) {
+        if (collateralRaw >= entryValue) return null;
+        return new Price((entryValue - collateralRaw) * 10000n / (sizeRaw * (10000n - threshold)));
+    }
+    return new Price((entryValue + collateralRaw) * 10000n / (sizeRaw * (10000n + threshold)));
+}
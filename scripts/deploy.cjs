@@ -1,14 +1,42 @@
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
 
+// DEX_CONTRACT=ConfidentialPerpDEXMock deploys the plaintext mock (e.g. on localhost)
+const CONTRACT_NAME = process.env.DEX_CONTRACT || "ConfidentialPerpDEX";
+const MANIFEST = path.join(__dirname, "..", "deployments.json");
+
+// Record the deployment under the network name for DeploymentRegistry (src/registry.js)
+function recordDeployment(entry) {
+  const manifest = fs.existsSync(MANIFEST)
+    ? JSON.parse(fs.readFileSync(MANIFEST, "utf8"))
+    : { deployments: {} };
+
+  manifest.deployments[hre.network.name] = entry;
+  fs.writeFileSync(MANIFEST, JSON.stringify(manifest, null, 2) + "\n");
+}
+
 async function main() {
-  console.log("🚀 Deploying ConfidentialPerpDEX...");
+  console.log(`🚀 Deploying ${CONTRACT_NAME} to ${hre.network.name}...`);
 
-  const ConfidentialPerpDEX = await hre.ethers.getContractFactory("ConfidentialPerpDEX");
+  const ConfidentialPerpDEX = await hre.ethers.getContractFactory(CONTRACT_NAME);
   const dex = await ConfidentialPerpDEX.deploy();
   await dex.waitForDeployment();
 
   const address = await dex.getAddress();
+  const receipt = await dex.deploymentTransaction().wait();
+  const { chainId } = await hre.ethers.provider.getNetwork();
   console.log("✅ Deployed to:", address);
+
+  recordDeployment({
+    chainId: Number(chainId),
+    address,
+    deployBlock: receipt.blockNumber,
+    flavor: CONTRACT_NAME.endsWith("Mock") ? "mock" : "fhe",
+    rpcUrl: hre.network.config.url
+  });
+  console.log(`📝 Recorded "${hre.network.name}" in deployments.json`);
+
   console.log("\nAdd to .env:");
   console.log(`CONTRACT_ADDRESS=${address}`);
 }
@@ -0,0 +1,202 @@
+/**
+ * Alert webhooks for the bots.
+ *
+ * Each alert is POSTed as JSON to every configured webhook. Without a template
+ * the payload is the alert itself:
+ *
+ *   { bot, type, severity, message, fields, suppressed, suppressedByKey, timestamp }
+ *
+ * A template is any JSON value whose strings may reference those keys, e.g.
+ * for Slack: { "text": "[{{severity}}] {{bot}}: {{message}} {{fields.txHash}}" }.
+ * A string that is exactly one placeholder keeps the value's type.
+ *
+ * Alerts with the same key (default: the type) are sent at most once per
+ * `cooldownMs`, and at most `maxPerMinute` non-critical alerts go out per
+ * minute; critical ones are never rate-limited. Held back alerts are counted
+ * and reported on the next alert sent, whatever its key: `suppressed` is the
+ * total and `suppressedByKey` the count per key. Delivery failures are logged
+ * (with the webhook's label or host, never its URL), never thrown.
+ */
+import { ethers } from "ethers";
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+function lookup(context, path) {
+  return path.split(".").reduce((value, key) => value?.[key], context);
+}
+
+/** Fill `{{path}}` placeholders in a template from `context`. */
+export function renderTemplate(template, context) {
+  if (typeof template === "string") {
+    const whole = template.match(WHOLE_PLACEHOLDER);
+    if (whole) return lookup(context, whole[1]) ?? null;
+    return template.replace(PLACEHOLDER, (_, path) => {
+      const value = lookup(context, path);
+      if (value == null) return "";
+      return typeof value === "object" ? JSON.stringify(value, jsonReplacer) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, context));
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+  }
+  return template;
+}
+
+/** Alert settings, shared by the bots' config schemas (see ./config.js). */
+export const ALERT_CONFIG_SCHEMA = {
+  alertWebhooks: { type: "list", default: [], env: "ALERT_WEBHOOK_URLS" },   // comma-separated in the env
+  alertTemplate: { type: "object", nullable: true, env: "ALERT_TEMPLATE" },   // JSON in the env
+  alertCooldownMs: { type: "integer", min: 0, default: 300000, env: "ALERT_COOLDOWN_MS" },
+  alertMaxPerMinute: { type: "integer", min: 1, default: 10, env: "ALERT_MAX_PER_MINUTE" },
+  alertErrorThreshold: { type: "integer", min: 1, default: 5, env: "ALERT_ERROR_THRESHOLD" },
+  minBalanceEth: { type: "decimal", nullable: true, env: "MIN_BALANCE_ETH" }   // null = no balance alert
+};
+
+/** PositionKeeper alert options from a config loaded with ALERT_CONFIG_SCHEMA. */
+export function alertOptions(config) {
+  return {
+    alerts: {
+      webhooks: config.alertWebhooks,
+      template: config.alertTemplate,
+      cooldownMs: config.alertCooldownMs,
+      maxPerMinute: config.alertMaxPerMinute
+    },
+    errorAlertThreshold: config.alertErrorThreshold,
+    minBalance: config.minBalanceEth == null ? null : ethers.parseEther(config.minBalanceEth)
+  };
+}
+
+function jsonReplacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/** Webhook URLs carry their credentials, so logs only name the host. */
+function webhookLabel(url, index) {
+  try {
+    return new URL(url).host || `webhook-${index}`;
+  } catch {
+    return `webhook-${index}`;
+  }
+}
+
+export class AlertManager {
+  /**
+   * @param {object} [options]
+   * @param {Array<string|{url: string, label?: string, template?: any, headers?: object}>} [options.webhooks=[]]
+   * @param {any} [options.template] - Payload template for webhooks without their own
+   * @param {string} [options.source] - `bot` in every payload
+   * @param {number} [options.cooldownMs=300000] - Minimum time between alerts with one key
+   * @param {number} [options.maxPerMinute=10] - Non-critical alerts sent per minute, across all keys
+   * @param {number} [options.timeoutMs=10000] - Per webhook request
+   * @param {object} [options.logger]
+   * @param {Function} [options.fetch=globalThis.fetch]
+   */
+  constructor(options = {}) {
+    this.webhooks = (options.webhooks || []).map((webhook, index) => {
+      const config = typeof webhook === "string" ? { url: webhook } : webhook;
+      return { ...config, label: config.label || webhookLabel(config.url, index) };
+    });
+    this.template = options.template ?? null;
+    this.source = options.source || "bot";
+    this.cooldownMs = options.cooldownMs ?? 300000;
+    this.maxPerMinute = options.maxPerMinute ?? 10;
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.logger = options.logger;
+    this.fetch = options.fetch || globalThis.fetch;
+
+    this.lastSent = new Map();     // key -> ms
+    this.suppressed = new Map();   // key -> alerts held back since the last send
+    this.recent = [];              // non-critical send times within the last minute
+    this.pending = new Set();
+    this.stats = { sent: 0, suppressed: 0, failed: 0 };
+  }
+
+  get enabled() {
+    return this.webhooks.length > 0;
+  }
+
+  /**
+   * Queue an alert. Resolves once every webhook has answered (or failed).
+   * @param {string} type - e.g. "liquidation", "errors", "low-balance"
+   * @param {object} [alert]
+   * @param {"info"|"warning"|"critical"} [alert.severity="warning"]
+   * @param {string} [alert.message]
+   * @param {object} [alert.fields] - Extra data, also available to templates
+   * @param {string} [alert.key] - Deduplication key; defaults to the type
+   * @returns {Promise<{sent: boolean, reason?: string}>}
+   */
+  notify(type, { severity = "warning", message = type, fields = {}, key = type } = {}) {
+    if (!this.enabled) return Promise.resolve({ sent: false, reason: "disabled" });
+
+    const now = Date.now();
+    const reason = this.holdBack(key, severity, now);
+    if (reason) {
+      this.suppressed.set(key, (this.suppressed.get(key) || 0) + 1);
+      this.stats.suppressed++;
+      this.logger?.debug("🔕 Alert suppressed", { type, key, reason });
+      return Promise.resolve({ sent: false, reason });
+    }
+
+    this.lastSent.set(key, now);
+    if (severity !== "critical") this.recent.push(now);
+    const suppressedByKey = Object.fromEntries(this.suppressed);
+    const alert = {
+      bot: this.source,
+      type,
+      severity,
+      message,
+      fields,
+      suppressed: Object.values(suppressedByKey).reduce((sum, count) => sum + count, 0),
+      suppressedByKey,
+      timestamp: new Date(now).toISOString()
+    };
+    this.suppressed.clear();
+
+    const delivery = this.deliver(alert).then(() => ({ sent: true }));
+    this.pending.add(delivery);
+    delivery.finally(() => this.pending.delete(delivery));
+    return delivery;
+  }
+
+  /** @returns {string|null} why an alert with `key` cannot go out now */
+  holdBack(key, severity, now) {
+    const last = this.lastSent.get(key);
+    if (last != null && now - last < this.cooldownMs) return "duplicate";
+    if (severity === "critical") return null;
+
+    this.recent = this.recent.filter(time => now - time < 60000);
+    if (this.recent.length >= this.maxPerMinute) return "rate-limited";
+    return null;
+  }
+
+  async deliver(alert) {
+    await Promise.all(this.webhooks.map(async webhook => {
+      const template = webhook.template ?? this.template;
+      const payload = template == null ? alert : renderTemplate(template, alert);
+      try {
+        const response = await this.fetch(webhook.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...webhook.headers },
+          body: JSON.stringify(payload, jsonReplacer),
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        this.stats.sent++;
+      } catch (error) {
+        this.stats.failed++;
+        this.logger?.warn("⚠️ Alert webhook failed", { webhook: webhook.label, type: alert.type, error });
+      }
+    }));
+  }
+
+  /** Wait for alerts still being delivered. */
+  async flush() {
+    await Promise.all(this.pending);
+  }
+}
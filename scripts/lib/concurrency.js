@@ -0,0 +1,104 @@
+import { ethers } from "ethers";
+
+/**
+ * Concurrency helpers for the bots: a bounded worker pool, a token-bucket
+ * rate limiter and a JSON-RPC provider that sends through one.
+ */
+
+/** Resolve after `ms`, or as soon as `signal` aborts. */
+export function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    }
+  });
+}
+
+/**
+ * Run `worker(item)` over `items` with at most `concurrency` running at once,
+ * in order. Once `signal` aborts no new items are started; running ones finish.
+ * A worker that throws stops the pool the same way, and the first error is
+ * rethrown once the running items have finished.
+ * @returns {Promise<{completed: number, cancelled: boolean}>}
+ */
+export async function runPool(items, concurrency, worker, { signal } = {}) {
+  let next = 0;
+  let completed = 0;
+  let failure = null;
+
+  async function run() {
+    while (next < items.length && !signal?.aborted && !failure) {
+      const item = items[next++];
+      try {
+        await worker(item);
+        completed++;
+      } catch (error) {
+        failure ??= { error };
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, run));
+  if (failure) throw failure.error;
+  return { completed, cancelled: completed < items.length };
+}
+
+/**
+ * Token bucket: `requestsPerSecond` tokens are added per second, up to `burst`.
+ * Callers are served in order.
+ */
+export class RateLimiter {
+  constructor({ requestsPerSecond, burst = requestsPerSecond }) {
+    if (!(requestsPerSecond > 0)) {
+      throw new Error(`requestsPerSecond must be positive, got ${requestsPerSecond}`);
+    }
+    this.rate = requestsPerSecond;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  /** Wait until `count` tokens are available and take them. */
+  take(count = 1) {
+    count = Math.min(count, this.capacity);
+
+    const turn = this.queue.then(async () => {
+      this.refill();
+      while (this.tokens < count) {
+        await sleep(((count - this.tokens) / this.rate) * 1000);
+        this.refill();
+      }
+      this.tokens -= count;
+    });
+    this.queue = turn;
+    return turn;
+  }
+}
+
+/** JsonRpcProvider that takes one limiter token per JSON-RPC request (batches count each call). */
+export class RateLimitedProvider extends ethers.JsonRpcProvider {
+  constructor(url, limiter, network, options) {
+    super(url, network, options);
+    this.limiter = limiter;
+  }
+
+  async _send(payload) {
+    await this.limiter.take(Array.isArray(payload) ? payload.length : 1);
+    return super._send(payload);
+  }
+}
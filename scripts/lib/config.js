@@ -0,0 +1,166 @@
+import fs from "fs/promises";
+import path from "path";
+import { ethers } from "ethers";
+import YAML from "yaml";
+
+/**
+ * Bot configuration: defaults, then a JSON or YAML file, then environment
+ * variables. A schema maps each key to its type, bounds and env variable:
+ *
+ *   { startBlock: { type: "integer", min: 0, default: 0, env: "START_BLOCK" } }
+ *
+ * Types: string, integer, number, boolean, address, decimal (a non-negative
+ * decimal string such as "2000.5"), list (of strings; comma-separated in the
+ * env) and object (JSON in the env). `values` restricts a field to a list,
+ * `nullable` allows null. Every problem is collected into one ConfigError.
+ */
+
+export class ConfigError extends Error {
+  constructor(problems, source) {
+    const where = source ? ` in ${source}` : "";
+    super(`Invalid configuration${where}:\n${problems.map(problem => `  - ${problem}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const TRUE = new Set(["true", "1", "yes", "on"]);
+const FALSE = new Set(["false", "0", "no", "off"]);
+
+/** Env values are strings; turn them into the field's type, or leave them for validate(). */
+function fromEnv(field, raw) {
+  if (field.nullable && raw === "null") return null;
+  switch (field.type) {
+    case "integer":
+    case "number":
+      return raw.trim() === "" ? raw : Number(raw);
+    case "boolean":
+      if (TRUE.has(raw.toLowerCase())) return true;
+      if (FALSE.has(raw.toLowerCase())) return false;
+      return raw;
+    case "list":
+      return raw.split(",").map(item => item.trim()).filter(Boolean);
+    case "object":
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+/** @returns {string|null} what is wrong with `value`, or null */
+function validate(field, value) {
+  if (value === null) {
+    return field.nullable ? null : "must not be null";
+  }
+
+  switch (field.type) {
+    case "string":
+      if (typeof value !== "string" || value === "") return "must be a non-empty string";
+      break;
+    case "integer":
+      if (!Number.isInteger(value)) return "must be an integer";
+      break;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return "must be true or false";
+      break;
+    case "address":
+      if (typeof value !== "string" || !ethers.isAddress(value)) return "must be an address";
+      break;
+    case "decimal":
+      if (!/^\d+(\.\d+)?$/.test(String(value))) return "must be a non-negative decimal";
+      break;
+    case "list":
+      if (!Array.isArray(value) || value.some(item => typeof item !== "string" || item === "")) {
+        return "must be a list of strings";
+      }
+      break;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) return "must be an object";
+      break;
+    default:
+      throw new Error(`Unknown config type: ${field.type}`);
+  }
+
+  if (field.min != null && value < field.min) return `must be at least ${field.min}`;
+  if (field.max != null && value > field.max) return `must be at most ${field.max}`;
+  if (field.values && !field.values.includes(value)) return `must be one of ${field.values.join(", ")}`;
+  return null;
+}
+
+/** Parse a config file by extension (.json, .yaml, .yml). */
+export async function readConfigFile(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (error) {
+    throw new ConfigError([`cannot read file: ${error.message}`], file);
+  }
+
+  let parsed;
+  try {
+    switch (path.extname(file).toLowerCase()) {
+      case ".json":
+        parsed = JSON.parse(text);
+        break;
+      case ".yaml":
+      case ".yml":
+        parsed = YAML.parse(text) ?? {};
+        break;
+      default:
+        throw new Error("unknown file type, use .json, .yaml or .yml");
+    }
+  } catch (error) {
+    throw new ConfigError([error.message], file);
+  }
+
+  if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new ConfigError(["must contain an object"], file);
+  }
+  return parsed;
+}
+
+/**
+ * Build a config from `schema`.
+ * @param {object} schema
+ * @param {object} [options]
+ * @param {string} [options.file] - JSON or YAML file
+ * @param {object} [options.env=process.env]
+ * @returns {Promise<object>} one value per schema key (null when unset)
+ */
+export async function loadConfig(schema, { file, env = process.env } = {}) {
+  const fromFile = file ? await readConfigFile(file) : {};
+  const problems = [];
+
+  for (const key of Object.keys(fromFile)) {
+    if (!schema[key]) problems.push(`${key}: unknown option`);
+  }
+
+  const config = {};
+  for (const [key, field] of Object.entries(schema)) {
+    let value = field.default ?? null;
+    let source = key;
+    if (key in fromFile) {
+      value = fromFile[key];
+    }
+    if (field.env && env[field.env] !== undefined && env[field.env] !== "") {
+      value = fromEnv(field, env[field.env]);
+      source = `${key} (${field.env})`;
+    }
+
+    const problem = validate(field, value);
+    if (problem) problems.push(`${source}: ${problem}`);
+    config[key] = field.type === "decimal" && value !== null ? String(value) : value;
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems, file);
+  }
+  return config;
+}
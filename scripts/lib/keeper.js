@@ -0,0 +1,746 @@
+import { ethers } from "ethers";
+import {
+  ConfidentialPerpDEXSDK,
+  FailoverProvider,
+  POSITION_EVENTS,
+  createLogger,
+  createProvider
+} from "../../src/perp-dex-sdk.js";
+import { loadState, saveState } from "./state-file.js";
+import { PositionRegistry, isTerminal } from "./position-registry.js";
+import { RateLimiter, RateLimitedProvider, runPool, sleep } from "./concurrency.js";
+import { Histogram, formatPrometheus, startStatusServer } from "./metrics.js";
+import { AlertManager } from "./alerts.js";
+import { SignerPool } from "./signer-pool.js";
+
+/**
+ * Base class for the bots that watch positions and act on them (liquidation
+ * bot, SL/TP keeper). It owns everything but the per-position check:
+ *
+ * - rebuilding the position registry from event history on startup, then
+ *   following live events without a gap
+ * - persisting the registry and the last processed block to a state file
+ * - periodic scans with a bounded worker pool in priority order, RPC rate
+ *   limiting, and cancellation by stop()
+ * - failover between several RPC endpoints, and a pool of signer keys that
+ *   send in parallel on separate nonces (see ./signer-pool.js)
+ * - stats, and an optional HTTP server with Prometheus metrics (/metrics)
+ *   and health checks (/healthz, /readyz)
+ * - alert webhooks for repeated errors, a silent event stream and a low
+ *   signer balance (see ./alerts.js)
+ *
+ * Subclasses set the static fields below and implement `scanPosition(position)`.
+ * They may override `checkDeployment()`, `scanCandidates()`,
+ * `onPositionEvent(event, position)` and `collectMetrics()`.
+ */
+
+const STATE_VERSION = 1;
+
+// Upper bounds of the scan duration histogram, in seconds
+const SCAN_DURATION_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900];
+
+// ethers error codes for a failed or unreachable RPC endpoint
+const RPC_ERROR_CODES = new Set(["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT"]);
+
+export function isRpcError(error) {
+  return RPC_ERROR_CODES.has(error?.code);
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Scan order. Positions whose leverage is not known yet go first, so they get read.
+function openedAt(position) {
+  return position.openedAt ?? position.timestamp;
+}
+
+export const SCAN_PRIORITIES = {
+  leverage: (a, b) => (b.leverage ?? Infinity) - (a.leverage ?? Infinity) || openedAt(a) - openedAt(b),
+  oldest: (a, b) => openedAt(a) - openedAt(b)
+};
+
+export class PositionKeeper {
+  static displayName = "Keeper";
+  static metricsName = "keeper";   // `bot` label on every metric
+  static defaultStateFile = ".keeper-state.json";
+  // Why a position was passed over, counted in stats.skipped
+  static skipReasons = {};
+  // Contract events to follow; position events are applied to the registry
+  static eventNames = POSITION_EVENTS;
+
+  /**
+   * @param {string} contractAddress
+   * @param {string|string[]} rpcUrl - One endpoint, or several to fail over between
+   * @param {string|string[]} privateKey - One key, or several for the signer pool; the
+   *   first one also reads and decrypts
+   * @param {object} [options]
+   * @param {object} [options.logger] - Logger (see src/logger.js), also passed to the SDK
+   * @param {string|null} [options.stateFile] - Where to persist monitored positions; null disables
+   * @param {number} [options.fromBlock=0] - Deployment block, where the first backfill starts
+   * @param {import("ethers").Signer} [options.signer] - Use this signer (and its provider)
+   *   instead of rpcUrl/privateKey
+   * @param {import("ethers").Signer[]} [options.signers] - Several signers on one provider,
+   *   instead of rpcUrl/privateKey
+   * @param {number} [options.rpcQuorum=1] - Endpoints that must agree on each read
+   *   (see FailoverProvider)
+   * @param {bigint|null} [options.gasFloor] - Retire pool keys holding less than this (wei)
+   * @param {number} [options.checkInterval=30000] - ms between periodic scans
+   * @param {number} [options.concurrency=8] - Positions checked in parallel during a scan
+   * @param {number|null} [options.requestsPerSecond=20] - RPC rate limit per endpoint
+   *   created from rpcUrl; null for no limit. An injected signer's provider is not limited.
+   * @param {"leverage"|"oldest"} [options.priority="leverage"] - Scan order
+   * @param {object} [options.transactions] - TransactionManager settings for the bot's
+   *   sends (feePolicy, maxFeePerGas cap, ...)
+   * @param {number|null} [options.metricsPort] - Serve /metrics, /healthz and /readyz on
+   *   this port (0 picks a free one); null disables the server
+   * @param {string} [options.metricsHost="127.0.0.1"]
+   * @param {number} [options.staleAfter=60000] - ms without a successful event poll
+   *   before the subscription counts as stale
+   * @param {object} [options.alerts] - AlertManager options (webhooks, template,
+   *   cooldownMs, maxPerMinute); no webhooks disables alerts
+   * @param {number} [options.errorAlertThreshold=5] - Consecutive errors before an alert
+   * @param {bigint|null} [options.minBalance] - Alert when a signer's balance (wei) drops below this
+   */
+  constructor(contractAddress, rpcUrl, privateKey, options = {}) {
+    this.logger = options.logger || createLogger();
+    const requestsPerSecond = options.requestsPerSecond === undefined ? 20 : options.requestsPerSecond;
+    const injected = options.signers || (options.signer ? [options.signer] : null);
+    this.provider = injected?.[0].provider || createProvider(
+      [rpcUrl].flat().map(url => (requestsPerSecond
+        ? new RateLimitedProvider(url, new RateLimiter({ requestsPerSecond }))
+        : url)),
+      { quorum: options.rpcQuorum, logger: this.logger }
+    );
+    const signers = injected || [privateKey].flat().map(key => new ethers.Wallet(key, this.provider));
+    this.signer = signers[0];
+
+    const sdkOptions = {
+      logger: this.logger,
+      history: { fromBlock: options.fromBlock || 0 },
+      transactions: options.transactions
+    };
+    this.dex = new ConfidentialPerpDEXSDK(contractAddress, this.provider, this.signer, sdkOptions);
+    this.contract = this.dex.contract;
+    // Sends only: pool members other than the first never need initialize()
+    this.signerPool = new SignerPool(signers.map(signer => ({
+      signer,
+      dex: signer === this.signer ? this.dex : new ConfidentialPerpDEXSDK(contractAddress, this.provider, signer, sdkOptions)
+    })), { gasFloor: options.gasFloor ?? null, logger: this.logger });
+
+    this.stateFile = options.stateFile === undefined ? this.constructor.defaultStateFile : options.stateFile;
+    this.fromBlock = options.fromBlock || 0;
+    this.lastBlock = null;   // highest block whose events are reflected in the registry
+    this.subscription = null;
+    this.subscribedAt = null;
+    this.saving = Promise.resolve();
+    this.processing = Promise.resolve();   // live events are handled one at a time, in order
+
+    this.registry = new PositionRegistry();
+    if (!SCAN_PRIORITIES[options.priority || "leverage"]) {
+      throw new Error(`Unknown scan priority: ${options.priority}`);
+    }
+    this.priority = options.priority || "leverage";
+    this.concurrency = options.concurrency || 8;
+    this.checkInterval = options.checkInterval || 30000;
+    this.isRunning = false;
+    this.startedAt = null;
+    this.abortController = new AbortController();   // aborted by stop()
+    this.wakeController = null;                     // aborted by requestScan()
+    this.scanRequested = false;
+    this.scanning = null;
+    this.lastScan = null;
+    this.initialized = false;
+
+    this.metricsPort = options.metricsPort ?? null;
+    this.metricsHost = options.metricsHost || "127.0.0.1";
+    this.staleAfter = options.staleAfter || 60000;
+    this.server = null;
+    this.alerts = new AlertManager({ ...options.alerts, source: this.constructor.metricsName, logger: this.logger });
+    this.errorAlertThreshold = options.errorAlertThreshold ?? 5;
+    this.minBalance = options.minBalance ?? null;
+    this.consecutiveErrors = 0;   // reset by a scan without errors
+    this.scanDurations = new Histogram(SCAN_DURATION_BUCKETS);
+    this.stats = {
+      scans: 0,
+      positionsChecked: 0,
+      errors: 0,
+      rpcErrors: 0,
+      skipped: Object.fromEntries(Object.values(this.constructor.skipReasons).map(reason => [reason, 0]))
+    };
+  }
+
+  get name() {
+    return this.constructor.displayName;
+  }
+
+  /**
+   * Count an unexpected error; RPC failures are also counted separately.
+   * Alerts once `errorAlertThreshold` errors happen without a clean scan between them.
+   */
+  recordError(error) {
+    this.stats.errors++;
+    if (isRpcError(error)) {
+      this.stats.rpcErrors++;
+    }
+
+    this.consecutiveErrors++;
+    if (this.consecutiveErrors >= this.errorAlertThreshold) {
+      this.alerts.notify("errors", {
+        severity: "critical",
+        message: `${this.consecutiveErrors} consecutive errors`,
+        fields: { consecutiveErrors: this.consecutiveErrors, lastError: error?.message ?? String(error) }
+      });
+    }
+  }
+
+  /**
+   * Alert on a silent event stream or a low signer balance. Run after every
+   * scan; also refreshes the signer pool, so topped-up keys come back.
+   */
+  async checkAlerts() {
+    if (this.subscription) {
+      const since = this.subscription.lastPollAt ?? this.subscribedAt;
+      const silentMs = Date.now() - since;
+      if (silentMs > this.staleAfter) {
+        this.alerts.notify("stream-silent", {
+          severity: "critical",
+          message: `No successful event poll for ${Math.round(silentMs / 1000)}s`,
+          fields: { silentMs, lastBlock: this.subscription.lastBlock }
+        });
+      }
+    }
+
+    try {
+      await this.signerPool.refreshBalances();
+    } catch (error) {
+      this.recordError(error);
+      this.logger.warn("⚠️ Could not read signer balance", { error });
+      return;
+    }
+
+    for (const { address, balance } of this.signerPool.members) {
+      if (this.minBalance != null && balance < this.minBalance) {
+        this.alerts.notify("low-balance", {
+          severity: "warning",
+          key: `low-balance:${address}`,
+          message: `Signer balance ${ethers.formatEther(balance)} ETH is below ${ethers.formatEther(this.minBalance)} ETH`,
+          fields: { address, balance: ethers.formatEther(balance), minBalance: ethers.formatEther(this.minBalance) }
+        });
+      }
+    }
+    if (this.signerPool.active().length === 0) {
+      this.alerts.notify("no-signers", {
+        severity: "critical",
+        message: "Every signer is below its gas floor, nothing can be sent",
+        fields: { signers: this.signerPool.addresses() }
+      });
+    }
+  }
+
+  async loadState() {
+    if (!this.stateFile) return;
+
+    const state = await loadState(this.stateFile);
+    if (!state) {
+      this.logger.info("📂 No state file, starting from the deployment block", { fromBlock: this.fromBlock });
+      return;
+    }
+
+    const { chainId } = await this.provider.getNetwork();
+    if (state.version !== STATE_VERSION ||
+        state.contract?.toLowerCase() !== this.dex.contractAddress.toLowerCase() ||
+        state.chainId !== Number(chainId)) {
+      this.logger.warn("⚠️ State file is for another deployment, ignoring it", { stateFile: this.stateFile });
+      return;
+    }
+
+    for (const position of state.positions) {
+      this.registry.track(position);
+    }
+    this.lastBlock = state.lastBlock;
+    this.logger.info("📂 Restored state", { positions: this.registry.size, lastBlock: this.lastBlock });
+  }
+
+  /** Persist the monitored set. Saves are serialized; the latest state always wins. */
+  saveState() {
+    if (!this.stateFile) return Promise.resolve();
+
+    this.saving = this.saving.then(async () => {
+      const { chainId } = await this.provider.getNetwork();
+      await saveState(this.stateFile, {
+        version: STATE_VERSION,
+        chainId: Number(chainId),
+        contract: this.dex.contractAddress,
+        lastBlock: this.subscription?.lastBlock ?? this.lastBlock,
+        positions: this.registry.toJSON(),
+        savedAt: new Date().toISOString()
+      });
+    }).catch(error => {
+      this.logger.error("❌ Failed to save state", { stateFile: this.stateFile, error });
+    });
+    return this.saving;
+  }
+
+  /**
+   * Catch up on blocks since the last run (or since deployment): apply every
+   * position event, then confirm the result against contract storage.
+   * @returns {Promise<number>} the block the monitored set is now current to
+   */
+  async backfill() {
+    const latest = await this.provider.getBlockNumber();
+    const fromBlock = this.lastBlock != null ? this.lastBlock + 1 : this.fromBlock;
+
+    if (fromBlock <= latest) {
+      this.logger.info("⏪ Backfilling position history", { fromBlock, toBlock: latest });
+      const timelines = await this.dex.history.getPositionTimelines({ fromBlock, toBlock: latest });
+
+      for (const timeline of timelines) {
+        for (const event of timeline.events) {
+          this.registry.apply(event);
+        }
+      }
+    }
+
+    await this.reconcilePositions();
+    this.lastBlock = latest;
+    this.logger.info("✅ Backfill complete", { positions: this.registry.active().length, lastBlock: latest });
+    return latest;
+  }
+
+  /**
+   * Check the monitored set against contract storage: pick up open positions of
+   * known traders that are missing, and drop positions that are no longer open.
+   */
+  async reconcilePositions() {
+    for (const trader of this.registry.traders()) {
+      const positionIds = await this.contract.getUserPositions(trader);
+      for (const positionId of positionIds) {
+        if (this.registry.get(trader, positionId)) continue;
+        await this.reconcilePosition(trader, positionId);
+      }
+    }
+
+    for (const { trader, positionId } of this.registry.active()) {
+      await this.reconcilePosition(trader, positionId);
+    }
+  }
+
+  async reconcilePosition(trader, positionId) {
+    const { isOpen, isLong } = await this.contract.positions(trader, positionId);
+    return this.registry.reconcile(trader, positionId, { isOpen, isLong });
+  }
+
+  /**
+   * Read a position from storage. A closed position is finished in the registry
+   * and null is returned; an open one gets its public fields recorded for
+   * scan ordering.
+   */
+  async readPosition(trader, positionId) {
+    const position = await this.contract.positions(trader, positionId);
+
+    if (!position.isOpen) {
+      this.registry.reconcile(trader, positionId, { isOpen: false });
+      return null;
+    }
+
+    const tracked = this.registry.get(trader, positionId);
+    if (tracked) {
+      tracked.leverage = Number(position.leverage);
+      tracked.openedAt = Number(position.timestamp) * 1000;
+    }
+    return position;
+  }
+
+  async initialize() {
+    try {
+      // Up before the backfill, so supervisors see "not ready" rather than nothing
+      if (this.metricsPort != null && !this.server) {
+        await this.startServer();
+      }
+
+      await this.dex.initialize();
+      this.checkDeployment();
+      await this.signerPool.initialize();
+      this.logger.info(`✅ ${this.name} initialized`, {
+        contract: this.dex.contractAddress,
+        bot: this.signerPool.addresses()[0],
+        signers: this.signerPool.size
+      });
+      if (this.signerPool.active().length === 0) {
+        this.logger.warn("⚠️ Every signer is below its gas floor, nothing will be sent until one is topped up");
+      }
+
+      await this.loadState();
+      const syncedBlock = await this.backfill();
+      await this.saveState();
+
+      // Subscribe to position events, continuing right after the backfill
+      this.subscription = this.dex.subscribe(this.constructor.eventNames, {
+        fromBlock: syncedBlock + 1,
+        onEvent: event => {
+          this.processing = this.processing.then(() => this.handleEvent(event));
+        },
+        onError: error => {
+          this.recordError(error);
+          this.logger.error("❌ Event subscription error", { error });
+        }
+      });
+
+      this.subscribedAt = Date.now();
+      this.initialized = true;
+      this.logger.info("👂 Listening for position events...");
+    } catch (error) {
+      this.logger.error("❌ Initialization failed", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a live position event (see EventSubscription) to the registry.
+   * @returns {Promise<object|null>} the position, if the event changed it
+   */
+  async handleEvent(event) {
+    try {
+      const { trader, positionId } = event;
+
+      if (event.removed) {
+        // Reorged out: contract storage is the only reliable source now
+        this.logger.warn("↩️ Position event removed by reorg", { event: event.name, trader, positionId });
+        await this.reconcilePosition(trader, positionId);
+        await this.saveState();
+        return null;
+      }
+
+      const previous = this.registry.get(trader, positionId)?.state;
+      const position = this.registry.apply(event);
+      if (!position) return null;
+
+      if (event.name === "PositionOpened" && !previous) {
+        this.logger.info("📈 New position detected", { trader, positionId });
+      } else if (isTerminal(position.state) && !isTerminal(previous)) {
+        this.logger.info("📉 Position closed", { trader, positionId, state: position.state });
+      }
+
+      await this.onPositionEvent(event, position);
+      await this.saveState();
+      return position;
+    } catch (error) {
+      this.logger.error("❌ Failed to handle position event", { event: event.name, error });
+      this.recordError(error);
+      return null;
+    }
+  }
+
+  /** Hook for subclasses, called after a live event changed a position. */
+  async onPositionEvent(event, position) {}
+
+  skip(trader, positionId, reason, fields = {}) {
+    this.stats.skipped[reason]++;
+    this.logger.debug("⏭️ Skipping position", { trader, positionId, reason, ...fields });
+    return { success: false, skipped: true, reason, ...fields };
+  }
+
+  /**
+   * Throw when the connected contract or configuration cannot be worked with.
+   * Runs on initialize(), once the client knows the contract's flavor.
+   */
+  checkDeployment() {}
+
+  /** Positions a scan looks at. */
+  scanCandidates() {
+    return this.registry.open();
+  }
+
+  /** Open positions in scan order. */
+  prioritize(positions) {
+    return [...positions].sort(SCAN_PRIORITIES[this.priority]);
+  }
+
+  /** Check every candidate once. Cancelled by stop(); running checks finish. */
+  async scanPositions() {
+    const positions = this.prioritize(this.scanCandidates());
+    this.logger.info("🔍 Scanning positions", { count: positions.length, concurrency: this.concurrency });
+    const startTime = Date.now();
+    const errorsBefore = this.stats.errors;
+
+    const { completed, cancelled } = await runPool(
+      positions,
+      this.concurrency,
+      position => this.scanPosition(position),
+      { signal: this.abortController.signal }
+    );
+
+    this.stats.scans++;
+    if (this.stats.errors === errorsBefore) {
+      this.consecutiveErrors = 0;
+    }
+    this.scanDurations.observe((Date.now() - startTime) / 1000);
+    this.lastScan = {
+      positions: completed,
+      durationMs: Date.now() - startTime,
+      cancelled,
+      finishedAt: new Date().toISOString()
+    };
+    if (cancelled) {
+      this.logger.info("🛑 Scan cancelled", { positions: completed, of: positions.length, durationMs: this.lastScan.durationMs });
+    } else {
+      this.logger.info("✅ Scan completed", { positions: completed, durationMs: this.lastScan.durationMs });
+    }
+    this.printStats();
+    await this.saveState();
+    return this.lastScan;
+  }
+
+  /** Check one position and act on it. */
+  async scanPosition(position) {
+    throw new Error(`${this.name} does not implement scanPosition()`);
+  }
+
+  /** Run the next scan now instead of after the check interval. */
+  requestScan() {
+    this.scanRequested = true;
+    this.wakeController?.abort();
+  }
+
+  /** Bot statistics as plain data, e.g. for dashboards or health checks. */
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      uptimeMs: this.startedAt ? Date.now() - this.startedAt : 0,
+      monitoredPositions: this.registry.active().length,
+      lastScan: this.lastScan,
+      inFlight: this.registry.inFlight().length,
+      positionStates: this.registry.counts(),
+      lastBlock: this.subscription?.lastBlock ?? this.lastBlock,
+      alerts: { ...this.alerts.stats },
+      signers: this.signerPool.stats(),
+      rpcEndpoints: this.provider instanceof FailoverProvider ? this.provider.health() : null,
+      ...this.stats
+    };
+  }
+
+  printStats() {
+    this.logger.info("📊 Bot statistics", this.getStats());
+  }
+
+  async startServer() {
+    this.server = await startStatusServer({
+      port: this.metricsPort,
+      host: this.metricsHost,
+      metrics: async () => formatPrometheus(await this.collectMetrics(), { bot: this.constructor.metricsName }),
+      health: () => this.checkHealth(),
+      ready: () => this.checkReady(),
+      logger: this.logger
+    });
+
+    const { address, port } = this.server.address();
+    this.logger.info("📡 Status server listening", { url: `http://${address}:${port}`, endpoints: "/metrics /healthz /readyz" });
+    return this.server;
+  }
+
+  /**
+   * Liveness: the RPC answers and, once subscribed, the event subscription has
+   * polled within `staleAfter`.
+   * @returns {Promise<{ok: boolean, checks: object}>}
+   */
+  async checkHealth() {
+    const checks = {};
+
+    try {
+      const blockNumber = await withTimeout(this.provider.getBlockNumber(), 5000, "RPC did not answer within 5s");
+      checks.rpc = { ok: true, blockNumber };
+    } catch (error) {
+      this.stats.rpcErrors++;
+      checks.rpc = { ok: false, error: error.message };
+    }
+
+    if (this.subscription) {
+      const ageMs = this.subscription.lastPollAt == null ? null : Date.now() - this.subscription.lastPollAt;
+      checks.subscription = {
+        ok: ageMs != null && ageMs <= this.staleAfter,
+        lastPollAgeMs: ageMs,
+        lastBlock: this.subscription.lastBlock
+      };
+    }
+
+    return { ok: Object.values(checks).every(check => check.ok), checks };
+  }
+
+  /** Readiness: initialized (backfill done, subscribed) and healthy. */
+  async checkReady() {
+    const health = await this.checkHealth();
+    const checks = { initialized: { ok: this.initialized }, ...health.checks };
+    if (!checks.subscription) {
+      checks.subscription = { ok: false, lastPollAgeMs: null, lastBlock: null };
+    }
+    return { ok: Object.values(checks).every(check => check.ok), checks };
+  }
+
+  /** Metrics for /metrics. Subclasses add their own to the returned list. */
+  async collectMetrics() {
+    const stats = this.getStats();
+    const metrics = [
+      {
+        name: "perpdex_bot_monitored_positions",
+        help: "Positions being watched (open or with an attempt in flight)",
+        type: "gauge",
+        samples: [{ value: stats.monitoredPositions }]
+      },
+      {
+        name: "perpdex_bot_positions",
+        help: "Tracked positions by lifecycle state",
+        type: "gauge",
+        samples: Object.entries(stats.positionStates).map(([state, value]) => ({ labels: { state }, value }))
+      },
+      {
+        name: "perpdex_bot_scans_total",
+        help: "Completed or cancelled scans",
+        type: "counter",
+        samples: [{ value: stats.scans }]
+      },
+      {
+        name: "perpdex_bot_scan_duration_seconds",
+        help: "Scan duration",
+        type: "histogram",
+        histogram: this.scanDurations
+      },
+      {
+        name: "perpdex_bot_last_scan_positions",
+        help: "Positions checked by the last scan",
+        type: "gauge",
+        samples: [{ value: stats.lastScan?.positions ?? 0 }]
+      },
+      {
+        name: "perpdex_bot_positions_checked_total",
+        help: "Position checks across all scans",
+        type: "counter",
+        samples: [{ value: stats.positionsChecked }]
+      },
+      {
+        name: "perpdex_bot_skipped_total",
+        help: "Positions passed over, by reason",
+        type: "counter",
+        samples: Object.entries(stats.skipped).map(([reason, value]) => ({ labels: { reason }, value }))
+      },
+      {
+        name: "perpdex_bot_errors_total",
+        help: "Unexpected errors",
+        type: "counter",
+        samples: [{ value: stats.errors }]
+      },
+      {
+        name: "perpdex_bot_rpc_errors_total",
+        help: "Failed or unreachable RPC calls",
+        type: "counter",
+        samples: [{ value: stats.rpcErrors }]
+      },
+      {
+        name: "perpdex_bot_alerts_total",
+        help: "Alert webhook deliveries and alerts held back by deduplication or rate limiting",
+        type: "counter",
+        samples: Object.entries(stats.alerts).map(([outcome, value]) => ({ labels: { outcome }, value }))
+      },
+      {
+        name: "perpdex_bot_last_block",
+        help: "Last block whose events have been processed",
+        type: "gauge",
+        samples: [{ value: stats.lastBlock ?? 0 }]
+      },
+      {
+        name: "perpdex_bot_uptime_seconds",
+        help: "Seconds since start()",
+        type: "gauge",
+        samples: [{ value: stats.uptimeMs / 1000 }]
+      }
+    ];
+
+    try {
+      await this.signerPool.refreshBalances();
+      const members = this.signerPool.members;
+      metrics.push(
+        {
+          name: "perpdex_bot_signer_balance_eth",
+          help: "Native token balance of each of the bot's signers",
+          type: "gauge",
+          samples: members.map(m => ({ labels: { signer: m.address }, value: Number(ethers.formatEther(m.balance)) }))
+        },
+        {
+          name: "perpdex_bot_signer_retired",
+          help: "1 while a signer is out of the pool for being below its gas floor",
+          type: "gauge",
+          samples: members.map(m => ({ labels: { signer: m.address }, value: m.retired }))
+        }
+      );
+    } catch (error) {
+      this.recordError(error);
+      this.logger.warn("⚠️ Could not read signer balance", { error });
+    }
+
+    if (stats.rpcEndpoints) {
+      metrics.push({
+        name: "perpdex_bot_rpc_endpoint_healthy",
+        help: "1 while an RPC endpoint is in rotation",
+        type: "gauge",
+        samples: stats.rpcEndpoints.map(e => ({ labels: { endpoint: e.endpoint }, value: e.healthy }))
+      });
+    }
+
+    return metrics;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      this.logger.warn("⚠️ Bot is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    this.startedAt = Date.now();
+    if (this.abortController.signal.aborted) {
+      this.abortController = new AbortController();
+    }
+    this.logger.info(`🚀 ${this.name} started`, { checkIntervalMs: this.checkInterval });
+
+    while (this.isRunning) {
+      this.scanRequested = false;
+      try {
+        this.scanning = this.scanPositions();
+        await this.scanning;
+        await this.checkAlerts();
+      } catch (error) {
+        this.logger.error("❌ Scan error", { error });
+        this.recordError(error);
+      }
+
+      if (this.isRunning && !this.scanRequested) {
+        this.logger.debug("⏳ Waiting for next scan", { checkIntervalMs: this.checkInterval });
+        this.wakeController = new AbortController();
+        await sleep(this.checkInterval, AbortSignal.any([this.abortController.signal, this.wakeController.signal]));
+        this.wakeController = null;
+      }
+    }
+  }
+
+  async stop() {
+    this.logger.info(`🛑 Stopping ${this.name.toLowerCase()}...`);
+    this.isRunning = false;
+    this.abortController.abort();
+    // Let checks and transactions already running finish
+    await this.scanning?.catch(() => {});
+    this.subscription?.unsubscribe();
+    await this.processing;
+    await this.saveState();
+    await this.alerts.flush();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    this.printStats();
+    this.logger.info("✅ Bot stopped");
+  }
+}
@@ -0,0 +1,125 @@
+import http from "http";
+
+/**
+ * Prometheus text exposition and the bots' status server.
+ *
+ * Metrics are plain objects, built fresh on every scrape:
+ *
+ *   { name, help, type: "counter"|"gauge", samples: [{ labels?, value }] }
+ *   { name, help, type: "histogram", histogram: Histogram, labels? }
+ */
+
+export class Histogram {
+  /** @param {number[]} buckets - Upper bounds; +Inf is implied */
+  constructor(buckets) {
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.counts = this.buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "boolean") return value ? "1" : "0";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+/**
+ * Render metrics in the Prometheus text format (version 0.0.4).
+ * @param {object[]} metrics
+ * @param {object} [commonLabels] - Added to every sample, e.g. { bot: "liquidation-bot" }
+ */
+export function formatPrometheus(metrics, commonLabels = {}) {
+  const lines = [];
+
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    if (metric.type === "histogram") {
+      const { histogram } = metric;
+      const labels = { ...commonLabels, ...metric.labels };
+      histogram.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${histogram.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${histogram.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${histogram.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${histogram.count}`);
+      continue;
+    }
+
+    for (const { labels = {}, value } of metric.samples) {
+      lines.push(`${metric.name}${formatLabels({ ...commonLabels, ...labels })} ${formatValue(value)}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * HTTP server for supervisors and scrapers:
+ *   GET /metrics  Prometheus text
+ *   GET /healthz  200 when `health()` reports ok, 503 otherwise
+ *   GET /readyz   200 when `ready()` reports ok, 503 otherwise
+ * Health handlers resolve to { ok, checks }; the body is that object as JSON.
+ * @returns {Promise<http.Server>} once listening
+ */
+export function startStatusServer({ port, host = "127.0.0.1", metrics, health, ready, logger }) {
+  const routes = {
+    "/healthz": health,
+    "/readyz": ready
+  };
+
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+
+    try {
+      if (request.method !== "GET") {
+        response.writeHead(405, { Allow: "GET" }).end();
+      } else if (pathname === "/metrics") {
+        const body = await metrics();
+        response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }).end(body);
+      } else if (routes[pathname]) {
+        const result = await routes[pathname]();
+        response
+          .writeHead(result.ok ? 200 : 503, { "Content-Type": "application/json" })
+          .end(JSON.stringify({ status: result.ok ? "ok" : "fail", checks: result.checks }));
+      } else {
+        response.writeHead(404).end();
+      }
+    } catch (error) {
+      logger?.error("❌ Status request failed", { path: pathname, error });
+      if (!response.headersSent) response.writeHead(500);
+      response.end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
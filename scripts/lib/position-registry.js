@@ -0,0 +1,263 @@
+/**
+ * Positions tracked by a bot, keyed by (trader, positionId).
+ *
+ * Lifecycle:
+ *
+ *   open ──► liquidation-pending ──► liquidated
+ *     │             │
+ *     │             └──► open            (attempt failed)
+ *     ├──► sl-tp-pending ──► sl-tp-executed
+ *     │             └──► open            (attempt failed)
+ *     ├──► closed                        (PositionClosed)
+ *     └──► sl-tp-executed                (StopLossTriggered / TakeProfitTriggered)
+ *
+ * Events are applied idempotently: each position remembers the (block, logIndex)
+ * of the last event applied to it and ignores anything at or before it.
+ */
+
+export const POSITION_STATES = {
+  OPEN: "open",
+  LIQUIDATION_PENDING: "liquidation-pending",
+  LIQUIDATED: "liquidated",
+  SL_TP_PENDING: "sl-tp-pending",
+  CLOSED: "closed",
+  SL_TP_EXECUTED: "sl-tp-executed"
+};
+
+const { OPEN, LIQUIDATION_PENDING, LIQUIDATED, SL_TP_PENDING, CLOSED, SL_TP_EXECUTED } = POSITION_STATES;
+
+const TERMINAL_STATES = new Set([LIQUIDATED, CLOSED, SL_TP_EXECUTED]);
+const PENDING_STATES = new Set([LIQUIDATION_PENDING, SL_TP_PENDING]);
+
+// Closing events and the state they lead to
+const CLOSING_EVENTS = {
+  LiquidationTriggered: LIQUIDATED,
+  StopLossTriggered: SL_TP_EXECUTED,
+  TakeProfitTriggered: SL_TP_EXECUTED,
+  PositionClosed: CLOSED
+};
+
+export function positionKey(trader, positionId) {
+  return `${trader.toLowerCase()}:${positionId.toLowerCase()}`;
+}
+
+function isAfter(event, cursor) {
+  if (!cursor) return true;
+  return event.blockNumber > cursor.blockNumber ||
+    (event.blockNumber === cursor.blockNumber && event.logIndex > cursor.logIndex);
+}
+
+export function isTerminal(state) {
+  return TERMINAL_STATES.has(state);
+}
+
+export function isPending(state) {
+  return PENDING_STATES.has(state);
+}
+
+export class PositionRegistry {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxTerminal=1000] - Finished positions kept for
+   *   idempotency before the oldest are pruned
+   */
+  constructor({ maxTerminal = 1000 } = {}) {
+    this.positions = new Map();
+    this.maxTerminal = maxTerminal;
+  }
+
+  get size() {
+    return this.positions.size;
+  }
+
+  get(trader, positionId) {
+    return this.positions.get(positionKey(trader, positionId)) || null;
+  }
+
+  /**
+   * Add an open position unless it is already known. `leverage` and `openedAt`
+   * (ms) are public position fields, filled in once the bot has read them.
+   */
+  track({ trader, positionId, isLong = null, timestamp = Date.now(), leverage = null, openedAt = null }) {
+    const key = positionKey(trader, positionId);
+    if (!this.positions.has(key)) {
+      this.positions.set(key, {
+        trader,
+        positionId,
+        isLong,
+        state: OPEN,
+        timestamp,
+        leverage,
+        openedAt,
+        lastEvent: null,
+        attempt: null,
+        closedBy: null
+      });
+    }
+    return this.positions.get(key);
+  }
+
+  /**
+   * Apply a contract event record (see src/history.js). Returns the position
+   * if the event changed it, null if it was a duplicate or irrelevant.
+   */
+  apply(event) {
+    if (!event.trader || !event.positionId) return null;
+
+    const existing = this.get(event.trader, event.positionId);
+    if (existing && !isAfter(event, existing.lastEvent)) return null;
+
+    const position = existing || this.track({ trader: event.trader, positionId: event.positionId });
+    const cursor = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+
+    if (event.name === "PositionOpened") {
+      position.isLong = event.isLong;
+    } else if (event.name in CLOSING_EVENTS) {
+      // SL/TP executions also emit PositionClosed; keep the more specific state
+      if (isTerminal(position.state) && event.name === "PositionClosed") {
+        position.lastEvent = cursor;
+        return null;
+      }
+      this.finish(position, CLOSING_EVENTS[event.name], event.transactionHash);
+    }
+
+    position.lastEvent = cursor;
+    return position;
+  }
+
+  /**
+   * Reserve a position for a liquidation attempt. Returns false if it is not
+   * open, e.g. because another attempt is already in flight.
+   */
+  beginLiquidation(trader, positionId) {
+    return this.beginAttempt(trader, positionId, LIQUIDATION_PENDING);
+  }
+
+  /** Settle an attempt started with beginLiquidation. */
+  endLiquidation(trader, positionId, result) {
+    return this.endAttempt(trader, positionId, LIQUIDATION_PENDING, LIQUIDATED, result);
+  }
+
+  /** Reserve a position for a stop-loss / take-profit execution, like beginLiquidation. */
+  beginExecution(trader, positionId) {
+    return this.beginAttempt(trader, positionId, SL_TP_PENDING);
+  }
+
+  /** Settle an attempt started with beginExecution. */
+  endExecution(trader, positionId, result) {
+    return this.endAttempt(trader, positionId, SL_TP_PENDING, SL_TP_EXECUTED, result);
+  }
+
+  beginAttempt(trader, positionId, pendingState) {
+    const position = this.get(trader, positionId);
+    if (!position || position.state !== OPEN) return false;
+
+    position.state = pendingState;
+    position.attempt = { startedAt: Date.now() };
+    return true;
+  }
+
+  endAttempt(trader, positionId, pendingState, successState, { success, txHash = null } = {}) {
+    const position = this.get(trader, positionId);
+    if (!position) return null;
+
+    position.attempt = null;
+    if (position.state !== pendingState) {
+      // A closing event arrived while the attempt was in flight
+      return position;
+    }
+
+    if (success) {
+      this.finish(position, successState, txHash);
+    } else {
+      position.state = OPEN;
+    }
+    return position;
+  }
+
+  /** Overwrite a position's state from contract storage (backfill, reorgs). */
+  reconcile(trader, positionId, { isOpen, isLong }) {
+    const position = this.get(trader, positionId);
+
+    if (isOpen) {
+      const tracked = position || this.track({ trader, positionId, isLong });
+      if (isTerminal(tracked.state)) {
+        tracked.state = OPEN;
+        tracked.closedBy = null;
+      }
+      return tracked;
+    }
+
+    if (position && !isTerminal(position.state)) {
+      this.finish(position, CLOSED, null);
+    }
+    return position;
+  }
+
+  finish(position, state, txHash) {
+    position.state = state;
+    position.attempt = null;
+    position.closedBy = txHash;
+    position.finishedAt = Date.now();
+    this.prune();
+  }
+
+  /** Open positions (not pending), in insertion order. */
+  open() {
+    return this.filter(p => p.state === OPEN);
+  }
+
+  /** Positions that still need watching: open or with an attempt in flight. */
+  active() {
+    return this.filter(p => !isTerminal(p.state));
+  }
+
+  /** Positions with a liquidation or SL/TP execution in flight. */
+  inFlight() {
+    return this.filter(p => isPending(p.state));
+  }
+
+  byTrader(trader) {
+    const prefix = `${trader.toLowerCase()}:`;
+    return [...this.positions].filter(([key]) => key.startsWith(prefix)).map(([, p]) => p);
+  }
+
+  traders() {
+    return [...new Set(this.active().map(p => p.trader))];
+  }
+
+  filter(predicate) {
+    return [...this.positions.values()].filter(predicate);
+  }
+
+  /** Number of positions per state. */
+  counts() {
+    const counts = Object.fromEntries(Object.values(POSITION_STATES).map(state => [state, 0]));
+    for (const position of this.positions.values()) {
+      counts[position.state]++;
+    }
+    return counts;
+  }
+
+  prune() {
+    const terminal = this.filter(p => isTerminal(p.state));
+    if (terminal.length <= this.maxTerminal) return;
+
+    terminal.sort((a, b) => a.finishedAt - b.finishedAt);
+    for (const position of terminal.slice(0, terminal.length - this.maxTerminal)) {
+      this.positions.delete(positionKey(position.trader, position.positionId));
+    }
+  }
+
+  /** Active positions in state-file form. Pending attempts are saved as open. */
+  toJSON() {
+    return this.active().map(({ trader, positionId, isLong, timestamp, leverage, openedAt }) => ({
+      trader,
+      positionId,
+      isLong,
+      timestamp,
+      leverage,
+      openedAt
+    }));
+  }
+}
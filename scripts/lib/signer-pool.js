@@ -0,0 +1,125 @@
+import { ethers } from "ethers";
+
+/**
+ * Keys a bot sends from. Each member has its own SDK client, so its own
+ * TransactionManager and nonce queue: a transaction stuck on one key does
+ * not hold up sends from the others.
+ *
+ * acquire() hands out the active key with the fewest transactions in flight.
+ * Balances are refreshed after every send and by refreshBalances(); a key
+ * below its gas floor is retired until it is topped up again.
+ */
+export class SignerPool {
+  /**
+   * @param {Array<{signer: import("ethers").Signer, dex: object, gasFloor?: bigint}>} members
+   * @param {object} [options]
+   * @param {bigint|null} [options.gasFloor] - Retire keys holding less than this (wei); null never retires
+   * @param {object} [options.logger]
+   */
+  constructor(members, { gasFloor = null, logger } = {}) {
+    if (members.length === 0) {
+      throw new Error("SignerPool needs at least one signer");
+    }
+    this.gasFloor = gasFloor;
+    this.logger = logger;
+    this.members = members.map(({ signer, dex, gasFloor: floor }) => ({
+      signer,
+      dex,
+      address: null,
+      gasFloor: floor ?? null,
+      balance: null,
+      inFlight: 0,
+      sent: 0,
+      retired: false
+    }));
+    this.cursor = 0;
+  }
+
+  get size() {
+    return this.members.length;
+  }
+
+  async initialize() {
+    for (const member of this.members) {
+      member.address = await member.signer.getAddress();
+    }
+    await this.refreshBalances();
+  }
+
+  addresses() {
+    return this.members.map(m => m.address);
+  }
+
+  has(address) {
+    return this.members.some(m => m.address?.toLowerCase() === address?.toLowerCase());
+  }
+
+  active() {
+    return this.members.filter(m => !m.retired);
+  }
+
+  floorOf(member) {
+    return member.gasFloor ?? this.gasFloor;
+  }
+
+  async refreshBalances() {
+    await Promise.all(this.members.map(member => this.refreshBalance(member)));
+  }
+
+  async refreshBalance(member) {
+    member.balance = await member.signer.provider.getBalance(member.address);
+
+    const floor = this.floorOf(member);
+    const below = floor != null && member.balance < floor;
+    if (below && !member.retired) {
+      member.retired = true;
+      this.logger?.warn("🪫 Signer retired, balance below its gas floor", {
+        address: member.address,
+        balance: ethers.formatEther(member.balance),
+        gasFloor: ethers.formatEther(floor)
+      });
+    } else if (!below && member.retired) {
+      member.retired = false;
+      this.logger?.info("🔋 Signer back in the pool", { address: member.address, balance: ethers.formatEther(member.balance) });
+    }
+    return member.balance;
+  }
+
+  /**
+   * Take the least busy active key, or null when every key is retired.
+   * Pair every acquire() with a release().
+   */
+  acquire() {
+    const active = this.active();
+    if (active.length === 0) return null;
+
+    // Rotate first, so keys with equal load take turns
+    const start = this.cursor++ % active.length;
+    const rotated = [...active.slice(start), ...active.slice(0, start)];
+    const member = rotated.reduce((best, m) => (m.inFlight < best.inFlight ? m : best));
+    member.inFlight++;
+    return member;
+  }
+
+  /** Give a key back; `sent` counts a transaction sent from it. Refreshes its balance. */
+  async release(member, { sent = false } = {}) {
+    member.inFlight--;
+    if (sent) member.sent++;
+
+    try {
+      await this.refreshBalance(member);
+    } catch (error) {
+      this.logger?.warn("⚠️ Could not read signer balance", { address: member.address, error });
+    }
+  }
+
+  stats() {
+    return this.members.map(m => ({
+      address: m.address,
+      balance: m.balance == null ? null : ethers.formatEther(m.balance),
+      inFlight: m.inFlight,
+      sent: m.sent,
+      retired: m.retired
+    }));
+  }
+}
@@ -0,0 +1,23 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * JSON state files for the bots. Writes go to a temp file that is renamed
+ * over the old one, so a crash mid-write never leaves a truncated file.
+ */
+
+export async function loadState(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Cannot read state file ${file}: ${error.message}`, { cause: error });
+  }
+}
+
+export async function saveState(file, state) {
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(state, null, 2) + "\n");
+  await fs.rename(tmp, file);
+}
@@ -1,5 +1,19 @@
+import {
+  ContractRevertError,
+  Collateral,
+  Price,
+  COLLATERAL_DECIMALS,
+  PRICE_DECIMALS,
+  FEE_POLICIES,
+  createLoggerFromEnv
+} from "../src/perp-dex-sdk.js";
+import { PositionKeeper, SCAN_PRIORITIES } from "./lib/keeper.js";
+import { loadConfig } from "./lib/config.js";
+import { ALERT_CONFIG_SCHEMA, alertOptions } from "./lib/alerts.js";
+import { loadState } from "./lib/state-file.js";
+import { POSITION_STATES, isPending } from "./lib/position-registry.js";
 import { ethers } from "ethers";
-import { ConfidentialPerpDEXSDK } from "../src/perp-dex-sdk.js";
+import { parseArgs } from "util";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -9,77 +23,106 @@ dotenv.config();
  *
  * Monitors positions and automatically liquidates undercollateralized positions
  * to earn liquidation rewards while maintaining protocol health.
+ *
+ * State, backfill, live events and the scan loop come from PositionKeeper
+ * (scripts/lib/keeper.js). The position registry marks positions with a
+ * liquidation in flight, so a position is never sent two liquidations at once.
+ *
+ * Every liquidation is simulated first (staticCall + estimateGas), so positions
+ * that are not liquidatable cost nothing. With a native token price configured,
+ * attempts whose reward does not cover the gas cost plus a margin are skipped.
+ * The FHE contract cannot tell a healthy position from an underwater one before
+ * liquidate() is sent, so outside the mock contract the price is required.
+ * Each liquidation is simulated and sent from the least busy key of the
+ * signer pool.
+ *
+ * Run `node scripts/liquidation-bot.js --help` for the commands and
+ * scripts/lib/config.js for the configuration file.
  */
 
-class LiquidationBot {
-  constructor(contractAddress, rpcUrl, privateKey) {
-    this.provider = new ethers.JsonRpcProvider(rpcUrl);
-    this.signer = new ethers.Wallet(privateKey, this.provider);
-    this.dex = new ConfidentialPerpDEXSDK(contractAddress, this.provider, this.signer);
-    this.contract = this.dex.contract;
-
-    this.monitoredPositions = new Set();
-    this.checkInterval = 30000; // Check every 30 seconds
-    this.isRunning = false;
-    this.stats = {
-      positionsChecked: 0,
+export const SKIP_REASONS = {
+  IN_FLIGHT: "in-flight",
+  NOT_OPEN: "not-open",
+  NOT_LIQUIDATABLE: "not-liquidatable",
+  REWARD_UNKNOWN: "reward-unknown",
+  UNPROFITABLE: "unprofitable",
+  NO_SIGNER: "no-signer"
+};
+
+/** Gas cost in wei, valued in collateral at `nativeTokenPrice` (USD per native token). */
+function gasCostInCollateral(gasCost, nativeTokenPrice) {
+  const scale = 10n ** BigInt(COLLATERAL_DECIMALS) / 10n ** BigInt(PRICE_DECIMALS);
+  return new Collateral((gasCost * nativeTokenPrice.raw * scale) / 10n ** 18n);
+}
+
+export class LiquidationBot extends PositionKeeper {
+  static displayName = "Liquidation bot";
+  static metricsName = "liquidation-bot";
+  static defaultStateFile = ".liquidation-bot-state.json";
+  static skipReasons = SKIP_REASONS;
+
+  /**
+   * Takes the PositionKeeper options, plus:
+   * @param {object} [options]
+   * @param {Price|string|null} [options.nativeTokenPrice] - USD per native token, used to
+   *   value gas in collateral; null disables the profitability check (mock contract only)
+   * @param {number} [options.profitMarginPercent=20] - Required reward above the gas cost
+   * @param {boolean} [options.allowUnknownReward=false] - Attempt liquidations whose reward
+   *   cannot be read (encrypted collateral) when the profitability check is on
+   * @param {boolean} [options.dryRun=false] - Simulate and log liquidations, send nothing.
+   *   The state file is read but never written
+   */
+  constructor(contractAddress, rpcUrl, privateKey, options = {}) {
+    super(contractAddress, rpcUrl, privateKey, options);
+
+    this.nativeTokenPrice = options.nativeTokenPrice == null
+      ? null
+      : options.nativeTokenPrice instanceof Price ? options.nativeTokenPrice : Price.parse(String(options.nativeTokenPrice));
+    this.profitMarginPercent = options.profitMarginPercent ?? 20;
+    this.allowUnknownReward = options.allowUnknownReward || false;
+    this.dryRun = options.dryRun || false;
+    Object.assign(this.stats, {
+      liquidationAttempts: 0,     // transactions sent
       liquidationsExecuted: 0,
-      totalRewards: 0n,
-      errors: 0
-    };
+      liquidationReverts: 0,
+      wouldLiquidate: 0,          // dry run
+      totalRewards: 0n
+    });
   }
 
   async initialize() {
-    try {
-      await this.dex.initialize();
-      console.log("✅ Liquidation bot initialized");
-      console.log("📍 Contract:", this.dex.contractAddress);
-      console.log("👤 Bot address:", await this.signer.getAddress());
-
-      // Subscribe to position events
-      this.dex.subscribeToEvents((eventName, data) => {
-        this.handleEvent(eventName, data);
-      });
-
-      console.log("👂 Listening for position events...\n");
-    } catch (error) {
-      console.error("❌ Initialization failed:", error.message);
-      throw error;
+    if (this.dryRun) {
+      this.logger.warn("🧪 Dry run: liquidations are simulated, nothing is sent or saved");
+    }
+    if (!this.nativeTokenPrice) {
+      this.logger.warn("⚠️ No native token price set, liquidations are not checked for profitability");
     }
+    await super.initialize();
   }
 
-  handleEvent(eventName, data) {
-    switch (eventName) {
-      case "PositionOpened":
-        console.log(`📈 New position detected: ${data.positionId}`);
-        this.monitoredPositions.add({
-          trader: data.trader,
-          positionId: data.positionId,
-          isLong: data.isLong,
-          timestamp: Date.now()
-        });
-        break;
-
-      case "PositionClosed":
-        console.log(`📉 Position closed: ${data.positionId}`);
-        this.removePosition(data.positionId);
-        break;
-
-      case "LiquidationTriggered":
-        if (data.trader !== this.signer.address) {
-          console.log(`⚠️ Position liquidated by another bot: ${data.positionId}`);
-        }
-        this.removePosition(data.positionId);
-        break;
+  /** A dry run leaves the state file to the running bot. */
+  saveState() {
+    return this.dryRun ? Promise.resolve() : super.saveState();
+  }
+
+  checkDeployment() {
+    if (this.dex.encryptor.kind !== "mock" && !this.nativeTokenPrice) {
+      throw new Error(
+        "nativeTokenPrice (NATIVE_TOKEN_PRICE) is required on the FHE contract: without the profitability check every open position would be liquidated"
+      );
     }
   }
 
-  removePosition(positionId) {
-    for (const pos of this.monitoredPositions) {
-      if (pos.positionId === positionId) {
-        this.monitoredPositions.delete(pos);
-        break;
-      }
+  async onPositionEvent(event, position) {
+    if (event.name !== "LiquidationTriggered") return;
+
+    const tx = await this.provider.getTransaction(event.transactionHash);
+    if (tx && !this.signerPool.has(tx.from)) {
+      this.logger.info("⚠️ Position liquidated by another bot", {
+        trader: position.trader,
+        positionId: position.positionId,
+        liquidator: tx.from
+      });
     }
   }
 
@@ -87,173 +130,376 @@ class LiquidationBot {
     try {
       // Note: In production, you would need to decrypt and check the actual values
       // This is a simplified version that attempts liquidation
-      const position = await this.contract.positions(trader, positionId);
+      const position = await this.readPosition(trader, positionId);
 
-      if (!position.isOpen) {
+      if (!position) {
         return { liquidatable: false, reason: "Position closed" };
       }
 
-      // Attempt to check liquidation status
-      // In FHE, we can't directly read encrypted values, so we try to liquidate
-      // and let the contract reject if it's not liquidatable
+      // In FHE, we can't directly read encrypted values, so the liquidation
+      // is simulated and the contract decides
       return { liquidatable: true, reason: "Needs verification" };
 
     } catch (error) {
+      this.recordError(error);
       return { liquidatable: false, reason: error.message };
     }
   }
 
-  async attemptLiquidation(trader, positionId) {
+  /**
+   * Simulate a liquidation and weigh its reward against the gas it would cost.
+   * With `force` the profitability check is skipped. `dex` is the client of
+   * the key that will send.
+   * @returns {Promise<{skip: string, reward?: Collateral, gasCost?: Collateral}
+   *   | {overrides: object, reward: Collateral|null, gasCost: Collateral|null}>}
+   */
+  async preflight(trader, positionId, { force = false, dex = this.dex } = {}) {
+    let simulation;
     try {
-      console.log(`🔍 Attempting liquidation: ${trader} - ${positionId}`);
+      simulation = await dex.simulateLiquidation(trader, positionId);
+    } catch (error) {
+      if (error instanceof ContractRevertError) {
+        return { skip: SKIP_REASONS.NOT_LIQUIDATABLE, revertReason: error.reason || "reverted" };
+      }
+      throw error;
+    }
 
-      const tx = await this.contract.liquidate(trader, positionId, {
-        gasLimit: 500000
-      });
+    const overrides = { gasLimit: simulation.gasLimit, ...simulation.fees };
+    const reward = await this.dex.getLiquidationReward(trader, positionId);
+    if (!this.nativeTokenPrice) {
+      return { overrides, reward, gasCost: null };
+    }
 
-      console.log(`⏳ Transaction sent: ${tx.hash}`);
-      const receipt = await tx.wait();
+    const gasCost = gasCostInCollateral(simulation.gasCost, this.nativeTokenPrice);
+    if (force) {
+      return { overrides, reward, gasCost };
+    }
+    if (!reward) {
+      return this.allowUnknownReward
+        ? { overrides, reward, gasCost }
+        : { skip: SKIP_REASONS.REWARD_UNKNOWN, gasCost };
+    }
 
-      if (receipt.status === 1) {
-        this.stats.liquidationsExecuted++;
-        console.log(`✅ Liquidation successful! Gas used: ${receipt.gasUsed.toString()}`);
-        return { success: true, receipt };
-      } else {
-        console.log(`❌ Liquidation failed (reverted)`);
-        return { success: false, error: "Transaction reverted" };
-      }
-    } catch (error) {
-      // Expected behavior for non-liquidatable positions
-      if (error.message.includes("revert") || error.message.includes("TFHE.req")) {
-        console.log(`⏭️ Position not liquidatable yet`);
-      } else {
-        console.error(`❌ Liquidation error: ${error.message}`);
-        this.stats.errors++;
-      }
-      return { success: false, error: error.message };
+    const required = (gasCost.raw * (100n + BigInt(this.profitMarginPercent))) / 100n;
+    if (reward.raw < required) {
+      return { skip: SKIP_REASONS.UNPROFITABLE, reward, gasCost };
     }
+    return { overrides, reward, gasCost };
   }
 
-  async scanPositions() {
-    console.log(`\n🔍 Scanning ${this.monitoredPositions.size} positions...`);
-    const startTime = Date.now();
+  /** @param {object} [options] - `force` skips the profitability check */
+  async attemptLiquidation(trader, positionId, { force = false } = {}) {
+    if (!this.registry.beginLiquidation(trader, positionId)) {
+      const state = this.registry.get(trader, positionId)?.state || "unknown";
+      const reason = isPending(state) ? SKIP_REASONS.IN_FLIGHT : SKIP_REASONS.NOT_OPEN;
+      return this.skip(trader, positionId, reason, { state });
+    }
 
-    for (const position of this.monitoredPositions) {
-      this.stats.positionsChecked++;
+    const signer = this.signerPool.acquire();
+    if (!signer) {
+      this.registry.endLiquidation(trader, positionId, { success: false });
+      return this.skip(trader, positionId, SKIP_REASONS.NO_SIGNER);
+    }
 
-      const health = await this.checkPositionHealth(
-        position.trader,
-        position.positionId
-      );
+    let sent = false;
+    try {
+      const preflight = await this.preflight(trader, positionId, { force, dex: signer.dex });
+      if (preflight.skip) {
+        this.registry.endLiquidation(trader, positionId, { success: false });
+        const { skip: reason, ...fields } = preflight;
+        return this.skip(trader, positionId, reason, fields);
+      }
 
-      if (health.liquidatable) {
-        console.log(`⚠️ Found potentially liquidatable position:`);
-        console.log(`   Trader: ${position.trader}`);
-        console.log(`   Position: ${position.positionId}`);
+      if (this.dryRun) {
+        this.registry.endLiquidation(trader, positionId, { success: false });
+        this.stats.wouldLiquidate++;
+        this.logger.info("🧪 Would liquidate", {
+          trader,
+          positionId,
+          reward: preflight.reward?.format(),
+          gasCost: preflight.gasCost?.format()
+        });
+        return { dryRun: true, reward: preflight.reward, gasCost: preflight.gasCost };
+      }
+
+      this.logger.info("🔍 Attempting liquidation", {
+        trader,
+        positionId,
+        signer: signer.address,
+        reward: preflight.reward?.format(),
+        gasCost: preflight.gasCost?.format()
+      });
 
-        const result = await this.attemptLiquidation(
-          position.trader,
-          position.positionId
-        );
+      this.stats.liquidationAttempts++;
+      sent = true;
+      const receipt = await signer.dex.liquidate(trader, positionId, preflight.overrides);
 
-        if (result.success) {
-          // Wait a bit after successful liquidation
-          await new Promise(r => setTimeout(r, 5000));
-        }
+      this.registry.endLiquidation(trader, positionId, { success: true, txHash: receipt.hash });
+      this.stats.liquidationsExecuted++;
+      if (preflight.reward) {
+        this.stats.totalRewards += preflight.reward.raw;
       }
+      this.logger.info("✅ Liquidation successful", { trader, positionId, txHash: receipt.hash, gasUsed: receipt.gasUsed });
+      this.alerts.notify("liquidation", {
+        severity: "info",
+        key: `liquidation:${trader}:${positionId}`,
+        message: `Liquidated position ${positionId}`,
+        fields: { trader, positionId, txHash: receipt.hash, signer: signer.address, reward: preflight.reward?.format() ?? null }
+      });
+      return { success: true, receipt, reward: preflight.reward };
+    } catch (error) {
+      this.registry.endLiquidation(trader, positionId, { success: false });
 
-      // Small delay between checks
-      await new Promise(r => setTimeout(r, 1000));
+      // Another keeper can still get there between simulation and inclusion
+      if (error instanceof ContractRevertError) {
+        this.stats.liquidationReverts++;
+        this.logger.info("⏭️ Position not liquidatable yet", { trader, positionId, reason: error.reason || "reverted" });
+      } else {
+        this.logger.error("❌ Liquidation error", { trader, positionId, error });
+        this.recordError(error);
+      }
+      return { success: false, error: error.message };
+    } finally {
+      await this.signerPool.release(signer, { sent });
     }
+  }
 
-    const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`✅ Scan completed in ${elapsed}s`);
-    this.printStats();
+  /**
+   * Liquidate one position on demand, without a backfill or the scan loop.
+   * The position is read from the contract, so it need not be tracked yet.
+   */
+  async liquidate(trader, positionId, { force = false } = {}) {
+    await this.dex.initialize();
+    this.checkDeployment();
+    await this.signerPool.initialize();
+    const position = await this.reconcilePosition(trader, positionId);
+    if (position?.state !== POSITION_STATES.OPEN) {
+      return this.skip(trader, positionId, SKIP_REASONS.NOT_OPEN);
+    }
+    return this.attemptLiquidation(trader, positionId, { force });
   }
 
-  printStats() {
-    console.log("\n📊 Bot Statistics:");
-    console.log("─".repeat(50));
-    console.log(`  Monitored Positions: ${this.monitoredPositions.size}`);
-    console.log(`  Positions Checked:   ${this.stats.positionsChecked}`);
-    console.log(`  Liquidations:        ${this.stats.liquidationsExecuted}`);
-    console.log(`  Errors:              ${this.stats.errors}`);
-    console.log("─".repeat(50));
+  async collectMetrics() {
+    const metrics = await super.collectMetrics();
+    metrics.push(
+      {
+        name: "perpdex_liquidation_attempts_total",
+        help: "Liquidation transactions sent",
+        type: "counter",
+        samples: [{ value: this.stats.liquidationAttempts }]
+      },
+      {
+        name: "perpdex_liquidation_successes_total",
+        help: "Liquidations confirmed",
+        type: "counter",
+        samples: [{ value: this.stats.liquidationsExecuted }]
+      },
+      {
+        name: "perpdex_liquidation_reverts_total",
+        help: "Liquidation transactions that reverted",
+        type: "counter",
+        samples: [{ value: this.stats.liquidationReverts }]
+      },
+      {
+        name: "perpdex_liquidation_rewards_total",
+        help: "Estimated liquidation rewards earned, in collateral units",
+        type: "counter",
+        samples: [{ value: new Collateral(this.stats.totalRewards).toNumber() }]
+      }
+    );
+    return metrics;
   }
 
-  async start() {
-    if (this.isRunning) {
-      console.log("⚠️ Bot is already running");
-      return;
+  async scanPosition(position) {
+    // Closed by an event while the scan was running
+    if (position.state !== POSITION_STATES.OPEN) return;
+    this.stats.positionsChecked++;
+
+    const health = await this.checkPositionHealth(position.trader, position.positionId);
+    if (health.liquidatable) {
+      this.logger.debug("⚠️ Found potentially liquidatable position", {
+        trader: position.trader,
+        positionId: position.positionId
+      });
+      await this.attemptLiquidation(position.trader, position.positionId);
     }
+  }
+}
 
-    this.isRunning = true;
-    console.log(`🚀 Liquidation bot started`);
-    console.log(`⏰ Check interval: ${this.checkInterval / 1000}s\n`);
+// Configuration: defaults < config file (--config or BOT_CONFIG) < environment.
+// Keys are only read from the environment: PRIVATE_KEY, or PRIVATE_KEYS (comma-separated)
+// for a signer pool. LOG_LEVEL / LOG_FORMAT set up logging.
+export const CONFIG_SCHEMA = {
+  contractAddress: { type: "address", nullable: true, env: "CONTRACT_ADDRESS" },
+  rpcUrl: { type: "string", default: "https://devnet.zama.ai", env: "RPC_URL" },
+  rpcUrls: { type: "list", default: [], env: "RPC_URLS" },   // several endpoints; replaces rpcUrl
+  rpcQuorum: { type: "integer", min: 1, default: 1, env: "RPC_QUORUM" },
+  stateFile: { type: "string", default: ".liquidation-bot-state.json", env: "BOT_STATE_FILE" },
+  startBlock: { type: "integer", min: 0, default: 0, env: "START_BLOCK" },
+  checkIntervalMs: { type: "integer", min: 1000, default: 30000, env: "CHECK_INTERVAL_MS" },
+  concurrency: { type: "integer", min: 1, max: 256, default: 8, env: "SCAN_CONCURRENCY" },
+  requestsPerSecond: { type: "number", min: 0, default: 20, env: "RPC_REQUESTS_PER_SECOND" },   // 0 = unlimited
+  priority: { type: "string", values: Object.keys(SCAN_PRIORITIES), default: "leverage", env: "SCAN_PRIORITY" },
+  nativeTokenPrice: { type: "decimal", nullable: true, env: "NATIVE_TOKEN_PRICE" },   // null = no profitability check (mock only)
+  profitMarginPercent: { type: "number", min: 0, default: 20, env: "PROFIT_MARGIN_PERCENT" },
+  allowUnknownReward: { type: "boolean", default: false, env: "ALLOW_UNKNOWN_REWARD" },
+  feePolicy: { type: "string", values: Object.keys(FEE_POLICIES), default: "standard", env: "FEE_POLICY" },
+  maxFeePerGasGwei: { type: "decimal", nullable: true, env: "MAX_FEE_PER_GAS_GWEI" },   // null = uncapped
+  metricsPort: { type: "integer", min: 0, max: 65535, nullable: true, env: "METRICS_PORT" },
+  metricsHost: { type: "string", default: "127.0.0.1", env: "METRICS_HOST" },
+  staleAfterMs: { type: "integer", min: 1000, default: 60000, env: "STALE_AFTER_MS" },
+  ...ALERT_CONFIG_SCHEMA,
+  gasFloorEth: { type: "decimal", nullable: true, env: "GAS_FLOOR_ETH" }   // null = never retire a key
+};
+
+const USAGE = `Usage: node scripts/liquidation-bot.js [command] [options]
+
+Commands:
+  run                              Monitor and liquidate until stopped (default)
+  scan-once                        Backfill, check every open position once, exit
+  dry-run                          Like scan-once, but only log what would be liquidated
+  status                           Print the saved state file
+  liquidate <trader> <positionId>  Liquidate one position now
+
+Options:
+  -c, --config <file>  JSON or YAML config file (default: BOT_CONFIG)
+  -f, --force          liquidate: skip the profitability check
+  -h, --help           Show this help
+`;
+
+const COMMANDS = ["run", "scan-once", "dry-run", "status", "liquidate"];
+
+/** LiquidationBot constructor options from a loaded config. */
+function botOptions(config) {
+  const transactions = { feePolicy: config.feePolicy };
+  if (config.maxFeePerGasGwei != null) {
+    transactions.maxFeePerGas = ethers.parseUnits(config.maxFeePerGasGwei, "gwei");
+  }
 
-    while (this.isRunning) {
-      try {
-        await this.scanPositions();
-      } catch (error) {
-        console.error("❌ Scan error:", error.message);
-        this.stats.errors++;
-      }
+  return {
+    stateFile: config.stateFile,
+    fromBlock: config.startBlock,
+    checkInterval: config.checkIntervalMs,
+    concurrency: config.concurrency,
+    requestsPerSecond: config.requestsPerSecond || null,
+    priority: config.priority,
+    nativeTokenPrice: config.nativeTokenPrice,
+    profitMarginPercent: config.profitMarginPercent,
+    allowUnknownReward: config.allowUnknownReward,
+    transactions,
+    metricsPort: config.metricsPort,
+    metricsHost: config.metricsHost,
+    staleAfter: config.staleAfterMs,
+    ...alertOptions(config),
+    rpcQuorum: config.rpcQuorum,
+    gasFloor: config.gasFloorEth == null ? null : ethers.parseEther(config.gasFloorEth)
+  };
+}
 
-      if (this.isRunning) {
-        console.log(`\n⏳ Next scan in ${this.checkInterval / 1000}s...\n`);
-        await new Promise(r => setTimeout(r, this.checkInterval));
-      }
-    }
+async function printStatus(config) {
+  const state = await loadState(config.stateFile);
+  if (!state) {
+    throw new Error(`No state file at ${config.stateFile}`);
   }
 
-  stop() {
-    console.log("\n🛑 Stopping liquidation bot...");
-    this.isRunning = false;
-    this.dex.unsubscribeFromEvents();
-    this.printStats();
-    console.log("✅ Bot stopped");
-  }
+  console.log(JSON.stringify({
+    stateFile: config.stateFile,
+    contract: state.contract,
+    chainId: state.chainId,
+    lastBlock: state.lastBlock,
+    savedAt: state.savedAt,
+    monitoredPositions: state.positions.length,
+    positions: state.positions
+  }, null, 2));
 }
 
-// Main execution
-async function main() {
-  console.log("🤖 Confidential PerpDEX Liquidation Bot");
-  console.log("=".repeat(60));
-  console.log("");
+async function main(argv = process.argv.slice(2)) {
+  const { values: flags, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      config: { type: "string", short: "c" },
+      force: { type: "boolean", short: "f" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  const [command = "run", ...args] = positionals;
+
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
 
-  if (!process.env.CONTRACT_ADDRESS || !process.env.PRIVATE_KEY) {
-    console.error("❌ Missing environment variables!");
-    console.error("   Please set CONTRACT_ADDRESS and PRIVATE_KEY in .env");
-    process.exit(1);
+  const logger = createLoggerFromEnv();
+  const config = await loadConfig(CONFIG_SCHEMA, { file: flags.config || process.env.BOT_CONFIG });
+  if (command === "status") {
+    return printStatus(config);
   }
 
-  const bot = new LiquidationBot(
-    process.env.CONTRACT_ADDRESS,
-    process.env.RPC_URL || "https://devnet.zama.ai",
-    process.env.PRIVATE_KEY
-  );
+  logger.info("🤖 Confidential PerpDEX Liquidation Bot", { command });
+  const privateKeys = (process.env.PRIVATE_KEYS || process.env.PRIVATE_KEY || "").split(",").map(key => key.trim()).filter(Boolean);
+  if (!config.contractAddress || privateKeys.length === 0) {
+    throw new Error("Missing contract address or private key! Set contractAddress (or CONTRACT_ADDRESS) and PRIVATE_KEY in .env");
+  }
 
-  // Handle graceful shutdown
-  process.on("SIGINT", () => {
-    console.log("\n\n⚠️ Received SIGINT signal");
-    bot.stop();
-    process.exit(0);
-  });
+  let target;
+  if (command === "liquidate") {
+    const [trader, positionId] = args;
+    if (!ethers.isAddress(trader) || !ethers.isHexString(positionId, 32)) {
+      throw new Error(`Usage: liquidate <trader address> <positionId (bytes32)>\n\n${USAGE}`);
+    }
+    target = { trader, positionId };
+  }
 
-  process.on("SIGTERM", () => {
-    console.log("\n\n⚠️ Received SIGTERM signal");
-    bot.stop();
-    process.exit(0);
+  const longRunning = command === "run";
+  const rpcUrls = config.rpcUrls.length > 0 ? config.rpcUrls : config.rpcUrl;
+  const bot = new LiquidationBot(config.contractAddress, rpcUrls, privateKeys, {
+    ...botOptions(config),
+    logger,
+    dryRun: command === "dry-run",
+    // A manual liquidation only knows one position: leave the state file to the running bot
+    stateFile: target ? null : config.stateFile,
+    // Only the long-running bot serves metrics
+    metricsPort: longRunning ? config.metricsPort : null
   });
 
+  // Handle graceful shutdown
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, async () => {
+      logger.warn(`⚠️ Received ${signal} signal`);
+      await bot.stop();
+      process.exit(0);
+    });
+  }
+
   try {
+    if (target) {
+      const result = await bot.liquidate(target.trader, target.positionId, { force: flags.force });
+      if (!result.success) process.exitCode = 1;
+      return;
+    }
+
     await bot.initialize();
-    await bot.start();
+    if (longRunning) {
+      await bot.start();
+    } else {
+      await bot.scanPositions();
+      await bot.stop();
+    }
   } catch (error) {
-    console.error("❌ Fatal error:", error);
-    bot.stop();
+    logger.error("❌ Fatal error", { error });
+    await bot.stop();
     process.exit(1);
   }
 }
 
-main().catch(console.error);
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,307 @@
+import {
+  ContractRevertError,
+  PositionNotOpenError,
+  Price,
+  POSITION_EVENTS,
+  createLoggerFromEnv
+} from "../src/perp-dex-sdk.js";
+import { PositionKeeper, isRpcError } from "./lib/keeper.js";
+import { POSITION_STATES, isPending } from "./lib/position-registry.js";
+import { ALERT_CONFIG_SCHEMA, alertOptions } from "./lib/alerts.js";
+import { loadConfig } from "./lib/config.js";
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Stop-Loss / Take-Profit Keeper
+ *
+ * Watches positions with a stop loss or take profit and calls
+ * executeStopLossTakeProfit once one fires. Positions are picked up from
+ * PositionOpened and StopLossTakeProfitUpdated; every PriceUpdated triggers a
+ * scan, and a periodic scan catches anything missed.
+ *
+ * Mock contract only. A position's triggers and the checkStopLossTakeProfit
+ * flags are read through the SDK's decryption path (decryptHandle,
+ * decryptStopLossTakeProfit), which on the mock contract returns plaintext. On
+ * fhEVM the flags come from an eth_call, so they are never stored or allowed
+ * and cannot be re-encrypted, and the FHE contract closes a position on
+ * execute without checking its triggers. initialize() refuses that contract.
+ *
+ * Positions whose triggers cannot be decrypted are skipped until they change;
+ * RPC failures are retried on the next scan instead.
+ *
+ * State, backfill, live events, retries, stats and the signer pool work as in
+ * the liquidation bot (see scripts/lib/keeper.js). Decryption always uses the
+ * first key.
+ */
+
+export const SKIP_REASONS = {
+  IN_FLIGHT: "in-flight",
+  NOT_OPEN: "not-open",
+  NO_TRIGGERS: "no-triggers",
+  UNDECRYPTABLE: "undecryptable",
+  NOT_TRIGGERED: "not-triggered",
+  NO_SIGNER: "no-signer"
+};
+
+function hasTriggers({ stopLoss, takeProfit }) {
+  return stopLoss.raw !== 0n || takeProfit.raw !== 0n;
+}
+
+export class StopLossTakeProfitKeeper extends PositionKeeper {
+  static displayName = "SL/TP keeper";
+  static metricsName = "sltp-keeper";
+  static defaultStateFile = ".sltp-keeper-state.json";
+  static skipReasons = SKIP_REASONS;
+  static eventNames = [...POSITION_EVENTS, "PriceUpdated"];
+
+  /** Takes the PositionKeeper options. */
+  constructor(contractAddress, rpcUrl, privateKey, options = {}) {
+    super(contractAddress, rpcUrl, privateKey, options);
+
+    Object.assign(this.stats, {
+      executionAttempts: 0,   // transactions sent
+      executionReverts: 0,
+      executed: 0,
+      stopLosses: 0,
+      takeProfits: 0
+    });
+  }
+
+  async handleEvent(event) {
+    if (event.name === "PriceUpdated") {
+      if (!event.removed) {
+        this.logger.debug("💹 Oracle price updated, scanning", { blockNumber: event.blockNumber });
+        this.requestScan();
+      }
+      return null;
+    }
+
+    if (event.name === "StopLossTakeProfitUpdated") {
+      // New triggers: read them again on the next scan
+      const tracked = this.registry.get(event.trader, event.positionId);
+      if (tracked) {
+        tracked.triggers = null;
+        tracked.undecryptable = false;
+      }
+    }
+    return super.handleEvent(event);
+  }
+
+  checkDeployment() {
+    if (this.dex.encryptor.kind !== "mock") {
+      throw new Error(
+        "The SL/TP keeper only supports ConfidentialPerpDEXMock: on fhEVM the trigger flags cannot be decrypted"
+      );
+    }
+  }
+
+  /** Open positions whose triggers are set, or not read yet. */
+  scanCandidates() {
+    return this.registry.open().filter(p => !p.undecryptable && (!p.triggers || hasTriggers(p.triggers)));
+  }
+
+  async readTriggers(position) {
+    const [stopLoss, takeProfit] = await Promise.all([
+      this.dex.decryptHandle(position.stopLoss),
+      this.dex.decryptHandle(position.takeProfit)
+    ]);
+    return { stopLoss: new Price(stopLoss), takeProfit: new Price(takeProfit) };
+  }
+
+  async scanPosition(position) {
+    // Closed by an event while the scan was running
+    if (position.state !== POSITION_STATES.OPEN) return;
+    this.stats.positionsChecked++;
+    const { trader, positionId } = position;
+
+    try {
+      const stored = await this.readPosition(trader, positionId);
+      if (!stored) return;
+
+      let triggered;
+      try {
+        position.triggers ??= await this.readTriggers(stored);
+        if (!hasTriggers(position.triggers)) {
+          return this.skip(trader, positionId, SKIP_REASONS.NO_TRIGGERS);
+        }
+        triggered = await this.dex.decryptStopLossTakeProfit(trader, positionId);
+      } catch (error) {
+        // Reverts and RPC failures are handled below; the next scan retries
+        if (error instanceof ContractRevertError || isRpcError(error)) throw error;
+
+        position.undecryptable = true;
+        this.logger.warn("⚠️ Cannot decrypt SL/TP, skipping the position until its triggers change", {
+          trader,
+          positionId,
+          error
+        });
+        return this.skip(trader, positionId, SKIP_REASONS.UNDECRYPTABLE);
+      }
+
+      if (!triggered.slTriggered && !triggered.tpTriggered) {
+        return this.skip(trader, positionId, SKIP_REASONS.NOT_TRIGGERED);
+      }
+      return await this.attemptExecution(trader, positionId, triggered);
+    } catch (error) {
+      if (error instanceof PositionNotOpenError) {
+        this.registry.reconcile(trader, positionId, { isOpen: false });
+        return this.skip(trader, positionId, SKIP_REASONS.NOT_OPEN);
+      }
+      this.logger.error("❌ SL/TP check failed", { trader, positionId, error });
+      this.recordError(error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async attemptExecution(trader, positionId, { slTriggered }) {
+    if (!this.registry.beginExecution(trader, positionId)) {
+      const state = this.registry.get(trader, positionId)?.state || "unknown";
+      const reason = isPending(state) ? SKIP_REASONS.IN_FLIGHT : SKIP_REASONS.NOT_OPEN;
+      return this.skip(trader, positionId, reason, { state });
+    }
+
+    const signer = this.signerPool.acquire();
+    if (!signer) {
+      this.registry.endExecution(trader, positionId, { success: false });
+      return this.skip(trader, positionId, SKIP_REASONS.NO_SIGNER);
+    }
+
+    const trigger = slTriggered ? "stopLoss" : "takeProfit";
+    let sent = false;
+    try {
+      let simulation;
+      try {
+        simulation = await signer.dex.simulateStopLossTakeProfit(trader, positionId);
+      } catch (error) {
+        if (!(error instanceof ContractRevertError)) throw error;
+        this.registry.endExecution(trader, positionId, { success: false });
+        const reason = error instanceof PositionNotOpenError ? SKIP_REASONS.NOT_OPEN : SKIP_REASONS.NOT_TRIGGERED;
+        return this.skip(trader, positionId, reason, { revertReason: error.reason || "reverted" });
+      }
+
+      this.logger.info("🎯 Executing SL/TP", { trader, positionId, trigger, signer: signer.address });
+      this.stats.executionAttempts++;
+      sent = true;
+      const receipt = await signer.dex.executeStopLossTakeProfit(trader, positionId, {
+        gasLimit: simulation.gasLimit,
+        ...simulation.fees
+      });
+
+      this.registry.endExecution(trader, positionId, { success: true, txHash: receipt.hash });
+      this.stats.executed++;
+      this.stats[slTriggered ? "stopLosses" : "takeProfits"]++;
+      this.logger.info("✅ SL/TP executed", { trader, positionId, trigger, txHash: receipt.hash, gasUsed: receipt.gasUsed });
+      return { success: true, receipt, trigger };
+    } catch (error) {
+      // Back to open: the next scan retries
+      this.registry.endExecution(trader, positionId, { success: false });
+
+      if (error instanceof ContractRevertError) {
+        this.stats.executionReverts++;
+        this.logger.info("⏭️ SL/TP no longer executable", { trader, positionId, reason: error.reason || "reverted" });
+      } else {
+        this.logger.error("❌ SL/TP execution error", { trader, positionId, error });
+        this.recordError(error);
+      }
+      return { success: false, error: error.message };
+    } finally {
+      await this.signerPool.release(signer, { sent });
+    }
+  }
+
+  async collectMetrics() {
+    const metrics = await super.collectMetrics();
+    metrics.push(
+      {
+        name: "perpdex_sltp_attempts_total",
+        help: "SL/TP execution transactions sent",
+        type: "counter",
+        samples: [{ value: this.stats.executionAttempts }]
+      },
+      {
+        name: "perpdex_sltp_executions_total",
+        help: "SL/TP executions confirmed, by trigger",
+        type: "counter",
+        samples: [
+          { labels: { trigger: "stopLoss" }, value: this.stats.stopLosses },
+          { labels: { trigger: "takeProfit" }, value: this.stats.takeProfits }
+        ]
+      },
+      {
+        name: "perpdex_sltp_reverts_total",
+        help: "SL/TP execution transactions that reverted",
+        type: "counter",
+        samples: [{ value: this.stats.executionReverts }]
+      }
+    );
+    return metrics;
+  }
+}
+
+// Main execution
+// LOG_LEVEL=debug|info|warn|error|silent, LOG_FORMAT=pretty|json
+// KEEPER_STATE_FILE (default .sltp-keeper-state.json), START_BLOCK = deployment block
+// SCAN_CONCURRENCY (default 8), RPC_REQUESTS_PER_SECOND (default 20, 0 = unlimited)
+// RPC_URLS = several endpoints (comma-separated), RPC_QUORUM (default 1)
+// PRIVATE_KEYS = signer pool (comma-separated, the first one decrypts), GAS_FLOOR_ETH = retire keys below this
+// METRICS_PORT = serve /metrics, /healthz, /readyz (unset: off), METRICS_HOST (default 127.0.0.1), STALE_AFTER_MS (default 60000)
+// ALERT_WEBHOOK_URLS, ALERT_TEMPLATE, ALERT_COOLDOWN_MS, ALERT_MAX_PER_MINUTE, ALERT_ERROR_THRESHOLD, MIN_BALANCE_ETH: as for the liquidation bot
+async function main(logger) {
+  logger.info("🤖 Confidential PerpDEX SL/TP Keeper");
+
+  const privateKeys = (process.env.PRIVATE_KEYS || process.env.PRIVATE_KEY || "").split(",").map(key => key.trim()).filter(Boolean);
+  if (!process.env.CONTRACT_ADDRESS || privateKeys.length === 0) {
+    logger.error("❌ Missing environment variables! Please set CONTRACT_ADDRESS and PRIVATE_KEY in .env");
+    process.exit(1);
+  }
+  const alertConfig = await loadConfig(ALERT_CONFIG_SCHEMA);
+
+  const keeper = new StopLossTakeProfitKeeper(
+    process.env.CONTRACT_ADDRESS,
+    (process.env.RPC_URLS || process.env.RPC_URL || "https://devnet.zama.ai").split(",").map(url => url.trim()),
+    privateKeys,
+    {
+      logger,
+      stateFile: process.env.KEEPER_STATE_FILE || ".sltp-keeper-state.json",
+      fromBlock: Number(process.env.START_BLOCK || 0),
+      concurrency: Number(process.env.SCAN_CONCURRENCY || 8),
+      requestsPerSecond: Number(process.env.RPC_REQUESTS_PER_SECOND || 20) || null,
+      metricsPort: process.env.METRICS_PORT ? Number(process.env.METRICS_PORT) : null,
+      metricsHost: process.env.METRICS_HOST,
+      staleAfter: Number(process.env.STALE_AFTER_MS || 60000),
+      rpcQuorum: Number(process.env.RPC_QUORUM || 1),
+      gasFloor: process.env.GAS_FLOOR_ETH ? ethers.parseEther(process.env.GAS_FLOOR_ETH) : null,
+      ...alertOptions(alertConfig)
+    }
+  );
+
+  // Handle graceful shutdown
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, async () => {
+      logger.warn(`⚠️ Received ${signal} signal`);
+      await keeper.stop();
+      process.exit(0);
+    });
+  }
+
+  try {
+    await keeper.initialize();
+    await keeper.start();
+  } catch (error) {
+    logger.error("❌ Fatal error", { error });
+    await keeper.stop();
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const logger = createLoggerFromEnv();
+  main(logger).catch(error => {
+    logger.error("❌ Fatal error", { error });
+    process.exit(1);
+  });
+}
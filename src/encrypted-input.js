@@ -0,0 +1,80 @@
+import { FixedPoint, UINT64_MAX } from "./units.js";
+
+const TYPE_RANGES = {
+  u64: UINT64_MAX,
+  u8: 255n,
+  bool: 1n
+};
+
+/**
+ * Ciphertexts for one transaction: every value shares a single input proof.
+ * `handles` follow the order values were added to the builder; each is passed
+ * as an `einput` argument and `inputProof` once, as the call's last argument.
+ */
+export class EncryptedInput {
+  constructor(encryptor, { handles, inputProof }) {
+    this.encryptor = encryptor;
+    this.handles = handles;
+    this.inputProof = inputProof;
+  }
+
+  /** `einput` argument for the value at `index`. */
+  handle(index) {
+    if (index < 0 || index >= this.handles.length) {
+      throw new RangeError(`No encrypted value at index ${index} (input has ${this.handles.length})`);
+    }
+    return this.handles[index];
+  }
+}
+
+/**
+ * Collects typed plaintext values for one contract call and encrypts them
+ * together, bound to the target contract and the sending user.
+ *
+ *   const input = await dex.createEncryptedInput()
+ *     .add64(size)
+ *     .add64(stopLoss)
+ *     .encrypt();
+ */
+export class EncryptedInputBuilder {
+  constructor(encryptor, contractAddress, userAddress) {
+    this.encryptor = encryptor;
+    this.contractAddress = contractAddress;
+    this.userAddress = userAddress;
+    this.values = [];
+  }
+
+  get length() {
+    return this.values.length;
+  }
+
+  add64(value) {
+    return this.add("u64", value instanceof FixedPoint ? value.raw : value);
+  }
+
+  add8(value) {
+    return this.add("u8", value);
+  }
+
+  addBool(value) {
+    return this.add("bool", value ? 1n : 0n);
+  }
+
+  add(type, value) {
+    const bigValue = BigInt(value);
+    if (bigValue < 0n || bigValue > TYPE_RANGES[type]) {
+      throw new RangeError(`Value ${value} is outside the ${type} range`);
+    }
+    this.values.push({ type, value: bigValue });
+    return this;
+  }
+
+  async encrypt() {
+    if (this.values.length === 0) {
+      throw new Error("Encrypted input is empty");
+    }
+
+    const encrypted = await this.encryptor.encryptInput(this.values, this.contractAddress, this.userAddress);
+    return new EncryptedInput(this.encryptor, encrypted);
+  }
+}
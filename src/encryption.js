@@ -0,0 +1,158 @@
+import { ethers } from "ethers";
+import { createInstance } from "fhevmjs";
+
+/**
+ * Encryption backends
+ *
+ * The SDK never talks to fhevmjs directly. It goes through an encryptor that
+ * turns plaintext values into the input handles and proof the contract expects
+ * (`einput` arguments plus one trailing `bytes inputProof`) and turns handles
+ * read from the contract back into plaintext for their owner.
+ *
+ * Every encryptor implements:
+ *   kind                                   "fhevm" | "mock"
+ *   init({ provider, contractAddress, userAddress })
+ *   encryptInput(values, contractAddress, userAddress)
+ *                                          -> { handles, inputProof } for [{ type: "u64"|"u8"|"bool", value }]
+ *   generateKeypair()                      -> { publicKey, privateKey }
+ *   createEIP712(publicKey, contractAddress)
+ *   reencrypt(handle, privateKey, publicKey, signature, contractAddress, userAddress) -> bigint
+ */
+
+const MOCK_PROBE_ABI = ["function mockEncrypt(uint256 value) external pure returns (bytes32)"];
+
+const FHEVM_ADDERS = {
+  u64: "add64",
+  u8: "add8",
+  bool: "addBool"
+};
+
+/**
+ * Real FHE encryption through fhevmjs. The network public key is fetched from
+ * the node at `networkUrl` (defaults to the provider's own RPC URL, the active
+ * endpoint for a FailoverProvider).
+ */
+export class FhevmEncryptor {
+  constructor({ networkUrl, gatewayUrl, aclAddress, publicKey } = {}) {
+    this.kind = "fhevm";
+    this.config = { networkUrl, gatewayUrl, aclAddress, publicKey };
+    this.instance = null;
+  }
+
+  async init({ provider }) {
+    const { chainId } = await provider.getNetwork();
+    const networkUrl = this.config.networkUrl || provider._getConnection?.().url;
+
+    this.instance = await createInstance({ ...this.config, chainId: Number(chainId), networkUrl });
+  }
+
+  async encryptInput(values, contractAddress, userAddress) {
+    const input = this.instance.createEncryptedInput(contractAddress, userAddress);
+    for (const { type, value } of values) {
+      input[FHEVM_ADDERS[type]](value);
+    }
+
+    const { handles, inputProof } = input.encrypt();
+    return {
+      handles: handles.map(handle => ethers.hexlify(handle)),
+      inputProof: ethers.hexlify(inputProof)
+    };
+  }
+
+  generateKeypair() {
+    return this.instance.generateKeypair();
+  }
+
+  createEIP712(publicKey, contractAddress) {
+    return this.instance.createEIP712(publicKey, contractAddress);
+  }
+
+  reencrypt(handle, privateKey, publicKey, signature, contractAddress, userAddress) {
+    return this.instance.reencrypt(handle, privateKey, publicKey, signature, contractAddress, userAddress);
+  }
+}
+
+/**
+ * Plaintext encoding for ConfidentialPerpDEXMock. Each handle is the value
+ * itself as bytes32, exactly like the contract's `mockEncrypt`, and there is
+ * no proof. Handles read back from it already are the values.
+ */
+export class MockEncryptor {
+  constructor() {
+    this.kind = "mock";
+    this.chainId = null;
+  }
+
+  async init({ provider }) {
+    const { chainId } = await provider.getNetwork();
+    this.chainId = Number(chainId);
+  }
+
+  async encryptInput(values) {
+    return {
+      handles: values.map(({ value }) => ethers.toBeHex(value, 32)),
+      inputProof: "0x"
+    };
+  }
+
+  generateKeypair() {
+    return {
+      publicKey: ethers.hexlify(ethers.randomBytes(32)),
+      privateKey: ethers.hexlify(ethers.randomBytes(32))
+    };
+  }
+
+  createEIP712(publicKey, contractAddress) {
+    return {
+      domain: { name: "Authorization token", version: "1", chainId: this.chainId, verifyingContract: contractAddress },
+      types: { Reencrypt: [{ name: "publicKey", type: "bytes" }] },
+      message: { publicKey },
+      primaryType: "Reencrypt"
+    };
+  }
+
+  async reencrypt(handle) {
+    return BigInt(handle);
+  }
+}
+
+/**
+ * Probe a deployment for the mock contract's `mockEncrypt` helper. A revert or
+ * an undecodable answer means FHE; any other failure (network, RPC) is thrown.
+ * @returns {Promise<"mock"|"fhe">}
+ */
+export async function detectContractFlavor(provider, contractAddress) {
+  const probe = new ethers.Contract(contractAddress, MOCK_PROBE_ABI, provider);
+  try {
+    await probe.mockEncrypt(1);
+    return "mock";
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA") {
+      return "fhe";
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve the `encryption` SDK option into an encryptor instance.
+ * Accepts "fhevm", "mock", "auto" (probe the contract) or a ready-made encryptor.
+ */
+export async function createEncryptor(encryption, { provider, contractAddress, fhevm } = {}) {
+  if (encryption && typeof encryption === "object") {
+    return encryption;
+  }
+
+  switch (encryption || "auto") {
+    case "fhevm":
+      return new FhevmEncryptor(fhevm);
+    case "mock":
+      return new MockEncryptor();
+    case "auto": {
+      const flavor = await detectContractFlavor(provider, contractAddress);
+      return flavor === "mock" ? new MockEncryptor() : new FhevmEncryptor(fhevm);
+    }
+    default:
+      throw new Error(`Unknown encryption backend: ${encryption}`);
+  }
+}
@@ -0,0 +1,116 @@
+import { ethers } from "ethers";
+
+/**
+ * Typed SDK errors
+ *
+ * Contract reverts are decoded into one class per revert reason so callers
+ * can use `instanceof` instead of matching on raw ethers error messages.
+ */
+
+export class PerpDEXError extends Error {
+  constructor(message, { cause, txHash } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.txHash = txHash;
+  }
+}
+
+/** Any revert from the contract. Unknown reasons surface as this base class. */
+export class ContractRevertError extends PerpDEXError {
+  constructor(reason, options = {}) {
+    super(reason ? `Contract reverted: ${reason}` : "Contract reverted", options);
+    this.reason = reason || null;
+  }
+}
+
+export class PositionNotOpenError extends ContractRevertError {}
+export class OnlyAdminError extends ContractRevertError {}
+export class InsufficientBalanceError extends ContractRevertError {}
+export class PositionNotLiquidatableError extends ContractRevertError {}
+export class StopLossTakeProfitNotTriggeredError extends ContractRevertError {}
+
+/** The transaction was broadcast but not confirmed in time. Use speedUp/cancel on `tx`. */
+export class TransactionTimeoutError extends PerpDEXError {
+  constructor(tx, timeout, options = {}) {
+    super(`Transaction ${tx.hash} not confirmed within ${timeout}ms`, { ...options, txHash: tx.hash });
+    this.tx = tx;
+  }
+}
+
+/** The transaction was replaced by one doing something else (e.g. cancelled). */
+export class TransactionReplacedError extends PerpDEXError {
+  constructor(txHash, replacement, options = {}) {
+    super(`Transaction ${txHash} was replaced by ${replacement?.hash}`, { ...options, txHash });
+    this.replacement = replacement;
+  }
+}
+
+/** A write or decrypt method was called on a client created without a signer. */
+export class ReadOnlyError extends PerpDEXError {
+  constructor(action) {
+    super(`${action}() needs a signer; this client is read-only`);
+    this.action = action;
+  }
+}
+
+/** The method cannot work against the FHE contract (e.g. it needs an eth_call result decrypted). */
+export class NotSupportedError extends PerpDEXError {
+  constructor(action, reason) {
+    super(`${action}() is not supported on this contract: ${reason}`);
+    this.action = action;
+  }
+}
+
+// require() messages in ConfidentialPerpDEX.sol and ConfidentialPerpDEXMock.sol
+export const REVERT_REASONS = {
+  "Position not open": PositionNotOpenError,
+  "Only admin": OnlyAdminError,
+  "Insufficient balance": InsufficientBalanceError,
+  "Position not liquidatable": PositionNotLiquidatableError,
+  "Stop loss / take profit not triggered": StopLossTakeProfitNotTriggeredError
+};
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";   // Error(string)
+
+/** Revert payload from an ethers CALL_EXCEPTION or a raw provider error (Hardhat, MetaMask). */
+function revertData(error) {
+  const data = error.data ?? error.error?.data ?? error.info?.error?.data;
+  return typeof data === "string" && ethers.isHexString(data) && data.length >= 10 ? data : null;
+}
+
+function decodeReason(data, iface) {
+  if (data.startsWith(ERROR_STRING_SELECTOR)) {
+    return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+  }
+  // Custom errors declared in the ABI
+  return iface?.parseError(data)?.name ?? null;
+}
+
+/**
+ * Turn an ethers error into a typed SDK error. Errors that are not contract
+ * reverts (network, signer rejections, ...) are returned unchanged.
+ * @param {Error} error
+ * @param {import("ethers").Interface} [iface] - Used to decode custom errors
+ */
+export function decodeContractError(error, iface) {
+  if (!error || error instanceof PerpDEXError) {
+    return error;
+  }
+
+  const data = revertData(error);
+  if (error.code !== "CALL_EXCEPTION" && !data) {
+    return error;
+  }
+
+  let reason = error.revert?.args?.[0] ?? error.reason ?? null;
+  if (!reason && data) {
+    try {
+      reason = decodeReason(data, iface);
+    } catch {
+      // Malformed or undeclared revert data
+    }
+  }
+
+  const ErrorClass = REVERT_REASONS[reason] || ContractRevertError;
+  return new ErrorClass(reason, { cause: error, txHash: error.receipt?.hash ?? error.transaction?.hash ?? error.transactionHash });
+}
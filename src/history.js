@@ -0,0 +1,314 @@
+import { ethers } from "ethers";
+
+/**
+ * Historical queries over contract events
+ *
+ * Built on `contract.queryFilter`, split into block-range chunks so it works
+ * against RPC providers that cap eth_getLogs ranges. Results are plain event
+ * records ordered by (blockNumber, logIndex):
+ *
+ *   { name, ...args, blockNumber, blockHash, transactionHash, logIndex, timestamp?, log }
+ */
+
+// Every event carrying (address indexed trader, bytes32 indexed positionId)
+export const POSITION_EVENTS = [
+  "PositionOpened",
+  "StopLossTakeProfitUpdated",
+  "StopLossTriggered",
+  "TakeProfitTriggered",
+  "LiquidationTriggered",
+  "PositionClosed"
+];
+
+export const ORDER_EVENTS = ["OrderPlaced", "OrderMatched"];
+
+const DEFAULT_OPTIONS = {
+  fromBlock: 0,       // deployment block; nothing older is queried
+  blockRange: 5000    // blocks per eth_getLogs call
+};
+
+// Provider messages for "range too large" / "too many results"
+const RANGE_LIMIT_PATTERN = /block range|range (is )?too|too (many|large|wide)|more than \d+|exceed|limited to/i;
+// Rate limiting ("too many requests", "exceeded its compute units") is not
+// about the range; halving it would only send more requests
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|\b429\b|compute units|throughput/i;
+
+function isRangeLimitError(error) {
+  const message = [error?.message, error?.error?.message, error?.info?.error?.message, error?.info?.responseStatus].join(" ");
+  return RANGE_LIMIT_PATTERN.test(message) && !RATE_LIMIT_PATTERN.test(message);
+}
+
+function isAfter(event, cursor) {
+  return event.blockNumber > cursor.blockNumber ||
+    (event.blockNumber === cursor.blockNumber && event.logIndex > cursor.logIndex);
+}
+
+/** Flatten an ethers EventLog into a history record. */
+export function toHistoryEvent(log) {
+  const args = {};
+  log.fragment.inputs.forEach((input, i) => {
+    args[input.name] = log.args[i];
+  });
+
+  return {
+    name: log.eventName,
+    ...args,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    log
+  };
+}
+
+export class EventHistory {
+  /**
+   * @param {import("ethers").Contract} contract
+   * @param {object} [options]
+   * @param {number} [options.fromBlock=0] - Deployment block, the default start of every query
+   * @param {number} [options.blockRange=5000] - Max blocks per eth_getLogs call.
+   *   Halved automatically when the provider rejects a range.
+   */
+  constructor(contract, options = {}) {
+    this.contract = contract;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.blockTimestamps = new Map();
+  }
+
+  get provider() {
+    return this.contract.runner.provider;
+  }
+
+  async resolveBlock(tag) {
+    if (typeof tag === "number") return tag;
+    if (typeof tag === "bigint") return Number(tag);
+    const block = await this.provider.getBlock(tag);
+    return block.number;
+  }
+
+  /**
+   * Topic filter for one or more events sharing the same indexed arguments.
+   * `args` are the indexed values in order; null/undefined matches anything
+   * and an array matches any of its values.
+   */
+  encodeTopics(eventNames, args = []) {
+    const fragment = this.contract.interface.getEvent(eventNames[0]);
+    const indexed = fragment.inputs.filter(input => input.indexed);
+
+    const topics = [eventNames];
+    args.forEach((value, i) => {
+      if (value == null) {
+        topics.push(null);
+      } else {
+        const encode = v => encodeTopic(indexed[i].type, v);
+        topics.push(Array.isArray(value) ? value.map(encode) : encode(value));
+      }
+    });
+
+    // Trailing wildcards are implied
+    while (topics.length > 1 && topics[topics.length - 1] === null) topics.pop();
+    return topics;
+  }
+
+  /**
+   * Yield logs for `topics` one block-range chunk at a time.
+   */
+  async *scan(topics, fromBlock, toBlock) {
+    let range = this.options.blockRange;
+    let start = fromBlock;
+
+    while (start <= toBlock) {
+      const end = Math.min(start + range - 1, toBlock);
+
+      let logs;
+      try {
+        logs = await this.contract.queryFilter(topics, start, end);
+      } catch (error) {
+        if (end > start && isRangeLimitError(error)) {
+          range = Math.max(1, Math.floor((end - start + 1) / 2));
+          continue;
+        }
+        throw error;
+      }
+
+      yield logs.filter(log => log.fragment).map(toHistoryEvent);
+      start = end + 1;
+    }
+  }
+
+  /**
+   * One page of events.
+   * @param {string|string[]} eventNames
+   * @param {Array} [args] - Indexed argument filter, see encodeTopics
+   * @param {object} [options]
+   * @param {number|string} [options.fromBlock] - Defaults to the deployment block
+   * @param {number|string} [options.toBlock="latest"]
+   * @param {number} [options.limit] - Max events in this page
+   * @param {object} [options.cursor] - `cursor` from the previous page
+   * @param {boolean} [options.withTimestamps=false] - Add block timestamps (one getBlock per new block)
+   * @returns {Promise<{ events: object[], cursor: object|null }>} cursor is null on the last page
+   */
+  async queryEvents(eventNames, args = [], { fromBlock, toBlock, limit = Infinity, cursor, withTimestamps = false } = {}) {
+    const topics = this.encodeTopics([].concat(eventNames), args);
+    const end = cursor?.toBlock ?? await this.resolveBlock(toBlock ?? "latest");
+    const start = cursor?.blockNumber ?? await this.resolveBlock(fromBlock ?? this.options.fromBlock);
+
+    const events = [];
+    let nextCursor = null;
+
+    scan: for await (const chunk of this.scan(topics, start, end)) {
+      for (const event of chunk) {
+        if (cursor && !isAfter(event, cursor)) continue;
+
+        events.push(event);
+        if (events.length >= limit) {
+          nextCursor = { toBlock: end, blockNumber: event.blockNumber, logIndex: event.logIndex };
+          break scan;
+        }
+      }
+    }
+
+    if (withTimestamps) {
+      await this.addTimestamps(events);
+    }
+    return { events, cursor: nextCursor };
+  }
+
+  /** Every event in the range, across all pages. */
+  async queryAll(eventNames, args = [], options = {}) {
+    const { events } = await this.queryEvents(eventNames, args, { ...options, limit: Infinity });
+    return events;
+  }
+
+  async addTimestamps(events) {
+    for (const event of events) {
+      if (!this.blockTimestamps.has(event.blockNumber)) {
+        const block = await this.provider.getBlock(event.blockNumber);
+        this.blockTimestamps.set(event.blockNumber, block.timestamp);
+      }
+      event.timestamp = this.blockTimestamps.get(event.blockNumber);
+    }
+    return events;
+  }
+
+  /**
+   * Lifecycle of every position matching the filter, oldest first.
+   *
+   *   { trader, positionId, isLong, status, opened, closed, events }
+   *
+   * status is "open", "closed", "stopLoss", "takeProfit" or "liquidated".
+   * `opened`/`closed` are the events that started and ended the position
+   * (null if outside the queried range or still open).
+   */
+  async getPositionTimelines({ trader, positionId, ...options } = {}) {
+    const events = await this.queryAll(POSITION_EVENTS, [trader, positionId], options);
+
+    const timelines = new Map();
+    for (const event of events) {
+      const key = `${event.trader.toLowerCase()}:${event.positionId}`;
+      if (!timelines.has(key)) {
+        timelines.set(key, {
+          trader: event.trader,
+          positionId: event.positionId,
+          isLong: null,
+          status: "open",
+          opened: null,
+          closed: null,
+          events: []
+        });
+      }
+      applyPositionEvent(timelines.get(key), event);
+    }
+
+    return [...timelines.values()];
+  }
+
+  /**
+   * Orders placed (optionally by one trader) and the fills they got.
+   *
+   *   { orderId, trader, isLong, status: "open"|"matched", placed, matches: [{ orderId, event }] }
+   */
+  async getOrders({ trader, ...options } = {}) {
+    const placed = await this.queryAll("OrderPlaced", [trader], options);
+    const orders = new Map(placed.map(event => [event.orderId, {
+      orderId: event.orderId,
+      trader: event.trader,
+      isLong: event.isLong,
+      status: "open",
+      placed: event,
+      matches: []
+    }]));
+
+    if (trader && orders.size === 0) {
+      return [];
+    }
+
+    // A trader's orders can be on either side of a match
+    const ids = trader ? [...orders.keys()] : null;
+    const matched = trader
+      ? mergeEvents(
+          await this.queryAll("OrderMatched", [ids], options),
+          await this.queryAll("OrderMatched", [null, ids], options)
+        )
+      : await this.queryAll("OrderMatched", [], options);
+
+    for (const event of matched) {
+      for (const [own, other] of [[event.orderId1, event.orderId2], [event.orderId2, event.orderId1]]) {
+        const order = orders.get(own);
+        if (order) {
+          order.status = "matched";
+          order.matches.push({ orderId: other, event });
+        }
+      }
+    }
+
+    return [...orders.values()];
+  }
+}
+
+function applyPositionEvent(timeline, event) {
+  timeline.events.push(event);
+
+  switch (event.name) {
+    case "PositionOpened":
+      timeline.isLong = event.isLong;
+      timeline.opened = event;
+      break;
+    case "StopLossTriggered":
+      timeline.status = "stopLoss";
+      timeline.closed = event;
+      break;
+    case "TakeProfitTriggered":
+      timeline.status = "takeProfit";
+      timeline.closed = event;
+      break;
+    case "LiquidationTriggered":
+      timeline.status = "liquidated";
+      timeline.closed = event;
+      break;
+    case "PositionClosed":
+      // SL/TP executions also emit PositionClosed; keep the more specific status
+      if (timeline.status === "open") {
+        timeline.status = "closed";
+        timeline.closed = event;
+      }
+      break;
+  }
+}
+
+/** Merge ordered event lists, dropping duplicates. */
+function mergeEvents(...lists) {
+  const seen = new Map();
+  for (const event of lists.flat()) {
+    seen.set(`${event.transactionHash}:${event.logIndex}`, event);
+  }
+  return [...seen.values()].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+function encodeTopic(type, value) {
+  if (type === "address") return ethers.zeroPadValue(ethers.getAddress(value), 32);
+  if (type === "bytes32") return ethers.zeroPadValue(value, 32);
+  if (type.startsWith("uint") || type.startsWith("int")) return ethers.toBeHex(ethers.toBigInt(value), 32);
+  if (type === "bool") return ethers.toBeHex(value ? 1 : 0, 32);
+  throw new Error(`Unsupported indexed type: ${type}`);
+}
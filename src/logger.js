@@ -0,0 +1,115 @@
+/**
+ * Structured logging
+ *
+ * The SDK and the bots log through a logger object instead of the console:
+ *
+ *   logger.debug|info|warn|error(message, fields?)
+ *   logger.child(fields)   -> logger that adds `fields` to every entry
+ *
+ * Any object with those methods can be injected (e.g. a thin adapter over
+ * pino or winston). `createLogger` provides the built-in one: "pretty" output
+ * keeps the familiar emoji console lines, "json" writes one JSON object per
+ * line for log collectors, and level "silent" drops everything.
+ */
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+// Leading emoji (with variation selectors / joiners) used by the pretty messages
+const EMOJI_PREFIX = /^[\p{Extended_Pictographic}\u{FE0F}\u{200D}]+\s*/u;
+
+function serialize(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.reason ? { reason: value.reason } : {}) };
+  }
+  return value;
+}
+
+function formatField(value) {
+  if (value instanceof Error) return JSON.stringify(value.message);
+  const serialized = serialize(value);
+  if (serialized !== null && typeof serialized === "object") {
+    return JSON.stringify(serialized, (_, v) => serialize(v));
+  }
+  return String(serialized);
+}
+
+const CONSOLE_METHODS = {
+  debug: "log",
+  info: "log",
+  warn: "warn",
+  error: "error"
+};
+
+/**
+ * @param {object} [options]
+ * @param {"debug"|"info"|"warn"|"error"|"silent"} [options.level="info"]
+ * @param {"pretty"|"json"} [options.format="pretty"]
+ * @param {object} [options.fields] - Added to every entry (e.g. { component: "liquidation-bot" })
+ * @param {function} [options.write] - JSON mode output, defaults to stdout
+ */
+export function createLogger({ level = "info", format = "pretty", fields = {}, write } = {}) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  if (format !== "pretty" && format !== "json") {
+    throw new Error(`Unknown log format: ${format}`);
+  }
+
+  const threshold = LOG_LEVELS[level];
+  const writeLine = write || (line => process.stdout.write(line + "\n"));
+
+  function log(entryLevel, message, entryFields = {}) {
+    if (LOG_LEVELS[entryLevel] < threshold) return;
+
+    const all = { ...fields, ...entryFields };
+
+    if (format === "json") {
+      const entry = {
+        time: new Date().toISOString(),
+        level: entryLevel,
+        msg: message.replace(EMOJI_PREFIX, ""),
+        ...all
+      };
+      writeLine(JSON.stringify(entry, (_, v) => serialize(v)));
+      return;
+    }
+
+    const suffix = Object.entries(all)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${formatField(value)}`)
+      .join(" ");
+    console[CONSOLE_METHODS[entryLevel]](suffix ? `${message} ${suffix}` : message);
+  }
+
+  return {
+    level,
+    format,
+    debug: (message, entryFields) => log("debug", message, entryFields),
+    info: (message, entryFields) => log("info", message, entryFields),
+    warn: (message, entryFields) => log("warn", message, entryFields),
+    error: (message, entryFields) => log("error", message, entryFields),
+    child: childFields => createLogger({ level, format, write, fields: { ...fields, ...childFields } })
+  };
+}
+
+/** Logger that drops everything. */
+export const silentLogger = createLogger({ level: "silent" });
+
+/**
+ * Logger configured from LOG_LEVEL and LOG_FORMAT, for scripts.
+ * @param {object} [fields]
+ */
+export function createLoggerFromEnv(fields = {}, env = process.env) {
+  return createLogger({
+    level: env.LOG_LEVEL || "info",
+    format: env.LOG_FORMAT || "pretty",
+    fields
+  });
+}
@@ -1,153 +1,556 @@
 import { ethers } from "ethers";
-import { createInstance } from "fhevmjs";
+import { createEncryptor } from "./encryption.js";
+import { EncryptedInputBuilder } from "./encrypted-input.js";
+import { TransactionManager } from "./transactions.js";
+import { decodeContractError, NotSupportedError, ReadOnlyError } from "./errors.js";
+import { EventHistory } from "./history.js";
+import { EventSubscription } from "./subscriptions.js";
+import { createLogger } from "./logger.js";
+import { Price, Size, Collateral } from "./units.js";
+
+export * from "./units.js";
+export * from "./errors.js";
+export { TransactionManager, FEE_POLICIES } from "./transactions.js";
+export { EventHistory, POSITION_EVENTS, ORDER_EVENTS } from "./history.js";
+export { EventSubscription } from "./subscriptions.js";
+export { DeploymentRegistry } from "./registry.js";
+export { FailoverProvider, createProvider } from "./providers.js";
+export { createLogger, createLoggerFromEnv, silentLogger, LOG_LEVELS } from "./logger.js";
 
 const CONTRACT_ABI = [
   "function deposit(bytes32 encryptedAmount, bytes calldata inputProof) external",
   "function getBalance() external view returns (uint256)",
-  "function openPosition(bytes32 encSize, bytes32 encLeverage, bool isLong, bytes calldata inputProof) external returns (bytes32)",
+  "function openPosition(bytes32 encSize, uint8 leverage, bool isLong, bytes32 encStopLoss, bytes32 encTakeProfit, bytes calldata inputProof) external returns (bytes32)",
   "function closePosition(bytes32 positionId) external",
+  "function updateStopLossTakeProfit(bytes32 positionId, bytes32 encStopLoss, bytes32 encTakeProfit, bytes calldata inputProof) external",
+  "function checkStopLossTakeProfit(address trader, bytes32 positionId) external returns (uint256 slTriggered, uint256 tpTriggered)",
+  "function executeStopLossTakeProfit(address trader, bytes32 positionId) external",
+  "function calculatePnL(address trader, bytes32 positionId) external returns (uint256)",
+  "function checkLiquidation(address trader, bytes32 positionId) external returns (uint256)",
   "function placeOrder(bytes32 encPrice, bytes32 encSize, bool isLong, bytes calldata inputProof) external returns (uint256)",
   "function getUserPositions(address user) external view returns (bytes32[])",
+  "function positions(address trader, bytes32 positionId) external view returns (uint256 size, uint256 entryPrice, uint256 collateral, uint8 leverage, bool isLong, uint256 timestamp, bool isOpen, uint256 stopLoss, uint256 takeProfit)",
+  "function orderBook(uint256 index) external view returns (uint256 price, uint256 size, address trader, bool isLong, bool isFilled, uint256 timestamp)",
+  "function getOrderBookSize() external view returns (uint256)",
   "function getOraclePrice() external view returns (uint256)",
+  "function liquidationThreshold() external view returns (uint256)",
+  "function admin() external view returns (address)",
+  "function updateOraclePrice(bytes32 encNewPrice, bytes calldata inputProof) external",
   "function liquidate(address trader, bytes32 positionId) external",
   "event PositionOpened(address indexed trader, bytes32 indexed positionId, bool isLong)",
   "event PositionClosed(address indexed trader, bytes32 indexed positionId)",
+  "event StopLossTriggered(address indexed trader, bytes32 indexed positionId)",
+  "event TakeProfitTriggered(address indexed trader, bytes32 indexed positionId)",
+  "event StopLossTakeProfitUpdated(address indexed trader, bytes32 indexed positionId)",
   "event OrderPlaced(address indexed trader, uint256 indexed orderId, bool isLong)",
-  "event LiquidationTriggered(address indexed trader, bytes32 indexed positionId)"
+  "event OrderMatched(uint256 indexed orderId1, uint256 indexed orderId2)",
+  "event LiquidationTriggered(address indexed trader, bytes32 indexed positionId)",
+  "event PriceUpdated(uint256 timestamp)",
+  "event BalanceDeposited(address indexed user, uint256 amount)"
 ];
 
+// liquidate() pays the liquidator collateral / 10
+const LIQUIDATION_REWARD_DIVISOR = 10n;
+
+// Re-encryption keypairs and their EIP-712 signatures, keyed by contract and signer.
+// Shared across SDK instances so a user signs once per contract per session.
+const reencryptionKeypairs = new Map();
+
 export class ConfidentialPerpDEXSDK {
-  constructor(contractAddress, provider, signer) {
+  /**
+   * @param {string} contractAddress
+   * @param {import("ethers").Provider} provider
+   * @param {import("ethers").Signer|null} signer - null for a read-only client
+   * @param {object} [options]
+   * @param {"auto"|"fhevm"|"mock"|object} [options.encryption="auto"] - Encryption backend,
+   *   or a custom encryptor. "auto" probes the contract for the mock helpers.
+   * @param {object} [options.fhevm] - fhevmjs settings (networkUrl, gatewayUrl, aclAddress)
+   * @param {object} [options.transactions] - TransactionManager settings (confirmations,
+   *   feePolicy, maxFeePerGas, gasHeadroomPercent, timeout)
+   * @param {object} [options.history] - EventHistory settings (fromBlock = deployment block,
+   *   blockRange = max blocks per eth_getLogs call)
+   * @param {object} [options.logger] - Logger (see src/logger.js); defaults to pretty console output
+   */
+  constructor(contractAddress, provider, signer, options = {}) {
     this.contractAddress = contractAddress;
     this.provider = provider;
     this.signer = signer;
-    this.contract = new ethers.Contract(contractAddress, CONTRACT_ABI, signer);
-    this.fhevmInstance = null;
+    this.options = options;
+    this.logger = options.logger || createLogger();
+    this.readOnly = !signer;
+    this.contract = new ethers.Contract(contractAddress, CONTRACT_ABI, signer || provider);
+    this.encryptor = null;
+    this.userAddress = null;
+    this.transactions = signer
+      ? new TransactionManager(signer, { ...options.transactions, iface: this.contract.interface, logger: this.logger })
+      : null;
+    this.history = new EventHistory(this.contract, options.history);
+    this.subscriptions = new Set();
+    this.legacySubscriptions = new Set();
+  }
+
+  /**
+   * Client without a signer for dashboards and analytics: reads, history and
+   * subscriptions work; write and decrypt methods throw ReadOnlyError.
+   */
+  static readOnly(contractAddress, provider, options = {}) {
+    return new ConfidentialPerpDEXSDK(contractAddress, provider, null, options);
+  }
+
+  requireSigner(action) {
+    if (this.readOnly) {
+      throw new ReadOnlyError(action);
+    }
+  }
+
+  /** Send a contract call through the transaction manager and wait for its receipt. */
+  async send(method, args, overrides) {
+    this.requireSigner(method);
+    return this.transactions.send(this.contract, method, args, overrides);
   }
 
   async initialize() {
-    this.fhevmInstance = await createInstance({
-      chainId: await this.provider.getNetwork().then(n => n.chainId),
-      publicKey: await this.provider.call({ to: this.contractAddress, data: "0x..." })
+    // Nothing to encrypt or decrypt without a signer
+    if (this.readOnly) {
+      this.logger.info("✅ Read-only client initialized", { contract: this.contractAddress });
+      return;
+    }
+
+    const encryptor = await createEncryptor(this.options.encryption, {
+      provider: this.provider,
+      contractAddress: this.contractAddress,
+      fhevm: this.options.fhevm
     });
-    console.log("✅ FHEVM instance initialized");
+
+    this.userAddress = await this.signer.getAddress();
+    await encryptor.init({
+      provider: this.provider,
+      contractAddress: this.contractAddress,
+      userAddress: this.userAddress
+    });
+
+    this.encryptor = encryptor;
+    this.logger.info(`✅ Encryption initialized (${encryptor.kind})`, { contract: this.contractAddress, user: this.userAddress });
+  }
+
+  /**
+   * Start an encrypted input for this contract and signer. All values added to
+   * it are encrypted under one proof, sent once per call; see src/encrypted-input.js.
+   */
+  createEncryptedInput() {
+    this.requireSigner("createEncryptedInput");
+    if (!this.encryptor) {
+      throw new Error("SDK not initialized. Call initialize() first.");
+    }
+    return new EncryptedInputBuilder(this.encryptor, this.contractAddress, this.userAddress);
   }
 
-  async encryptValue(value) {
-    if (!this.fhevmInstance) {
+  /**
+   * Get (or create and sign) the re-encryption keypair for this contract and signer.
+   * The first call asks the signer for an EIP-712 signature authorizing the public key.
+   */
+  async getReencryptionKeypair() {
+    this.requireSigner("getReencryptionKeypair");
+    if (!this.encryptor) {
       throw new Error("SDK not initialized. Call initialize() first.");
     }
-    return this.fhevmInstance.encrypt64(value);
+
+    const userAddress = await this.signer.getAddress();
+    const cacheKey = `${this.contractAddress.toLowerCase()}:${userAddress.toLowerCase()}`;
+    if (!reencryptionKeypairs.has(cacheKey)) {
+      // Cache the pending promise so concurrent decryptions share one signature prompt
+      const pending = this.createReencryptionKeypair(userAddress).catch(error => {
+        reencryptionKeypairs.delete(cacheKey);
+        throw error;
+      });
+      reencryptionKeypairs.set(cacheKey, pending);
+    }
+    return reencryptionKeypairs.get(cacheKey);
+  }
+
+  async createReencryptionKeypair(userAddress) {
+    const { publicKey, privateKey } = this.encryptor.generateKeypair();
+    const eip712 = this.encryptor.createEIP712(publicKey, this.contractAddress);
+    const signature = await this.signer.signTypedData(
+      eip712.domain,
+      { Reencrypt: eip712.types.Reencrypt },
+      eip712.message
+    );
+
+    this.logger.info("🔑 Re-encryption keypair authorized", { user: userAddress });
+    return { publicKey, privateKey, signature: signature.replace("0x", ""), userAddress };
   }
 
+  clearReencryptionKeypair() {
+    for (const key of reencryptionKeypairs.keys()) {
+      if (key.startsWith(`${this.contractAddress.toLowerCase()}:`)) {
+        reencryptionKeypairs.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Decrypt a ciphertext handle the caller has access to. Uninitialized
+   * handles (0) decrypt to 0 without a gateway round-trip.
+   */
+  async decryptHandle(handle) {
+    const value = BigInt(handle);
+    if (value === 0n) return 0n;
+
+    const { publicKey, privateKey, signature, userAddress } = await this.getReencryptionKeypair();
+    return this.encryptor.reencrypt(
+      value,
+      privateKey,
+      publicKey,
+      signature,
+      this.contractAddress,
+      userAddress
+    );
+  }
+
+  async decryptBalance() {
+    this.requireSigner("decryptBalance");
+    const handle = await this.contract.getBalance();
+    return new Collateral(await this.decryptHandle(handle));
+  }
+
+  /**
+   * Decrypt the confidential fields of one of the caller's positions.
+   * Public fields (leverage, direction, timestamp, isOpen) are passed through.
+   */
+  async decryptPosition(positionId) {
+    this.requireSigner("decryptPosition");
+    const trader = await this.signer.getAddress();
+    const position = await this.contract.positions(trader, positionId);
+
+    const [size, entryPrice, collateral, stopLoss, takeProfit] = await Promise.all([
+      this.decryptHandle(position.size),
+      this.decryptHandle(position.entryPrice),
+      this.decryptHandle(position.collateral),
+      this.decryptHandle(position.stopLoss),
+      this.decryptHandle(position.takeProfit)
+    ]);
+
+    return {
+      positionId,
+      trader,
+      size: new Size(size),
+      entryPrice: new Price(entryPrice),
+      collateral: new Collateral(collateral),
+      stopLoss: new Price(stopLoss),
+      takeProfit: new Price(takeProfit),
+      leverage: Number(position.leverage),
+      isLong: position.isLong,
+      isOpen: position.isOpen,
+      timestamp: Number(position.timestamp)
+    };
+  }
+
+  /**
+   * @param {Collateral|bigint|number} amount - Collateral, or raw base units
+   *   (COLLATERAL_DECIMALS). The other write methods take Size/Price the same way.
+   */
   async deposit(amount) {
-    console.log(`💰 Depositing ${amount}...`);
-    const encrypted = await this.encryptValue(amount);
-    const tx = await this.contract.deposit(encrypted.handles[0], encrypted.inputProof);
-    const receipt = await tx.wait();
-    console.log("✅ Deposit successful:", receipt.hash);
+    this.requireSigner("deposit");
+    amount = Collateral.from(amount);
+    this.logger.info(`💰 Depositing ${amount}...`);
+    const input = await this.createEncryptedInput().add64(amount).encrypt();
+    const receipt = await this.send("deposit", [input.handle(0), input.inputProof]);
+    this.logger.info("✅ Deposit successful", { txHash: receipt.hash, gasUsed: receipt.gasUsed });
     return receipt;
   }
 
-  async openPosition(size, leverage, isLong) {
-    console.log(`📈 Opening ${isLong ? 'LONG' : 'SHORT'} position: size=${size}, leverage=${leverage}x`);
+  /**
+   * Open a leveraged position.
+   *
+   * Leverage and direction are public; size, stop loss and take profit are
+   * encrypted. A stop loss or take profit of 0 leaves that trigger unset.
+   */
+  async openPosition(size, leverage, isLong, { stopLoss = 0, takeProfit = 0 } = {}) {
+    this.requireSigner("openPosition");
+    size = Size.from(size);
+    stopLoss = Price.from(stopLoss);
+    takeProfit = Price.from(takeProfit);
 
-    const encryptedSize = await this.encryptValue(size);
-    const encryptedLeverage = await this.encryptValue(leverage);
+    this.logger.info(`📈 Opening ${isLong ? 'LONG' : 'SHORT'} position`, { size, leverage, isLong });
+    if (stopLoss.raw || takeProfit.raw) {
+      this.logger.info("🛡️ Risk management", {
+        stopLoss: stopLoss.raw ? stopLoss : 'none',
+        takeProfit: takeProfit.raw ? takeProfit : 'none'
+      });
+    }
 
-    const tx = await this.contract.openPosition(
-      encryptedSize.handles[0],
-      encryptedLeverage.handles[0],
-      isLong,
-      encryptedSize.inputProof
-    );
+    const input = await this.createEncryptedInput()
+      .add64(size)
+      .add64(stopLoss)
+      .add64(takeProfit)
+      .encrypt();
 
-    const receipt = await tx.wait();
-    const event = receipt.logs.find(log => {
-      try {
-        return this.contract.interface.parseLog(log).name === "PositionOpened";
-      } catch {
-        return false;
-      }
-    });
+    const receipt = await this.send("openPosition", [
+      input.handle(0),
+      leverage,
+      isLong,
+      input.handle(1),
+      input.handle(2),
+      input.inputProof
+    ]);
+    const event = this.findEvent(receipt, "PositionOpened");
 
-    const positionId = event ? this.contract.interface.parseLog(event).args.positionId : null;
-    console.log("✅ Position opened:", positionId);
+    const positionId = event ? event.args.positionId : null;
+    this.logger.info("✅ Position opened", { positionId, txHash: receipt.hash, gasUsed: receipt.gasUsed });
     return { receipt, positionId };
   }
 
   async closePosition(positionId) {
-    console.log(`📉 Closing position: ${positionId}`);
-    const tx = await this.contract.closePosition(positionId);
-    const receipt = await tx.wait();
-    console.log("✅ Position closed:", receipt.hash);
+    this.requireSigner("closePosition");
+    this.logger.info("📉 Closing position", { positionId });
+    const receipt = await this.send("closePosition", [positionId]);
+    this.logger.info("✅ Position closed", { positionId, txHash: receipt.hash, gasUsed: receipt.gasUsed });
     return receipt;
   }
 
-  async placeOrder(price, size, isLong) {
-    console.log(`📝 Placing ${isLong ? 'BUY' : 'SELL'} order: price=${price}, size=${size}`);
+  /**
+   * Replace the stop loss and take profit of an open position.
+   * Pass 0 for either value to disable that trigger.
+   */
+  async updateStopLossTakeProfit(positionId, stopLoss = 0, takeProfit = 0) {
+    this.requireSigner("updateStopLossTakeProfit");
+    stopLoss = Price.from(stopLoss);
+    takeProfit = Price.from(takeProfit);
+    this.logger.info("🛡️ Updating SL/TP", {
+      positionId,
+      stopLoss: stopLoss.raw ? stopLoss : 'none',
+      takeProfit: takeProfit.raw ? takeProfit : 'none'
+    });
 
-    const encryptedPrice = await this.encryptValue(price);
-    const encryptedSize = await this.encryptValue(size);
+    const input = await this.createEncryptedInput()
+      .add64(stopLoss)
+      .add64(takeProfit)
+      .encrypt();
 
-    const tx = await this.contract.placeOrder(
-      encryptedPrice.handles[0],
-      encryptedSize.handles[0],
-      isLong,
-      encryptedPrice.inputProof
-    );
+    const receipt = await this.send("updateStopLossTakeProfit", [
+      positionId,
+      input.handle(0),
+      input.handle(1),
+      input.inputProof
+    ]);
+    this.logger.info("✅ Stop loss / take profit updated", { positionId, txHash: receipt.hash, gasUsed: receipt.gasUsed });
+    return receipt;
+  }
 
-    const receipt = await tx.wait();
-    const event = receipt.logs.find(log => {
-      try {
-        return this.contract.interface.parseLog(log).name === "OrderPlaced";
-      } catch {
-        return false;
-      }
-    });
+  /**
+   * Read the encrypted trigger flags for a position, through an eth_call (the
+   * FHE contract's function is not `view`). Both values are ebool handles;
+   * they need decryption to be interpreted.
+   */
+  async checkStopLossTakeProfit(trader, positionId) {
+    try {
+      const [slTriggered, tpTriggered] = await this.contract.checkStopLossTakeProfit.staticCall(trader, positionId);
+      return { slTriggered, tpTriggered };
+    } catch (error) {
+      throw decodeContractError(error, this.contract.interface);
+    }
+  }
+
+  /**
+   * Decrypt the trigger flags from checkStopLossTakeProfit. Mock contract only:
+   * its flags are plaintext, while on fhEVM handles computed during an eth_call
+   * are never allowed, so nobody can re-encrypt them.
+   * @returns {Promise<{slTriggered: boolean, tpTriggered: boolean}>}
+   * @throws {NotSupportedError} on the FHE contract
+   */
+  async decryptStopLossTakeProfit(trader, positionId) {
+    this.requireSigner("decryptStopLossTakeProfit");
+    if (this.encryptor && this.encryptor.kind !== "mock") {
+      throw new NotSupportedError(
+        "decryptStopLossTakeProfit",
+        "trigger flags computed during an eth_call cannot be re-encrypted on fhEVM"
+      );
+    }
+    const { slTriggered, tpTriggered } = await this.checkStopLossTakeProfit(trader, positionId);
+    const [sl, tp] = await Promise.all([this.decryptHandle(slTriggered), this.decryptHandle(tpTriggered)]);
+    return { slTriggered: sl !== 0n, tpTriggered: tp !== 0n };
+  }
+
+  /**
+   * Pre-flight executeStopLossTakeProfit without sending it, see simulateLiquidation.
+   * The FHE contract cannot check triggers on-chain, so there this only catches closed positions.
+   */
+  async simulateStopLossTakeProfit(trader, positionId) {
+    this.requireSigner("simulateStopLossTakeProfit");
+    return this.transactions.simulate(this.contract, "executeStopLossTakeProfit", [trader, positionId]);
+  }
+
+  /**
+   * Close a position whose stop loss or take profit has fired.
+   * Callable by anyone, so keepers can use it on behalf of the trader.
+   */
+  async executeStopLossTakeProfit(trader, positionId, overrides) {
+    this.requireSigner("executeStopLossTakeProfit");
+    this.logger.info("🎯 Executing SL/TP", { trader, positionId });
+    const receipt = await this.send("executeStopLossTakeProfit", [trader, positionId], overrides);
+    this.logger.info("✅ SL/TP executed", { trader, positionId, txHash: receipt.hash, gasUsed: receipt.gasUsed });
+    return receipt;
+  }
 
-    const orderId = event ? this.contract.interface.parseLog(event).args.orderId : null;
-    console.log("✅ Order placed:", orderId);
+  async placeOrder(price, size, isLong) {
+    this.requireSigner("placeOrder");
+    price = Price.from(price);
+    size = Size.from(size);
+    this.logger.info(`📝 Placing ${isLong ? 'BUY' : 'SELL'} order`, { price, size, isLong });
+
+    const input = await this.createEncryptedInput()
+      .add64(price)
+      .add64(size)
+      .encrypt();
+
+    const receipt = await this.send("placeOrder", [input.handle(0), input.handle(1), isLong, input.inputProof]);
+    const event = this.findEvent(receipt, "OrderPlaced");
+
+    const orderId = event ? event.args.orderId : null;
+    this.logger.info("✅ Order placed", { orderId, txHash: receipt.hash, gasUsed: receipt.gasUsed });
     return { receipt, orderId };
   }
 
   async getUserPositions(address) {
-    const positions = await this.contract.getUserPositions(address || await this.signer.getAddress());
-    console.log(`📊 User has ${positions.length} position(s)`);
+    if (!address) this.requireSigner("getUserPositions");
+    const trader = address || await this.signer.getAddress();
+    const positions = await this.contract.getUserPositions(trader);
+    this.logger.debug(`📊 User has ${positions.length} position(s)`, { trader });
     return positions;
   }
 
-  async liquidate(trader, positionId) {
-    console.log(`⚠️ Attempting liquidation: trader=${trader}, position=${positionId}`);
-    const tx = await this.contract.liquidate(trader, positionId);
-    const receipt = await tx.wait();
-    console.log("✅ Liquidation executed:", receipt.hash);
+  async liquidate(trader, positionId, overrides) {
+    this.requireSigner("liquidate");
+    this.logger.info("⚠️ Attempting liquidation", { trader, positionId });
+    const receipt = await this.send("liquidate", [trader, positionId], overrides);
+    this.logger.info("✅ Liquidation executed", { trader, positionId, txHash: receipt.hash, gasUsed: receipt.gasUsed });
     return receipt;
   }
 
-  subscribeToEvents(callback) {
-    this.contract.on("PositionOpened", (trader, positionId, isLong, event) => {
-      callback("PositionOpened", { trader, positionId, isLong, event });
-    });
+  /**
+   * Pre-flight a liquidation without sending it. Throws PositionNotLiquidatableError
+   * (or another typed revert) if the transaction would fail.
+   * @returns {Promise<{gasEstimate: bigint, gasLimit: bigint, fees: object, gasCost: bigint}>}
+   *   see TransactionManager.simulate
+   */
+  async simulateLiquidation(trader, positionId) {
+    this.requireSigner("simulateLiquidation");
+    return this.transactions.simulate(this.contract, "liquidate", [trader, positionId]);
+  }
 
-    this.contract.on("PositionClosed", (trader, positionId, event) => {
-      callback("PositionClosed", { trader, positionId, event });
-    });
+  /**
+   * What liquidating a position would pay (the contract pays collateral / 10),
+   * or null when the collateral is encrypted and this client cannot read it.
+   * @returns {Promise<Collateral|null>}
+   */
+  async getLiquidationReward(trader, positionId) {
+    if (this.encryptor?.kind !== "mock") return null;
+    const position = await this.contract.positions(trader, positionId);
+    return new Collateral(position.collateral / LIQUIDATION_REWARD_DIVISOR);
+  }
 
-    this.contract.on("OrderPlaced", (trader, orderId, isLong, event) => {
-      callback("OrderPlaced", { trader, orderId, isLong, event });
-    });
+  findEvent(receipt, eventName) {
+    for (const log of receipt.logs) {
+      try {
+        const parsed = this.contract.interface.parseLog(log);
+        if (parsed && parsed.name === eventName) return parsed;
+      } catch {
+        // Log from another contract
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Page through raw contract events, see EventHistory.queryEvents.
+   * @example
+   * let cursor = null;
+   * do {
+   *   const page = await dex.queryEvents("PositionOpened", [trader], { limit: 100, cursor });
+   *   handle(page.events);
+   *   cursor = page.cursor;
+   * } while (cursor);
+   */
+  async queryEvents(eventNames, args = [], options = {}) {
+    return this.history.queryEvents(eventNames, args, options);
+  }
+
+  /**
+   * Every position a trader has opened in the block range and how it ended.
+   * @param {string} [trader] - Defaults to the connected signer
+   * @param {object} [options] - positionId, fromBlock, toBlock, withTimestamps
+   * @returns {Promise<object[]>} see EventHistory.getPositionTimelines
+   */
+  async getPositionHistory(trader = this.userAddress, options = {}) {
+    return this.history.getPositionTimelines({ ...options, trader });
+  }
 
-    this.contract.on("LiquidationTriggered", (trader, positionId, event) => {
-      callback("LiquidationTriggered", { trader, positionId, event });
+  /** Orders placed by `trader` (all traders if null) with their matches. */
+  async getOrderHistory(trader = this.userAddress, options = {}) {
+    return this.history.getOrders({ ...options, trader });
+  }
+
+  /** One page of LiquidationTriggered events, optionally for one trader. */
+  async getLiquidations({ trader, ...options } = {}) {
+    return this.history.queryEvents("LiquidationTriggered", [trader], options);
+  }
+
+  /** One page of BalanceDeposited events. Amounts are hidden (always 0). */
+  async getDeposits(user = this.userAddress, options = {}) {
+    return this.history.queryEvents("BalanceDeposited", [user], options);
+  }
+
+  /**
+   * Subscribe to contract events. Every subscription is independent: end it
+   * with its own `unsubscribe()` without affecting other consumers.
+   * @param {string|string[]} [eventNames="*"] - Event name(s), "*" for every contract event
+   * @param {object} [options] - trader, positionId, fromBlock, pollInterval, reorgDepth,
+   *   onEvent, onError; see EventSubscription
+   * @returns {EventSubscription} also an async iterator of events
+   */
+  subscribe(eventNames = "*", options = {}) {
+    const names = eventNames === "*"
+      ? this.contract.interface.fragments.filter(f => f.type === "event").map(f => f.name)
+      : [].concat(eventNames).map(name => this.contract.interface.getEvent(name).name);
+
+    const subscription = new EventSubscription(this.history, names, { logger: this.logger, ...options });
+    const unsubscribe = subscription.unsubscribe.bind(subscription);
+    subscription.unsubscribe = () => {
+      this.subscriptions.delete(subscription);
+      unsubscribe();
+    };
+
+    this.subscriptions.add(subscription);
+    return subscription.start();
+  }
+
+  /**
+   * Callback-style subscription to every contract event.
+   * `callback(eventName, data)` receives the event's arguments plus `event`, the raw log.
+   * @returns {EventSubscription}
+   */
+  subscribeToEvents(callback, options = {}) {
+    const subscription = this.subscribe("*", {
+      ...options,
+      onEvent: event => {
+        // Callers of this API have no way to undo; reorged events are only reported to subscribe()
+        if (!event.removed) callback(event.name, { ...event, event: event.log });
+      }
     });
 
-    console.log("👂 Subscribed to contract events");
+    this.legacySubscriptions.add(subscription);
+    this.logger.info("👂 Subscribed to contract events");
+    return subscription;
   }
 
+  /** End the subscriptions created by subscribeToEvents(). Others are left running. */
   unsubscribeFromEvents() {
-    this.contract.removeAllListeners();
-    console.log("🔇 Unsubscribed from all events");
+    for (const subscription of this.legacySubscriptions) {
+      subscription.unsubscribe();
+    }
+    this.legacySubscriptions.clear();
+    this.logger.info("🔇 Unsubscribed from contract events");
   }
 }
 
@@ -0,0 +1,250 @@
+import { ethers } from "ethers";
+import { silentLogger } from "./logger.js";
+
+/**
+ * JSON-RPC over several endpoints.
+ *
+ * Endpoints are tried in the order given. One that fails `failureThreshold`
+ * requests in a row (network error, HTTP error, bad response) is marked
+ * unhealthy and moved to the back for `cooldownMs`; after that it is tried
+ * again, and one success restores it. JSON-RPC errors such as reverts are
+ * answers, not failures.
+ *
+ * With `quorum` > 1, each request goes to that many endpoints and a result is
+ * only accepted when they agree. Answers that legitimately differ between
+ * nodes (block number, fees, gas estimates, broadcasts) are taken from the
+ * first endpoint.
+ *
+ * ethers' FallbackProvider is not used: with a quorum of 1 it returns the
+ * first endpoint's transport error instead of trying the next one.
+ */
+
+const DEFAULT_OPTIONS = {
+  quorum: 1,
+  failureThreshold: 3,
+  cooldownMs: 30000
+};
+
+const VOLATILE_METHODS = new Set([
+  "eth_blockNumber",
+  "eth_gasPrice",
+  "eth_maxPriorityFeePerGas",
+  "eth_feeHistory",
+  "eth_estimateGas",
+  "eth_getBlockByNumber",
+  "eth_getTransactionCount",
+  "eth_sendRawTransaction"
+]);
+
+// Endpoint URLs often carry API keys; logs and stats only show the host
+function endpointLabel(url, index) {
+  try {
+    return new URL(url).host || `endpoint-${index}`;
+  } catch {
+    return `endpoint-${index}`;
+  }
+}
+
+function answerKey(response) {
+  return response.error
+    ? JSON.stringify({ error: response.error.code, data: response.error.data ?? null })
+    : JSON.stringify(response.result);
+}
+
+export class FailoverProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {Array<string|import("ethers").JsonRpcProvider>} endpoints - URLs, or providers
+   *   (e.g. rate-limited ones) whose `_send` is used
+   * @param {object} [options]
+   * @param {import("ethers").Networkish} [options.network]
+   * @param {number} [options.quorum=1] - Endpoints that must agree on a result
+   * @param {number} [options.failureThreshold=3] - Consecutive failures before an endpoint is benched
+   * @param {number} [options.cooldownMs=30000] - How long a benched endpoint is skipped
+   * @param {object} [options.logger]
+   */
+  constructor(endpoints, options = {}) {
+    // Requests go through the endpoints (see _send), never to this URL
+    super(undefined, options.network);
+
+    this.failover = {
+      quorum: options.quorum ?? DEFAULT_OPTIONS.quorum,
+      failureThreshold: options.failureThreshold ?? DEFAULT_OPTIONS.failureThreshold,
+      cooldownMs: options.cooldownMs ?? DEFAULT_OPTIONS.cooldownMs
+    };
+    this.logger = options.logger || silentLogger;
+
+    if (endpoints.length === 0) {
+      throw new Error("FailoverProvider needs at least one endpoint");
+    }
+    if (this.failover.quorum > endpoints.length) {
+      throw new Error(`Quorum ${this.failover.quorum} needs at least as many endpoints (got ${endpoints.length})`);
+    }
+
+    this.endpoints = endpoints.map((endpoint, index) => {
+      const provider = typeof endpoint === "string" ? new ethers.JsonRpcProvider(endpoint) : endpoint;
+      return {
+        index,
+        label: endpointLabel(provider._getConnection().url, index),
+        provider,
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        unhealthyUntil: 0,
+        latencyMs: null,
+        lastError: null
+      };
+    });
+    this.disagreements = 0;
+  }
+
+  /**
+   * The connection of the endpoint requests go to first, so code that reads a
+   * provider's URL (e.g. FhevmEncryptor fetching the FHE public key) gets a
+   * real endpoint rather than the unused default.
+   */
+  _getConnection() {
+    return this.ordered()[0].provider._getConnection();
+  }
+
+  /** Healthy endpoints in configured order, then benched ones, soonest back first. */
+  ordered(now = Date.now()) {
+    const healthy = this.endpoints.filter(e => e.unhealthyUntil <= now);
+    const benched = this.endpoints.filter(e => e.unhealthyUntil > now).sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+    return [...healthy, ...benched];
+  }
+
+  async sendTo(endpoint, payload) {
+    const started = Date.now();
+    endpoint.requests++;
+    try {
+      const result = await endpoint.provider._send(payload);
+      this.markSuccess(endpoint, Date.now() - started);
+      return result;
+    } catch (error) {
+      this.markFailure(endpoint, error);
+      throw error;
+    }
+  }
+
+  markSuccess(endpoint, latencyMs) {
+    if (endpoint.consecutiveFailures >= this.failover.failureThreshold) {
+      this.logger.info("✅ RPC endpoint recovered", { endpoint: endpoint.label });
+    }
+    endpoint.consecutiveFailures = 0;
+    endpoint.unhealthyUntil = 0;
+    endpoint.latencyMs = endpoint.latencyMs == null ? latencyMs : Math.round(0.8 * endpoint.latencyMs + 0.2 * latencyMs);
+  }
+
+  markFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message;
+
+    if (endpoint.consecutiveFailures >= this.failover.failureThreshold) {
+      endpoint.unhealthyUntil = Date.now() + this.failover.cooldownMs;
+      this.logger.warn("⚠️ RPC endpoint marked unhealthy", {
+        endpoint: endpoint.label,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        retryInMs: this.failover.cooldownMs,
+        error
+      });
+    }
+  }
+
+  async _send(payload) {
+    const candidates = this.ordered();
+    if (this.failover.quorum > 1) {
+      return this.sendWithQuorum(payload, candidates);
+    }
+
+    let lastError;
+    for (const endpoint of candidates) {
+      try {
+        return await this.sendTo(endpoint, payload);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  async sendWithQuorum(payload, candidates) {
+    const { quorum } = this.failover;
+    const answers = [];
+    let next = 0;
+    let lastError;
+
+    // `quorum` lanes; a lane whose endpoint fails moves on to the next one
+    const lane = async () => {
+      while (next < candidates.length) {
+        const endpoint = candidates[next++];
+        try {
+          answers.push(await this.sendTo(endpoint, payload));
+          return;
+        } catch (error) {
+          lastError = error;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: quorum }, lane));
+
+    if (answers.length < quorum) {
+      throw lastError;
+    }
+
+    return [payload].flat().map(request => {
+      const responses = answers.map(results => results.find(r => r.id === request.id)).filter(Boolean);
+      if (VOLATILE_METHODS.has(request.method)) return responses[0];
+
+      const groups = new Map();
+      for (const response of responses) {
+        const key = answerKey(response);
+        groups.set(key, [...(groups.get(key) || []), response]);
+      }
+      for (const group of groups.values()) {
+        if (group.length >= quorum) return group[0];
+      }
+
+      this.disagreements++;
+      this.logger.warn("⚠️ RPC endpoints disagree", { method: request.method, quorum });
+      return { id: request.id, error: { code: -32000, message: `RPC endpoints disagree on ${request.method} (quorum ${quorum})` } };
+    });
+  }
+
+  /** Per-endpoint health, for stats and metrics. */
+  health(now = Date.now()) {
+    return this.endpoints.map(e => ({
+      endpoint: e.label,
+      healthy: e.unhealthyUntil <= now,
+      requests: e.requests,
+      failures: e.failures,
+      consecutiveFailures: e.consecutiveFailures,
+      latencyMs: e.latencyMs,
+      lastError: e.lastError
+    }));
+  }
+
+  destroy() {
+    for (const { provider } of this.endpoints) {
+      provider.destroy();
+    }
+    super.destroy();
+  }
+}
+
+/**
+ * A provider for one or more endpoints: a JsonRpcProvider for a single URL,
+ * a FailoverProvider for several. Endpoints may also be JsonRpcProviders.
+ * @param {string|Array<string|import("ethers").JsonRpcProvider>} endpoints
+ * @param {object} [options] - FailoverProvider options; `network` is used either way
+ */
+export function createProvider(endpoints, options = {}) {
+  const list = [endpoints].flat();
+  if ((options.quorum ?? 1) > list.length) {
+    throw new Error(`Quorum ${options.quorum} needs at least as many endpoints (got ${list.length})`);
+  }
+  if (list.length === 1) {
+    return typeof list[0] === "string" ? new ethers.JsonRpcProvider(list[0], options.network) : list[0];
+  }
+  return new FailoverProvider(list, options);
+}
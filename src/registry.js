@@ -0,0 +1,138 @@
+import { ethers } from "ethers";
+import { ConfidentialPerpDEXSDK } from "./perp-dex-sdk.js";
+import { createProvider } from "./providers.js";
+
+/**
+ * Named deployments of the DEX, loaded from a manifest:
+ *
+ *   {
+ *     "deployments": {
+ *       "zama":      { "chainId": 9000,  "address": "0x…", "deployBlock": 1234, "flavor": "fhe",
+ *                      "rpcUrl": "https://devnet.zama.ai" },
+ *       "localhost": { "chainId": 31337, "address": "0x…", "deployBlock": 0,    "flavor": "mock",
+ *                      "rpcUrl": "http://127.0.0.1:8545" }
+ *     }
+ *   }
+ *
+ * `scripts/deploy.cjs` writes its deployments to deployments.json in this format.
+ * An entry may also carry `fhevm` settings (gatewayUrl, aclAddress) for the SDK,
+ * and `rpcUrls` (a list) instead of `rpcUrl` to fail over between endpoints.
+ */
+
+export const DEFAULT_MANIFEST = "deployments.json";
+
+const FLAVORS = ["fhe", "mock"];
+
+function validateDeployment(name, deployment) {
+  const { chainId, address, deployBlock = 0, flavor = "fhe" } = deployment;
+
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Deployment "${name}": invalid chainId ${chainId}`);
+  }
+  if (!ethers.isAddress(address)) {
+    throw new Error(`Deployment "${name}": invalid address ${address}`);
+  }
+  if (!Number.isInteger(deployBlock) || deployBlock < 0) {
+    throw new Error(`Deployment "${name}": invalid deployBlock ${deployBlock}`);
+  }
+  if (!FLAVORS.includes(flavor)) {
+    throw new Error(`Deployment "${name}": flavor must be one of ${FLAVORS.join(", ")}`);
+  }
+
+  return Object.freeze({ ...deployment, name, chainId, address: ethers.getAddress(address), deployBlock, flavor });
+}
+
+export class DeploymentRegistry {
+  constructor(deployments = {}) {
+    this.deployments = new Map();
+    for (const [name, deployment] of Object.entries(deployments)) {
+      this.register(name, deployment);
+    }
+  }
+
+  static fromManifest(manifest) {
+    if (!manifest || typeof manifest.deployments !== "object") {
+      throw new Error("Deployment manifest needs a \"deployments\" object");
+    }
+    return new DeploymentRegistry(manifest.deployments);
+  }
+
+  /** Read a JSON manifest from disk (Node only). */
+  static async load(path = DEFAULT_MANIFEST) {
+    const { readFile } = await import("node:fs/promises");
+    return DeploymentRegistry.fromManifest(JSON.parse(await readFile(path, "utf8")));
+  }
+
+  register(name, deployment) {
+    const entry = validateDeployment(name, deployment);
+    this.deployments.set(name, entry);
+    return entry;
+  }
+
+  names() {
+    return [...this.deployments.keys()];
+  }
+
+  get(name) {
+    const deployment = this.deployments.get(name);
+    if (!deployment) {
+      throw new Error(`Unknown deployment "${name}" (known: ${this.names().join(", ") || "none"})`);
+    }
+    return deployment;
+  }
+
+  findByChainId(chainId) {
+    return [...this.deployments.values()].filter(d => d.chainId === Number(chainId));
+  }
+
+  /** Manifest form, suitable for JSON.stringify. */
+  toJSON() {
+    const deployments = {};
+    for (const [name, deployment] of this.deployments) {
+      deployments[name] = { ...deployment };
+      delete deployments[name].name;
+    }
+    return { deployments };
+  }
+
+  /**
+   * Initialized SDK for a named deployment. Read-only unless a signer is given.
+   * @param {string} name
+   * @param {object} [options]
+   * @param {import("ethers").Provider} [options.provider] - Defaults to a provider on the entry's
+   *   rpcUrls (a FailoverProvider when there are several) or rpcUrl
+   * @param {import("ethers").Signer} [options.signer]
+   * Other options are passed to the SDK constructor.
+   */
+  async connect(name, { provider, signer, ...options } = {}) {
+    const deployment = this.get(name);
+
+    provider = provider || signer?.provider;
+    if (!provider) {
+      const rpcUrls = deployment.rpcUrls?.length ? deployment.rpcUrls : deployment.rpcUrl;
+      if (!rpcUrls) {
+        throw new Error(`Deployment "${name}" has no rpcUrl; pass a provider`);
+      }
+      provider = createProvider(rpcUrls);
+    }
+    if (signer && !signer.provider) {
+      signer = signer.connect(provider);
+    }
+
+    const { chainId } = await provider.getNetwork();
+    if (Number(chainId) !== deployment.chainId) {
+      throw new Error(`Deployment "${name}" is on chain ${deployment.chainId}, provider is on ${chainId}`);
+    }
+
+    const sdk = new ConfidentialPerpDEXSDK(deployment.address, provider, signer || null, {
+      encryption: deployment.flavor === "mock" ? "mock" : "fhevm",
+      fhevm: deployment.fhevm,
+      ...options,
+      history: { fromBlock: deployment.deployBlock, ...options.history }
+    });
+    sdk.deployment = deployment;
+
+    await sdk.initialize();
+    return sdk;
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Live event subscriptions
+ *
+ * Each subscription polls eth_getLogs through an EventHistory, so it can replay
+ * from a past block and then continue live without a gap. The last
+ * `reorgDepth` blocks are re-read on every poll: logs that disappear are
+ * reported again with `removed: true`, and nothing is delivered twice.
+ *
+ *   const sub = dex.subscribe(["PositionOpened", "PositionClosed"], { trader, fromBlock: 0 });
+ *   for await (const event of sub) {
+ *     if (event.removed) undo(event); else apply(event);
+ *   }
+ */
+
+import { createLogger } from "./logger.js";
+
+const DEFAULT_OPTIONS = {
+  fromBlock: null,      // replay start; null = only events after subscribing
+  pollInterval: 4000,   // ms between polls
+  reorgDepth: 12        // blocks re-checked on every poll
+};
+
+function eventKey(event) {
+  return `${event.blockHash}:${event.logIndex}`;
+}
+
+export class EventSubscription {
+  /**
+   * @param {import("./history.js").EventHistory} history
+   * @param {string[]} eventNames
+   * @param {object} [options]
+   * @param {string} [options.trader] - Only events whose trader/user is this address
+   * @param {string} [options.positionId] - Only events for this position
+   * @param {number|string} [options.fromBlock] - Replay from this block before going live
+   * @param {number} [options.pollInterval=4000]
+   * @param {number} [options.reorgDepth=12]
+   * @param {function} [options.onEvent] - Called with every new or removed event
+   * @param {function} [options.onError] - Called when a poll fails; polling continues
+   * @param {object} [options.logger] - Logs poll and handler failures when there is no onError
+   */
+  constructor(history, eventNames, options = {}) {
+    this.history = history;
+    this.eventNames = eventNames;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.logger = options.logger || createLogger();
+
+    this.trader = options.trader ? options.trader.toLowerCase() : null;
+    this.positionId = options.positionId ? options.positionId.toLowerCase() : null;
+
+    this.startBlock = null;
+    this.lastBlock = null;
+    this.lastPollAt = null;   // ms timestamp of the last successful poll, for staleness checks
+    this.delivered = new Map();   // blockHash:logIndex -> event, within the reorg window
+    this.active = false;
+    this.timer = null;
+
+    this.iterating = false;   // with an onEvent handler, events are only buffered once someone iterates
+    this.queue = [];
+    this.waiters = [];
+    this.ready = null;
+  }
+
+  /** Start polling. `ready` resolves once the replay (if any) has been delivered. */
+  start() {
+    this.active = true;
+    this.ready = this.poll().finally(() => this.schedule());
+    return this;
+  }
+
+  unsubscribe() {
+    this.active = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const { resolve } of this.waiters.splice(0)) {
+      resolve({ value: undefined, done: true });
+    }
+  }
+
+  schedule() {
+    if (!this.active) return;
+    this.timer = setTimeout(async () => {
+      await this.poll();
+      this.schedule();
+    }, this.options.pollInterval);
+  }
+
+  matches(event) {
+    if (this.trader) {
+      const trader = event.trader ?? event.user;
+      if (!trader || trader.toLowerCase() !== this.trader) return false;
+    }
+    if (this.positionId) {
+      if (!event.positionId || event.positionId.toLowerCase() !== this.positionId) return false;
+    }
+    return true;
+  }
+
+  async poll() {
+    try {
+      const latest = await this.history.resolveBlock("latest");
+
+      if (this.startBlock == null) {
+        if (this.options.fromBlock == null) {
+          this.startBlock = latest + 1;
+          this.lastBlock = latest;
+          this.lastPollAt = Date.now();
+          return;
+        }
+        this.startBlock = await this.history.resolveBlock(this.options.fromBlock);
+        this.lastBlock = this.startBlock - 1;
+      }
+
+      // A lagging node can report an older head. The window stays anchored to
+      // the highest block seen, so events already final are not read again.
+      const head = Math.max(this.lastBlock, latest);
+
+      // Re-read the reorg window along with the new blocks, never before the start
+      const from = Math.max(this.startBlock, Math.min(this.lastBlock + 1, head - this.options.reorgDepth));
+      const events = [];
+      for await (const chunk of this.history.scan([this.eventNames], from, latest)) {
+        events.push(...chunk.filter(event => this.matches(event)));
+      }
+      if (!this.active) return;
+
+      const current = new Set(events.map(eventKey));
+      for (const [key, event] of this.delivered) {
+        if (event.blockNumber >= from && event.blockNumber <= latest && !current.has(key)) {
+          this.delivered.delete(key);
+          this.emit({ ...event, removed: true });
+        }
+      }
+
+      for (const event of events) {
+        const key = eventKey(event);
+        if (!this.delivered.has(key)) {
+          this.delivered.set(key, event);
+          this.emit({ ...event, removed: false });
+        }
+      }
+
+      // Past the reorg window: final
+      for (const [key, event] of this.delivered) {
+        if (event.blockNumber < head - this.options.reorgDepth) this.delivered.delete(key);
+      }
+      this.lastBlock = head;
+      this.lastPollAt = Date.now();
+    } catch (error) {
+      if (this.options.onError) {
+        this.options.onError(error);
+      } else {
+        this.logger.error("❌ Event subscription poll failed", { events: this.eventNames.join(","), error });
+      }
+    }
+  }
+
+  emit(event) {
+    if (this.options.onEvent) {
+      try {
+        this.options.onEvent(event);
+      } catch (error) {
+        this.logger.error("❌ Event handler failed", { event: event.name, txHash: event.transactionHash, error });
+      }
+    }
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve({ value: event, done: false });
+    } else if (this.iterating || !this.options.onEvent) {
+      this.queue.push(event);
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    this.iterating = true;
+    return {
+      next: () => {
+        if (this.queue.length > 0) {
+          return Promise.resolve({ value: this.queue.shift(), done: false });
+        }
+        if (!this.active) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => this.waiters.push({ resolve }));
+      },
+      return: () => {
+        this.unsubscribe();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+}
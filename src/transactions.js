@@ -0,0 +1,250 @@
+import {
+  decodeContractError,
+  TransactionTimeoutError,
+  TransactionReplacedError
+} from "./errors.js";
+import { silentLogger } from "./logger.js";
+
+/**
+ * EIP-1559 fee policies, as percentages:
+ *   maxFeePerGas         = baseFee × baseFeePercent / 100 + priority fee
+ *   maxPriorityFeePerGas = network suggestion × priorityFeePercent / 100
+ */
+export const FEE_POLICIES = {
+  economy: { baseFeePercent: 125n, priorityFeePercent: 100n },
+  standard: { baseFeePercent: 200n, priorityFeePercent: 100n },
+  fast: { baseFeePercent: 200n, priorityFeePercent: 200n }
+};
+
+const DEFAULT_OPTIONS = {
+  gasHeadroomPercent: 20n,   // added on top of estimateGas
+  feePolicy: "standard",     // key of FEE_POLICIES or { baseFeePercent, priorityFeePercent }
+  maxFeePerGas: null,        // hard cap in wei, null = uncapped
+  confirmations: 1,
+  timeout: 120000,           // ms to wait for confirmations, 0 = forever
+  replacementBumpPercent: 125n
+};
+
+function bump(value, percent) {
+  return value == null ? value : (value * percent + 99n) / 100n;
+}
+
+function max(a, b) {
+  return a > b ? a : b;
+}
+
+/**
+ * Central send pipeline for one signer: gas estimation with headroom, fee
+ * policy, a local nonce queue so concurrent sends don't collide, confirmation
+ * waiting with timeout, speed-up/cancel, and typed revert errors.
+ */
+export class TransactionManager {
+  constructor(signer, options = {}) {
+    this.signer = signer;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.iface = options.iface || null;
+    this.logger = options.logger || silentLogger;
+
+    this.nextNonce = null;
+    this.nonceLock = Promise.resolve();
+    this.pending = new Map();   // nonce -> TransactionResponse
+  }
+
+  get provider() {
+    return this.signer.provider;
+  }
+
+  /**
+   * Call `contract[method](...args)` as a transaction and wait for it.
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async send(contract, method, args = [], overrides = {}) {
+    const fn = contract.getFunction(method);
+
+    let request;
+    try {
+      request = await fn.populateTransaction(...args, overrides);
+      if (request.gasLimit == null) {
+        request.gasLimit = this.withHeadroom(await this.signer.estimateGas(request));
+      }
+    } catch (error) {
+      throw decodeContractError(error, this.iface || contract.interface);
+    }
+
+    Object.assign(request, await this.getFees(overrides));
+
+    const tx = await this.broadcast(request);
+    return this.wait(tx);
+  }
+
+  /**
+   * Pre-flight `contract[method](...args)` without sending it: a staticCall
+   * from the signer, then a gas estimate priced with the fee policy. Reverts
+   * throw the same typed errors as send(). Pass `{ gasLimit, ...fees }` as
+   * send() overrides to reuse the result.
+   * @returns {Promise<{gasEstimate: bigint, gasLimit: bigint, fees: object, gasCost: bigint}>}
+   *   gasCost is gasEstimate at the maximum fee per gas, in wei
+   */
+  async simulate(contract, method, args = [], overrides = {}) {
+    const fn = contract.getFunction(method);
+
+    let gasEstimate;
+    try {
+      await fn.staticCall(...args, overrides);
+      gasEstimate = await fn.estimateGas(...args, overrides);
+    } catch (error) {
+      throw decodeContractError(error, this.iface || contract.interface);
+    }
+
+    const fees = await this.getFees(overrides);
+    const feePerGas = fees.maxFeePerGas ?? fees.gasPrice ?? overrides.maxFeePerGas ?? overrides.gasPrice ?? 0n;
+
+    return {
+      gasEstimate,
+      gasLimit: this.withHeadroom(gasEstimate),
+      fees,
+      gasCost: gasEstimate * BigInt(feePerGas)
+    };
+  }
+
+  withHeadroom(estimate) {
+    return estimate + (estimate * BigInt(this.options.gasHeadroomPercent)) / 100n;
+  }
+
+  /** Fee fields for the configured policy, unless the caller set their own. */
+  async getFees(overrides = {}) {
+    if (overrides.gasPrice != null || overrides.maxFeePerGas != null) {
+      return {};
+    }
+
+    const policy = typeof this.options.feePolicy === "string"
+      ? FEE_POLICIES[this.options.feePolicy]
+      : this.options.feePolicy;
+    if (!policy) {
+      throw new Error(`Unknown fee policy: ${this.options.feePolicy}`);
+    }
+
+    const [feeData, block] = await Promise.all([
+      this.provider.getFeeData(),
+      this.provider.getBlock("latest")
+    ]);
+
+    // Pre-London chains: legacy gas price
+    if (block?.baseFeePerGas == null || feeData.maxPriorityFeePerGas == null) {
+      return { gasPrice: feeData.gasPrice };
+    }
+
+    const maxPriorityFeePerGas = (feeData.maxPriorityFeePerGas * policy.priorityFeePercent) / 100n;
+    let maxFeePerGas = (block.baseFeePerGas * policy.baseFeePercent) / 100n + maxPriorityFeePerGas;
+
+    if (this.options.maxFeePerGas != null && maxFeePerGas > BigInt(this.options.maxFeePerGas)) {
+      maxFeePerGas = BigInt(this.options.maxFeePerGas);
+    }
+
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    };
+  }
+
+  /** Assign the next local nonce and broadcast. Nonces are handed out one send at a time. */
+  async broadcast(request) {
+    const previous = this.nonceLock;
+    let release;
+    this.nonceLock = new Promise(resolve => { release = resolve; });
+
+    try {
+      await previous;
+
+      if (request.nonce == null) {
+        if (this.nextNonce == null) {
+          this.nextNonce = await this.signer.getNonce("pending");
+        }
+        request.nonce = this.nextNonce;
+      }
+
+      const tx = await this.signer.sendTransaction(request);
+      this.nextNonce = Math.max(this.nextNonce ?? 0, tx.nonce + 1);
+      this.pending.set(tx.nonce, tx);
+      this.logger.debug("📤 Transaction sent", { txHash: tx.hash, nonce: tx.nonce, gasLimit: tx.gasLimit });
+      return tx;
+    } catch (error) {
+      // The nonce may or may not have been consumed; resync from the node next time
+      this.nextNonce = null;
+      throw decodeContractError(error, this.iface);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Wait for the configured confirmations. A speed-up of the same call counts
+   * as success and resolves with the replacement's receipt.
+   */
+  async wait(tx, { confirmations = this.options.confirmations, timeout = this.options.timeout } = {}) {
+    try {
+      const receipt = await tx.wait(confirmations, timeout || undefined);
+      this.pending.delete(tx.nonce);
+      return receipt;
+    } catch (error) {
+      // Still pending: keep tracking it so it can be sped up or cancelled
+      if (error.code === "TIMEOUT") {
+        this.logger.warn("⏳ Transaction not confirmed in time", { txHash: tx.hash, nonce: tx.nonce, timeout });
+        throw new TransactionTimeoutError(tx, timeout, { cause: error });
+      }
+
+      this.pending.delete(tx.nonce);
+      if (error.code === "TRANSACTION_REPLACED") {
+        if (!error.cancelled) return error.receipt;
+        throw new TransactionReplacedError(tx.hash, error.replacement, { cause: error });
+      }
+      throw decodeContractError(error, this.iface);
+    }
+  }
+
+  /** Resend a stuck transaction with the same nonce and call, at higher fees. */
+  async speedUp(tx) {
+    return this.replace(tx, {
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit
+    });
+  }
+
+  /** Replace a stuck transaction with a zero-value self-transfer. */
+  async cancel(tx) {
+    return this.replace(tx, {
+      to: await this.signer.getAddress(),
+      data: "0x",
+      value: 0n,
+      gasLimit: 21000n
+    });
+  }
+
+  async replace(tx, request) {
+    const percent = BigInt(this.options.replacementBumpPercent);
+    const current = await this.getFees();
+    // Nodes require a minimum bump over the stuck transaction; also keep up with the current market
+    const fees = tx.maxFeePerGas != null
+      ? {
+          maxFeePerGas: max(bump(tx.maxFeePerGas, percent), current.maxFeePerGas ?? 0n),
+          maxPriorityFeePerGas: bump(tx.maxPriorityFeePerGas, percent)
+        }
+      : { gasPrice: max(bump(tx.gasPrice, percent), current.gasPrice ?? 0n) };
+
+    const replacement = await this.signer.sendTransaction({ ...request, ...fees, nonce: tx.nonce });
+    this.pending.set(tx.nonce, replacement);
+    this.logger.info("🔁 Transaction replaced", { txHash: tx.hash, replacement: replacement.hash, nonce: tx.nonce });
+    return replacement;
+  }
+
+  pendingTransactions() {
+    return [...this.pending.values()];
+  }
+
+  /** Forget the local nonce, e.g. after sending from the same key elsewhere. */
+  resetNonce() {
+    this.nextNonce = null;
+  }
+}
@@ -0,0 +1,3 @@
+// The frontend is served straight from public/ without a build step, so the
+// fixed-point helpers live there and the SDK re-exports them from here.
+export * from "../public/js/units.js";
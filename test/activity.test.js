@@ -0,0 +1,75 @@
+import { expect } from "chai";
+import { ActivityFeed, activityFromEvent, explorerTxUrl } from "../public/js/activity.js";
+
+const POSITION_ID = "0x" + "ab".repeat(32);
+
+/** ethers v5 Event stand-in, as delivered by queryFilter or a live listener. */
+function event(name, { blockNumber = 1, logIndex = 0, transactionHash = `0x${blockNumber}${logIndex}`, args = {} } = {}) {
+  return { event: name, blockNumber, logIndex, transactionHash, args: { positionId: POSITION_ID, ...args } };
+}
+
+describe("Activity feed", function () {
+  it("lists an event seen both in the backfill and live once", function () {
+    const feed = new ActivityFeed();
+    const opened = event("PositionOpened", { blockNumber: 5, args: { isLong: true } });
+
+    const backfilled = feed.add([activityFromEvent(opened, 1000)]);
+    const live = feed.add([activityFromEvent(opened), activityFromEvent(event("PositionClosed", { blockNumber: 6 }))]);
+
+    expect(backfilled).to.have.length(1);
+    expect(live.map(entry => entry.event)).to.deep.equal(["PositionClosed"]);
+    expect(feed.entries.map(entry => entry.event)).to.deep.equal(["PositionClosed", "PositionOpened"]);
+  });
+
+  it("keeps entries newest first by block and log index", function () {
+    const feed = new ActivityFeed();
+
+    feed.add([
+      activityFromEvent(event("BalanceDeposited", { blockNumber: 3, logIndex: 1 })),
+      activityFromEvent(event("OrderPlaced", { blockNumber: 7, args: { isLong: false, orderId: 2 } })),
+      activityFromEvent(event("PositionOpened", { blockNumber: 3, logIndex: 4, args: { isLong: false } }))
+    ]);
+
+    expect(feed.entries.map(entry => `${entry.blockNumber}:${entry.logIndex}`)).to.deep.equal(["7:0", "3:4", "3:1"]);
+    expect(feed.entries[0].details).to.equal("SELL · Order #2");
+  });
+
+  it("flags the events that raise alerts", function () {
+    expect(activityFromEvent(event("LiquidationTriggered")).alert).to.equal(true);
+    expect(activityFromEvent(event("BalanceDeposited")).alert).to.equal(false);
+  });
+
+  it("exports CSV oldest first", function () {
+    const feed = new ActivityFeed();
+    feed.add([
+      activityFromEvent(event("PositionClosed", { blockNumber: 9, transactionHash: "0xclose" })),
+      activityFromEvent(event("BalanceDeposited", { blockNumber: 2, transactionHash: "0xdeposit" }), Date.UTC(2024, 0, 1))
+    ]);
+
+    const [header, ...rows] = feed.toCsv().split("\n");
+
+    expect(header).to.equal("time,event,description,details,block,transaction");
+    expect(rows).to.deep.equal([
+      "2024-01-01T00:00:00.000Z,BalanceDeposited,Deposit,Amount encrypted,2,0xdeposit",
+      `,PositionClosed,Position closed,Position ${POSITION_ID.substring(0, 10)}...,9,0xclose`
+    ]);
+  });
+
+  it("escapes quotes, commas and newlines in CSV fields", function () {
+    const feed = new ActivityFeed();
+    feed.add([
+      { ...activityFromEvent(event("OrderMatched", { args: { orderId1: 1, orderId2: 2 } })), label: "Matched, \"filled\"" },
+      { ...activityFromEvent(event("OrderPlaced", { blockNumber: 2, args: { isLong: true, orderId: 3 } })), details: "line 1\nline 2" }
+    ]);
+
+    const csv = feed.toCsv();
+
+    expect(csv).to.include(",OrderMatched,\"Matched, \"\"filled\"\"\",Orders #1 and #2,");
+    expect(csv).to.include(",OrderPlaced,Order placed,\"line 1\nline 2\",2,");
+  });
+
+  it("links transactions to the block explorer when there is one", function () {
+    expect(explorerTxUrl("https://sepolia.etherscan.io/", "0xabc")).to.equal("https://sepolia.etherscan.io/tx/0xabc");
+    expect(explorerTxUrl(null, "0xabc")).to.equal(null);
+  });
+});
@@ -0,0 +1,128 @@
+import { expect } from "chai";
+import http from "http";
+import { AlertManager, renderTemplate } from "../scripts/lib/alerts.js";
+
+/** Local webhook stand-in: records every JSON body, answers with `status`. */
+async function startReceiver(status = 200) {
+  const received = [];
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", chunk => { body += chunk; });
+    request.on("end", () => {
+      received.push({ path: request.url, headers: request.headers, body: JSON.parse(body) });
+      response.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe("alerts", function () {
+  let receiver;
+
+  beforeEach(async function () {
+    receiver = await startReceiver();
+  });
+
+  afterEach(async function () {
+    await new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  it("renders templates, keeping the type of whole placeholders", function () {
+    const context = { bot: "liquidation-bot", fields: { reward: "12.5", ids: [1, 2] }, suppressed: 3 };
+
+    expect(renderTemplate({
+      text: "{{bot}} earned {{fields.reward}} ({{missing}})",
+      count: "{{suppressed}}",
+      nested: ["{{fields.ids}}"]
+    }, context)).to.deep.equal({
+      text: "liquidation-bot earned 12.5 ()",
+      count: 3,
+      nested: [[1, 2]]
+    });
+  });
+
+  it("posts alerts to every webhook, templated or raw", async function () {
+    const alerts = new AlertManager({
+      source: "liquidation-bot",
+      webhooks: [
+        `${receiver.url}/raw`,
+        { url: `${receiver.url}/slack`, template: { text: "[{{severity}}] {{bot}}: {{message}}" }, headers: { "X-Token": "t" } }
+      ]
+    });
+
+    const result = await alerts.notify("liquidation", { severity: "info", message: "Liquidated", fields: { reward: 5n } });
+
+    expect(result).to.deep.equal({ sent: true });
+    const raw = receiver.received.find(r => r.path === "/raw");
+    expect(raw.body).to.include({ bot: "liquidation-bot", type: "liquidation", severity: "info", suppressed: 0 });
+    expect(raw.body.fields).to.deep.equal({ reward: "5" });
+    const slack = receiver.received.find(r => r.path === "/slack");
+    expect(slack.body).to.deep.equal({ text: "[info] liquidation-bot: Liquidated" });
+    expect(slack.headers["x-token"]).to.equal("t");
+  });
+
+  it("deduplicates by key and reports what it held back on the next alert of any key", async function () {
+    let now = 1_000_000;
+    const realNow = Date.now;
+    Date.now = () => now;
+    try {
+      const alerts = new AlertManager({ webhooks: [receiver.url], cooldownMs: 60000 });
+
+      await alerts.notify("errors");
+      expect(await alerts.notify("errors")).to.deep.equal({ sent: false, reason: "duplicate" });
+      expect(await alerts.notify("errors")).to.deep.equal({ sent: false, reason: "duplicate" });
+      await alerts.notify("errors", { key: "errors:other" });
+
+      now += 60000;
+      await alerts.notify("errors");
+
+      expect(receiver.received.map(r => r.body.suppressed)).to.deep.equal([0, 2, 0]);
+      expect(receiver.received[1].body.suppressedByKey).to.deep.equal({ errors: 2 });
+      expect(alerts.stats).to.deep.equal({ sent: 3, suppressed: 2, failed: 0 });
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  it("rate-limits across keys", async function () {
+    const alerts = new AlertManager({ webhooks: [receiver.url], maxPerMinute: 2 });
+
+    const results = await Promise.all(["a", "b", "c"].map(type => alerts.notify(type)));
+
+    expect(results.map(r => r.reason ?? "sent")).to.deep.equal(["sent", "sent", "rate-limited"]);
+    expect(receiver.received).to.have.length(2);
+  });
+
+  it("never rate-limits critical alerts", async function () {
+    const alerts = new AlertManager({ webhooks: [receiver.url], maxPerMinute: 1 });
+
+    await alerts.notify("liquidation", { severity: "info" });
+    const critical = await alerts.notify("no-signers", { severity: "critical" });
+    const warning = await alerts.notify("low-balance");
+
+    expect(critical).to.deep.equal({ sent: true });
+    expect(warning).to.deep.equal({ sent: false, reason: "rate-limited" });
+  });
+
+  it("logs failed deliveries without throwing", async function () {
+    const failing = await startReceiver(500);
+    const warnings = [];
+    const logger = { warn: (msg, fields) => warnings.push({ msg, ...fields }), debug() {} };
+    try {
+      const alerts = new AlertManager({
+        webhooks: [`${failing.url}/services/secret-token`, { url: "http://127.0.0.1:1/hook", label: "pager" }],
+        logger
+      });
+
+      await alerts.notify("low-balance");
+
+      expect(alerts.stats.failed).to.equal(2);
+      expect(warnings.map(w => w.msg)).to.deep.equal(["⚠️ Alert webhook failed", "⚠️ Alert webhook failed"]);
+      expect(warnings.map(w => w.webhook).sort()).to.deep.equal([new URL(failing.url).host, "pager"].sort());
+      expect(JSON.stringify(warnings)).to.not.include("secret-token");
+    } finally {
+      await new Promise(resolve => failing.server.close(resolve));
+    }
+  });
+});
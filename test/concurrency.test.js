@@ -0,0 +1,72 @@
+import { expect } from "chai";
+import { RateLimiter, runPool, sleep } from "../scripts/lib/concurrency.js";
+
+describe("concurrency helpers", function () {
+  it("runs at most `concurrency` workers at once, in order", async function () {
+    let running = 0;
+    let peak = 0;
+    const started = [];
+
+    const result = await runPool([1, 2, 3, 4, 5, 6, 7], 3, async item => {
+      started.push(item);
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(5);
+      running--;
+    });
+
+    expect(result).to.deep.equal({ completed: 7, cancelled: false });
+    expect(peak).to.equal(3);
+    expect(started).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it("starts no new work once aborted", async function () {
+    const controller = new AbortController();
+    const done = [];
+
+    const result = await runPool([1, 2, 3, 4], 1, async item => {
+      if (item === 2) controller.abort();
+      await sleep(1);
+      done.push(item);
+    }, { signal: controller.signal });
+
+    expect(done).to.deep.equal([1, 2]);
+    expect(result).to.deep.equal({ completed: 2, cancelled: true });
+  });
+
+  it("stops pulling items after a failure and rejects once running ones finish", async function () {
+    const started = [];
+    const finished = [];
+
+    let rejection;
+    await runPool([1, 2, 3, 4, 5, 6], 2, async item => {
+      started.push(item);
+      if (item === 2) throw new Error("boom");
+      await sleep(10);
+      finished.push(item);
+    }).catch(error => { rejection = error; });
+
+    expect(rejection.message).to.equal("boom");
+    expect(started).to.deep.equal([1, 2]);
+    expect(finished).to.deep.equal([1]);
+  });
+
+  it("limits the request rate after the burst", async function () {
+    const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 2 });
+    const start = Date.now();
+
+    await Promise.all(Array.from({ length: 7 }, () => limiter.take()));
+
+    // 2 from the burst, then 5 at 20ms intervals
+    expect(Date.now() - start).to.be.within(90, 400);
+  });
+
+  it("wakes sleepers on abort", async function () {
+    const controller = new AbortController();
+    const start = Date.now();
+    setTimeout(() => controller.abort(), 10);
+
+    await sleep(10000, controller.signal);
+    expect(Date.now() - start).to.be.below(1000);
+  });
+});
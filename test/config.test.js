@@ -0,0 +1,83 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ConfigError, loadConfig } from "../scripts/lib/config.js";
+import { CONFIG_SCHEMA } from "../scripts/liquidation-bot.js";
+
+describe("bot config", function () {
+  let dir;
+
+  function write(name, text) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-config-"));
+  });
+
+  it("uses defaults without a file or env", async function () {
+    const config = await loadConfig(CONFIG_SCHEMA, { env: {} });
+
+    expect(config).to.include({ checkIntervalMs: 30000, concurrency: 8, priority: "leverage", startBlock: 0 });
+    expect(config.nativeTokenPrice).to.equal(null);
+    expect(config.maxFeePerGasGwei).to.equal(null);
+  });
+
+  it("reads YAML and JSON files, with env overrides on top", async function () {
+    const yaml = write("bot.yaml", [
+      "concurrency: 4",
+      "checkIntervalMs: 10000",
+      "nativeTokenPrice: 2000.5",
+      "maxFeePerGasGwei: \"50\"",
+      "allowUnknownReward: true"
+    ].join("\n"));
+
+    const config = await loadConfig(CONFIG_SCHEMA, {
+      file: yaml,
+      env: { SCAN_CONCURRENCY: "16", ALLOW_UNKNOWN_REWARD: "no", START_BLOCK: "" }
+    });
+    expect(config).to.include({
+      concurrency: 16,
+      checkIntervalMs: 10000,
+      nativeTokenPrice: "2000.5",
+      maxFeePerGasGwei: "50",
+      allowUnknownReward: false,
+      startBlock: 0
+    });
+
+    const lists = await loadConfig(CONFIG_SCHEMA, {
+      env: { ALERT_WEBHOOK_URLS: "https://a.example/hook, https://b.example/hook", ALERT_TEMPLATE: "{\"text\":\"{{message}}\"}" }
+    });
+    expect(lists.alertWebhooks).to.deep.equal(["https://a.example/hook", "https://b.example/hook"]);
+    expect(lists.alertTemplate).to.deep.equal({ text: "{{message}}" });
+
+    const json = write("bot.json", JSON.stringify({ priority: "oldest", metricsPort: 9464 }));
+    expect(await loadConfig(CONFIG_SCHEMA, { file: json, env: {} })).to.include({ priority: "oldest", metricsPort: 9464 });
+  });
+
+  it("reports every invalid value at once", async function () {
+    const file = write("bot.json", JSON.stringify({ concurrency: 0, priority: "newest", privateKey: "0x01" }));
+
+    const error = await loadConfig(CONFIG_SCHEMA, { file, env: { START_BLOCK: "soon" } }).catch(e => e);
+
+    expect(error).to.be.instanceOf(ConfigError);
+    expect(error.problems).to.deep.equal([
+      "privateKey: unknown option",
+      "startBlock (START_BLOCK): must be an integer",
+      "concurrency: must be at least 1",
+      "priority: must be one of leverage, oldest"
+    ]);
+  });
+
+  it("rejects unreadable and unknown file types", async function () {
+    const error = await loadConfig(CONFIG_SCHEMA, { file: write("bot.toml", "a = 1"), env: {} }).catch(e => e);
+    expect(error).to.be.instanceOf(ConfigError);
+    expect(error.message).to.include("unknown file type");
+
+    const broken = await loadConfig(CONFIG_SCHEMA, { file: write("bot.json", "{"), env: {} }).catch(e => e);
+    expect(broken).to.be.instanceOf(ConfigError);
+  });
+});
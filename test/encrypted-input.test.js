@@ -0,0 +1,68 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { EncryptedInputBuilder } from "../src/encrypted-input.js";
+import { MockEncryptor } from "../src/encryption.js";
+import { Price, Size, UINT64_MAX } from "../src/units.js";
+
+const CONTRACT = "0x00000000000000000000000000000000000000c0";
+const USER = "0x00000000000000000000000000000000000000a1";
+
+function handle(value) {
+  return ethers.toBeHex(value, 32);
+}
+
+describe("EncryptedInputBuilder", function () {
+  it("encrypts all values in one call, in insertion order", async function () {
+    const encryptor = new MockEncryptor();
+    const calls = [];
+    const encryptInput = encryptor.encryptInput.bind(encryptor);
+    encryptor.encryptInput = (...args) => {
+      calls.push(args);
+      return encryptInput(...args);
+    };
+
+    const input = await new EncryptedInputBuilder(encryptor, CONTRACT, USER)
+      .add64(Size.parse("1.5"))
+      .add64(Price.parse("48000"))
+      .add8(10)
+      .addBool(true)
+      .encrypt();
+
+    expect(calls).to.have.length(1);
+    expect(calls[0][1]).to.equal(CONTRACT);
+    expect(calls[0][2]).to.equal(USER);
+    expect(calls[0][0].map(v => v.type)).to.deep.equal(["u64", "u64", "u8", "bool"]);
+
+    expect(input.handles).to.have.length(4);
+    expect(input.handle(0)).to.equal(handle(15000));
+    expect(input.handle(1)).to.equal(handle(4800000));
+    expect(input.handle(2)).to.equal(handle(10));
+    expect(input.handle(3)).to.equal(handle(1));
+    expect(input.inputProof).to.equal("0x");
+  });
+
+  it("range-checks each value against its type", function () {
+    const builder = new EncryptedInputBuilder(new MockEncryptor(), CONTRACT, USER);
+
+    builder.add64(UINT64_MAX).add8(255);
+    expect(() => builder.add64(UINT64_MAX + 1n)).to.throw(RangeError);
+    expect(() => builder.add8(256)).to.throw(RangeError);
+    expect(() => builder.add64(-1)).to.throw(RangeError);
+    expect(builder.length).to.equal(2);
+  });
+
+  it("refuses to encrypt an empty input", async function () {
+    let error;
+    try {
+      await new EncryptedInputBuilder(new MockEncryptor(), CONTRACT, USER).encrypt();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Encrypted input is empty");
+  });
+
+  it("rejects out-of-range handle indexes", async function () {
+    const input = await new EncryptedInputBuilder(new MockEncryptor(), CONTRACT, USER).add64(1).encrypt();
+    expect(() => input.handle(1)).to.throw(RangeError);
+  });
+});
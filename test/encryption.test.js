@@ -0,0 +1,72 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { MockEncryptor, FhevmEncryptor, createEncryptor, detectContractFlavor } from "../src/encryption.js";
+
+describe("Encryption backends", function () {
+  describe("MockEncryptor", function () {
+    it("encodes values as handles like the mock contract's mockEncrypt", async function () {
+      const encryptor = new MockEncryptor();
+      const { handles, inputProof } = await encryptor.encryptInput([
+        { type: "u64", value: 5000000n },
+        { type: "bool", value: 1n }
+      ]);
+
+      expect(handles).to.deep.equal([
+        ethers.toBeHex(5000000, 32),
+        ethers.toBeHex(1, 32)
+      ]);
+      expect(ethers.dataLength(handles[0])).to.equal(32);
+      expect(inputProof).to.equal("0x");
+    });
+
+    it("treats handles as plaintext values on reencrypt", async function () {
+      const encryptor = new MockEncryptor();
+      expect(await encryptor.reencrypt(1234n)).to.equal(1234n);
+    });
+  });
+
+  describe("detectContractFlavor", function () {
+    const ADDRESS = "0x" + "11".repeat(20);
+
+    /** Provider stand-in whose eth_call returns `answer`, or throws it. */
+    function provider(answer) {
+      return {
+        call: async () => {
+          if (answer instanceof Error) throw answer;
+          return answer;
+        }
+      };
+    }
+
+    it("tells the mock from contracts that revert or answer nothing", async function () {
+      expect(await detectContractFlavor(provider(ethers.toBeHex(1, 32)), ADDRESS)).to.equal("mock");
+      expect(await detectContractFlavor(provider(ethers.makeError("execution reverted", "CALL_EXCEPTION")), ADDRESS)).to.equal("fhe");
+      expect(await detectContractFlavor(provider("0x"), ADDRESS)).to.equal("fhe");
+    });
+
+    it("rethrows network errors instead of assuming FHE", async function () {
+      const error = await detectContractFlavor(provider(new Error("connect ECONNREFUSED")), ADDRESS).catch(e => e);
+      expect(error.message).to.equal("connect ECONNREFUSED");
+    });
+  });
+
+  describe("createEncryptor", function () {
+    it("resolves named backends and passes custom encryptors through", async function () {
+      expect(await createEncryptor("mock")).to.be.instanceOf(MockEncryptor);
+      expect(await createEncryptor("fhevm")).to.be.instanceOf(FhevmEncryptor);
+
+      const custom = { kind: "custom" };
+      expect(await createEncryptor(custom)).to.equal(custom);
+    });
+
+    it("rejects unknown backends", async function () {
+      let error;
+      try {
+        await createEncryptor("plaintext");
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include("Unknown encryption backend");
+    });
+  });
+});
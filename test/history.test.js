@@ -0,0 +1,162 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  ConfidentialPerpDEXSDK,
+  EventHistory,
+  POSITION_EVENTS,
+  Price,
+  Size,
+  Collateral,
+  createLogger
+} from "../src/perp-dex-sdk.js";
+
+const { ethers } = hre;
+
+describe("EventHistory", function () {
+  let contract;
+  let trader;
+  let other;
+  let keeper;
+  let dex;
+  let deployBlock;
+
+  async function connect(signer) {
+    const sdk = new ConfidentialPerpDEXSDK(await contract.getAddress(), ethers.provider, signer, {
+      history: { fromBlock: deployBlock, blockRange: 2 },
+      logger: createLogger({ level: "silent" })
+    });
+    await sdk.initialize();
+    return sdk;
+  }
+
+  beforeEach(async function () {
+    let admin;
+    [admin, trader, other, keeper] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("ConfidentialPerpDEXMock", admin);
+    contract = await Factory.deploy();
+    await contract.waitForDeployment();
+    deployBlock = await ethers.provider.getBlockNumber();
+
+    dex = await connect(trader);
+  });
+
+  it("rebuilds each position's lifecycle", async function () {
+    await dex.deposit(Collateral.parse("10000"));
+    const { positionId: stopped } = await dex.openPosition(Size.parse("0.1"), 10, true, {
+      stopLoss: Price.parse("48000")
+    });
+    const { positionId: closed } = await dex.openPosition(Size.parse("0.1"), 10, false);
+    const { positionId: liquidated } = await dex.openPosition(Size.parse("0.1"), 50, true);
+    await dex.closePosition(closed);
+
+    await contract.updateOraclePrice(ethers.toBeHex(Price.parse("47000").raw, 32), "0x");
+    const keeperDex = await connect(keeper);
+    await keeperDex.executeStopLossTakeProfit(trader.address, stopped);
+    await keeperDex.liquidate(trader.address, liquidated);
+
+    const { positionId: open } = await dex.openPosition(Size.parse("0.1"), 10, true);
+
+    const timelines = await dex.getPositionHistory();
+    expect(timelines.map(t => [t.positionId, t.status])).to.deep.equal([
+      [stopped, "stopLoss"],
+      [closed, "closed"],
+      [liquidated, "liquidated"],
+      [open, "open"]
+    ]);
+
+    const [first] = timelines;
+    expect(first.isLong).to.equal(true);
+    expect(first.events.map(e => e.name)).to.deep.equal(["PositionOpened", "StopLossTriggered", "PositionClosed"]);
+    expect(first.closed.name).to.equal("StopLossTriggered");
+    expect(timelines[3].closed).to.equal(null);
+
+    const [single] = await dex.getPositionHistory(trader.address, { positionId: closed, withTimestamps: true });
+    expect(single.isLong).to.equal(false);
+    expect(single.opened.timestamp).to.be.a("number");
+
+    expect(await keeperDex.getPositionHistory()).to.deep.equal([]);
+
+    const { events: liquidations } = await dex.getLiquidations({ trader: trader.address });
+    expect(liquidations.map(e => e.positionId)).to.deep.equal([liquidated]);
+  });
+
+  it("pages through events with a cursor", async function () {
+    await dex.deposit(Collateral.parse("10000"));
+    for (let i = 0; i < 3; i++) {
+      const { positionId } = await dex.openPosition(Size.parse("0.01"), 10, true);
+      await dex.updateStopLossTakeProfit(positionId, Price.parse("40000"), 0);
+    }
+
+    const all = await dex.history.queryAll(POSITION_EVENTS, [trader.address]);
+    expect(all).to.have.length(6);
+
+    const paged = [];
+    let cursor = null;
+    do {
+      const page = await dex.queryEvents(POSITION_EVENTS, [trader.address], { limit: 4, cursor });
+      expect(page.events.length).to.be.at.most(4);
+      paged.push(...page.events);
+      cursor = page.cursor;
+    } while (cursor);
+
+    expect(paged.map(e => e.transactionHash)).to.deep.equal(all.map(e => e.transactionHash));
+  });
+
+  it("links matched orders on both sides", async function () {
+    await dex.placeOrder(Price.parse("50000"), Size.parse("1"), true);
+    const otherDex = await connect(other);
+    await otherDex.placeOrder(Price.parse("49000"), Size.parse("1"), false);
+    await otherDex.placeOrder(Price.parse("52000"), Size.parse("1"), false);
+
+    const [mine] = await dex.getOrderHistory();
+    expect(mine.orderId).to.equal(0n);
+    expect(mine.status).to.equal("matched");
+    expect(mine.matches.map(m => m.orderId)).to.deep.equal([1n]);
+
+    const theirs = await otherDex.getOrderHistory();
+    expect(theirs.map(o => [o.orderId, o.status])).to.deep.equal([[1n, "matched"], [2n, "open"]]);
+
+    expect(await dex.getOrderHistory(null)).to.have.length(3);
+  });
+
+  it("splits ranges the provider rejects", async function () {
+    const ranges = [];
+    const fake = {
+      interface: dex.contract.interface,
+      runner: { provider: ethers.provider },
+      async queryFilter(topics, from, to) {
+        if (to - from + 1 > 3) throw new Error("eth_getLogs block range too large");
+        ranges.push([from, to]);
+        return [];
+      }
+    };
+
+    const history = new EventHistory(fake, { blockRange: 10 });
+    await history.queryAll("PositionOpened", [], { fromBlock: 0, toBlock: 9 });
+
+    expect(ranges[0]).to.deep.equal([0, 1]);
+    expect(ranges.at(-1)[1]).to.equal(9);
+    expect(ranges.every(([from, to]) => to - from < 3)).to.equal(true);
+  });
+
+  it("does not split ranges on rate-limit errors", async function () {
+    for (const message of ["Too Many Requests", "rate limit exceeded", "exceeded its compute units per second capacity"]) {
+      let calls = 0;
+      const fake = {
+        interface: dex.contract.interface,
+        runner: { provider: ethers.provider },
+        async queryFilter() {
+          calls++;
+          throw new Error(message);
+        }
+      };
+
+      const history = new EventHistory(fake, { blockRange: 10 });
+      const error = await history.queryAll("PositionOpened", [], { fromBlock: 0, toBlock: 9 }).catch(e => e);
+
+      expect(error.message).to.equal(message);
+      expect(calls).to.equal(1);
+    }
+  });
+});
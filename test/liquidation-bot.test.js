@@ -0,0 +1,372 @@
+import { expect } from "chai";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import hre from "hardhat";
+import { ConfidentialPerpDEXSDK, Size, Collateral, createLogger } from "../src/perp-dex-sdk.js";
+import { LiquidationBot } from "../scripts/liquidation-bot.js";
+
+const { ethers } = hre;
+
+describe("LiquidationBot state", function () {
+  let contractAddress;
+  let deployBlock;
+  let dex;
+  let keeper;
+  let stateFile;
+  let bots;
+
+  function createBot(options = {}) {
+    const entries = [];
+    const logger = createLogger({ format: "json", write: line => entries.push(JSON.parse(line)) });
+    const bot = new LiquidationBot(contractAddress, null, null, {
+      signer: keeper,
+      logger,
+      stateFile,
+      fromBlock: deployBlock,
+      ...options
+    });
+    bot.entries = entries;
+    bots.push(bot);
+    return bot;
+  }
+
+  function monitoredIds(bot) {
+    return bot.registry.active().map(p => p.positionId).sort();
+  }
+
+  beforeEach(async function () {
+    let trader;
+    [, trader, keeper] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("ConfidentialPerpDEXMock");
+    const contract = await Factory.deploy();
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+    deployBlock = await ethers.provider.getBlockNumber();
+
+    dex = new ConfidentialPerpDEXSDK(contractAddress, ethers.provider, trader, { logger: createLogger({ level: "silent" }) });
+    await dex.initialize();
+    await dex.deposit(Collateral.parse("10000"));
+
+    stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "bot-state-")), "state.json");
+    bots = [];
+  });
+
+  afterEach(async function () {
+    for (const bot of bots) await bot.stop();
+  });
+
+  it("backfills open positions from history on first start", async function () {
+    const { positionId: a } = await dex.openPosition(Size.parse("0.1"), 10, true);
+    const { positionId: b } = await dex.openPosition(Size.parse("0.1"), 10, false);
+    const { positionId: c } = await dex.openPosition(Size.parse("0.1"), 10, true);
+    await dex.closePosition(b);
+
+    const bot = createBot();
+    await bot.initialize();
+
+    expect(monitoredIds(bot)).to.deep.equal([a, c].sort());
+
+    const saved = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    expect(saved.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(saved.positions.map(p => p.positionId).sort()).to.deep.equal([a, c].sort());
+  });
+
+  it("resumes from the saved block after a restart", async function () {
+    const { positionId: a } = await dex.openPosition(Size.parse("0.1"), 10, true);
+    const { positionId: b } = await dex.openPosition(Size.parse("0.1"), 10, true);
+
+    const first = createBot();
+    await first.initialize();
+    await first.stop();
+    const savedBlock = JSON.parse(fs.readFileSync(stateFile, "utf8")).lastBlock;
+
+    // While the bot is down
+    await dex.closePosition(a);
+    const { positionId: c } = await dex.openPosition(Size.parse("0.1"), 10, false);
+
+    const second = createBot();
+    await second.initialize();
+
+    const backfill = second.entries.find(e => e.msg === "Backfilling position history");
+    expect(backfill.fromBlock).to.equal(savedBlock + 1);
+    expect(monitoredIds(second)).to.deep.equal([b, c].sort());
+  });
+
+  it("follows live events after the backfill and persists them", async function () {
+    const bot = createBot();
+    await bot.initialize();
+    await bot.subscription.ready;
+
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 10, true);
+    await bot.subscription.poll();
+    await bot.processing;
+    await bot.saving;
+
+    expect(monitoredIds(bot)).to.deep.equal([positionId]);
+    const saved = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    expect(saved.positions.map(p => p.positionId)).to.deep.equal([positionId]);
+  });
+
+  it("never sends two liquidations for one position", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 50, true);
+    const bot = createBot();
+    await bot.initialize();
+
+    const [first, second] = await Promise.all([
+      bot.attemptLiquidation(dex.userAddress, positionId),
+      bot.attemptLiquidation(dex.userAddress, positionId)
+    ]);
+
+    expect(first.success).to.equal(true);
+    expect(second).to.include({ skipped: true, state: "liquidation-pending" });
+    expect(bot.registry.get(dex.userAddress, positionId).state).to.equal("liquidated");
+    expect(bot.getStats().liquidationsExecuted).to.equal(1);
+  });
+
+  it("simulates first and sends nothing for healthy positions", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 10, true);
+    const bot = createBot();
+    await bot.initialize();
+
+    const nonce = await keeper.getNonce();
+    const result = await bot.attemptLiquidation(dex.userAddress, positionId);
+
+    expect(result).to.include({ skipped: true, reason: "not-liquidatable", revertReason: "Position not liquidatable" });
+    expect(await keeper.getNonce()).to.equal(nonce);
+    expect(bot.getStats().skipped["not-liquidatable"]).to.equal(1);
+    expect(bot.registry.get(dex.userAddress, positionId).state).to.equal("open");
+  });
+
+  it("skips liquidations whose reward does not cover gas", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 50, true);
+    const bot = createBot({ nativeTokenPrice: "1000000000" });
+    await bot.initialize();
+
+    const result = await bot.attemptLiquidation(dex.userAddress, positionId);
+
+    expect(result).to.include({ skipped: true, reason: "unprofitable" });
+    expect(result.gasCost.raw > result.reward.raw).to.equal(true);
+    expect(bot.getStats().skipped.unprofitable).to.equal(1);
+    expect(bot.registry.get(dex.userAddress, positionId).state).to.equal("open");
+  });
+
+  it("liquidates profitable positions and counts the reward", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 50, true);
+    const { collateral } = await dex.contract.positions(dex.userAddress, positionId);
+    const bot = createBot({ nativeTokenPrice: "2000" });
+    await bot.initialize();
+
+    const result = await bot.attemptLiquidation(dex.userAddress, positionId);
+
+    expect(result.success).to.equal(true);
+    expect(result.reward.raw).to.equal(collateral / 10n);
+    expect(bot.getStats().totalRewards).to.equal(collateral / 10n);
+  });
+
+  it("only logs liquidations in a dry run", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 50, true);
+    const bot = createBot({ dryRun: true });
+    await bot.initialize();
+
+    await bot.scanPositions();
+
+    expect(bot.getStats()).to.include({ wouldLiquidate: 1, liquidationAttempts: 0, liquidationsExecuted: 0 });
+    expect(bot.registry.get(dex.userAddress, positionId).state).to.equal("open");
+    expect((await dex.contract.positions(dex.userAddress, positionId)).isOpen).to.equal(true);
+    expect(bot.entries.some(e => e.msg === "Would liquidate" && e.positionId === positionId)).to.equal(true);
+    expect(fs.existsSync(stateFile)).to.equal(false);
+  });
+
+  it("liquidates a single position on demand", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 50, true);
+    const bot = createBot({ nativeTokenPrice: "1000000000", stateFile: null });
+
+    expect(await bot.liquidate(dex.userAddress, positionId)).to.include({ skipped: true, reason: "unprofitable" });
+
+    const result = await bot.liquidate(dex.userAddress, positionId, { force: true });
+    expect(result.success).to.equal(true);
+    expect(bot.registry.get(dex.userAddress, positionId).state).to.equal("liquidated");
+    expect(await bot.liquidate(dex.userAddress, positionId)).to.include({ skipped: true, reason: "not-open" });
+  });
+
+  it("requires a native token price on the FHE contract", async function () {
+    const [bot, priced] = [createBot(), createBot({ nativeTokenPrice: "2500" })];
+    for (const { dex } of [bot, priced]) {
+      dex.encryptor = { kind: "fhevm" };
+    }
+
+    expect(() => bot.checkDeployment()).to.throw("nativeTokenPrice (NATIVE_TOKEN_PRICE) is required");
+    expect(() => priced.checkDeployment()).to.not.throw();
+  });
+
+  it("recognises liquidations sent by other keepers", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 50, true);
+    const bot = createBot();
+    await bot.initialize();
+    await bot.subscription.ready;
+
+    const [admin] = await ethers.getSigners();
+    const other = new ConfidentialPerpDEXSDK(contractAddress, ethers.provider, admin, { logger: createLogger({ level: "silent" }) });
+    await other.initialize();
+    await other.liquidate(dex.userAddress, positionId);
+    await bot.subscription.poll();
+    await bot.processing;
+
+    const entry = bot.entries.find(e => e.msg === "Position liquidated by another bot");
+    expect(entry.liquidator).to.equal(admin.address);
+    expect(bot.registry.get(dex.userAddress, positionId).state).to.equal("liquidated");
+    expect(monitoredIds(bot)).to.deep.equal([]);
+  });
+
+  it("scans riskier positions first", async function () {
+    const { positionId: low } = await dex.openPosition(Size.parse("0.1"), 5, true);
+    const { positionId: high } = await dex.openPosition(Size.parse("0.1"), 20, true);
+    const { positionId: mid } = await dex.openPosition(Size.parse("0.1"), 10, false);
+
+    const bot = createBot({ concurrency: 2 });
+    await bot.initialize();
+    const scan = await bot.scanPositions();
+
+    expect(scan).to.include({ positions: 3, cancelled: false });
+    expect(bot.getStats().lastScan.durationMs).to.be.a("number");
+    expect(bot.prioritize(bot.registry.open()).map(p => p.positionId)).to.deep.equal([high, mid, low]);
+
+    bot.priority = "oldest";
+    expect(bot.prioritize(bot.registry.open()).map(p => p.positionId)).to.deep.equal([low, high, mid]);
+  });
+
+  it("stops a scan midway", async function () {
+    for (let i = 0; i < 4; i++) {
+      await dex.openPosition(Size.parse("0.1"), 10, true);
+    }
+    const bot = createBot({ concurrency: 1 });
+    await bot.initialize();
+
+    const scan = bot.scanPositions();
+    await bot.stop();
+    const result = await scan;
+
+    expect(result.cancelled).to.equal(true);
+    expect(result.positions).to.be.below(4);
+    expect(bot.entries.some(e => e.msg === "Scan cancelled")).to.equal(true);
+  });
+
+  it("serves metrics, health and readiness", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 50, true);
+    const bot = createBot({ metricsPort: 0, staleAfter: 1000 });
+    await bot.initialize();
+    await bot.attemptLiquidation(dex.userAddress, positionId);
+    await bot.subscription.poll();
+
+    const url = `http://127.0.0.1:${bot.server.address().port}`;
+    const metrics = await (await fetch(`${url}/metrics`)).text();
+    expect(metrics).to.include("perpdex_liquidation_attempts_total{bot=\"liquidation-bot\"} 1");
+    expect(metrics).to.include("perpdex_liquidation_successes_total{bot=\"liquidation-bot\"} 1");
+    expect(metrics).to.include("perpdex_bot_positions{bot=\"liquidation-bot\",state=\"liquidated\"} 1");
+    expect(metrics).to.match(/perpdex_bot_signer_balance_eth\{bot="liquidation-bot",signer="0x[0-9a-fA-F]{40}"\} \d/);
+
+    expect((await fetch(`${url}/healthz`)).status).to.equal(200);
+    expect((await fetch(`${url}/readyz`)).status).to.equal(200);
+
+    // No successful poll for longer than staleAfter
+    bot.subscription.lastPollAt = Date.now() - 5000;
+    const response = await fetch(`${url}/healthz`);
+    expect(response.status).to.equal(503);
+    expect((await response.json()).checks.subscription.ok).to.equal(false);
+    expect((await fetch(`${url}/nope`)).status).to.equal(404);
+  });
+
+  it("sends alerts for liquidations, repeated errors, a silent stream and a low balance", async function () {
+    const received = [];
+    const receiver = http.createServer((request, response) => {
+      let body = "";
+      request.on("data", chunk => { body += chunk; });
+      request.on("end", () => {
+        received.push(JSON.parse(body));
+        response.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const { positionId } = await dex.openPosition(Size.parse("0.1"), 50, true);
+      const bot = createBot({
+        alerts: { webhooks: [`http://127.0.0.1:${receiver.address().port}`] },
+        errorAlertThreshold: 2,
+        minBalance: ethers.parseEther("1000000"),
+        staleAfter: 1000
+      });
+      await bot.initialize();
+
+      await bot.attemptLiquidation(dex.userAddress, positionId);
+      bot.recordError(new Error("boom"));
+      bot.recordError(new Error("boom again"));
+      bot.recordError(new Error("and again"));
+      bot.subscription.lastPollAt = Date.now() - 5000;
+      await bot.checkAlerts();
+      await bot.alerts.flush();
+
+      expect(received.map(alert => alert.type)).to.deep.equal(["liquidation", "errors", "stream-silent", "low-balance"]);
+      expect(received[0]).to.include({ bot: "liquidation-bot", severity: "info" });
+      expect(received[0].fields).to.include({ positionId, trader: dex.userAddress });
+      expect(received[1].fields).to.include({ consecutiveErrors: 2, lastError: "boom again" });
+      expect(bot.getStats().alerts).to.deep.equal({ sent: 4, suppressed: 1, failed: 0 });
+    } finally {
+      await new Promise(resolve => receiver.close(resolve));
+    }
+  });
+
+  it("spreads liquidations over the signer pool and retires drained keys", async function () {
+    const [, , , second, third] = await ethers.getSigners();
+    // Balances are drained below; later tests need the keeper funded again
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    try {
+      const { positionId: a } = await dex.openPosition(Size.parse("0.1"), 50, true);
+      const { positionId: b } = await dex.openPosition(Size.parse("0.1"), 50, true);
+      const { positionId: c } = await dex.openPosition(Size.parse("0.1"), 50, true);
+      await ethers.provider.send("hardhat_setBalance", [third.address, "0x0"]);
+
+      const bot = createBot({ signer: undefined, signers: [keeper, second, third], gasFloor: ethers.parseEther("1") });
+      await bot.initialize();
+      expect(bot.signerPool.active().map(m => m.address)).to.deep.equal([keeper.address, second.address]);
+
+      const results = await Promise.all([a, b].map(id => bot.attemptLiquidation(dex.userAddress, id)));
+      const senders = await Promise.all(results.map(r => ethers.provider.getTransaction(r.receipt.hash).then(tx => tx.from)));
+      expect(senders.sort()).to.deep.equal([keeper.address, second.address].sort());
+      expect(bot.entries.some(e => e.msg === "Position liquidated by another bot")).to.equal(false);
+
+      await ethers.provider.send("hardhat_setBalance", [keeper.address, "0x0"]);
+      await ethers.provider.send("hardhat_setBalance", [second.address, "0x0"]);
+      await bot.signerPool.refreshBalances();
+      expect(await bot.attemptLiquidation(dex.userAddress, c)).to.include({ skipped: true, reason: "no-signer" });
+
+      await ethers.provider.send("hardhat_setBalance", [third.address, ethers.toQuantity(ethers.parseEther("10"))]);
+      await bot.signerPool.refreshBalances();
+      const result = await bot.attemptLiquidation(dex.userAddress, c);
+      expect((await ethers.provider.getTransaction(result.receipt.hash)).from).to.equal(third.address);
+      expect(bot.getStats().signers.map(s => s.retired)).to.deep.equal([true, true, false]);
+    } finally {
+      await ethers.provider.send("evm_revert", [snapshot]);
+    }
+  });
+
+  it("ignores state saved for another contract", async function () {
+    fs.writeFileSync(stateFile, JSON.stringify({
+      version: 1,
+      chainId: 31337,
+      contract: ethers.ZeroAddress,
+      lastBlock: 999999,
+      positions: [{ trader: keeper.address, positionId: ethers.ZeroHash, isLong: true }]
+    }));
+
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 10, true);
+    const bot = createBot();
+    await bot.initialize();
+
+    expect(bot.entries.some(e => e.msg === "State file is for another deployment, ignoring it")).to.equal(true);
+    expect(monitoredIds(bot)).to.deep.equal([positionId]);
+  });
+});
@@ -0,0 +1,70 @@
+import { expect } from "chai";
+import { createLogger, silentLogger, Price } from "../src/perp-dex-sdk.js";
+import { LiquidationBot } from "../scripts/liquidation-bot.js";
+
+function capture(options = {}) {
+  const lines = [];
+  const logger = createLogger({ format: "json", write: line => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+}
+
+describe("logger", function () {
+  it("writes JSON lines with structured fields", function () {
+    const { logger, lines } = capture();
+    logger.info("✅ Deposit successful", { txHash: "0xabc", gasUsed: 21000n, price: Price.parse("50000") });
+
+    expect(lines).to.have.length(1);
+    expect(lines[0]).to.include({ level: "info", msg: "Deposit successful", txHash: "0xabc", gasUsed: "21000", price: "50000.00" });
+    expect(lines[0].time).to.be.a("string");
+  });
+
+  it("serializes errors", function () {
+    const { logger, lines } = capture();
+    logger.error("❌ Liquidation error", { error: new TypeError("boom") });
+    expect(lines[0].error).to.deep.equal({ name: "TypeError", message: "boom" });
+  });
+
+  it("drops entries below the level", function () {
+    const { logger, lines } = capture({ level: "warn" });
+    logger.debug("a");
+    logger.info("b");
+    logger.warn("c");
+    logger.error("d");
+    expect(lines.map(l => l.msg)).to.deep.equal(["c", "d"]);
+  });
+
+  it("adds child fields to every entry", function () {
+    const { logger, lines } = capture({ fields: { service: "dashboard" } });
+    logger.child({ positionId: "0x01" }).info("x", { trader: "0x02" });
+    expect(lines[0]).to.include({ service: "dashboard", positionId: "0x01", trader: "0x02" });
+  });
+
+  it("has a silent mode", function () {
+    expect(() => silentLogger.error("nothing", { a: 1 })).not.to.throw();
+    const { logger, lines } = capture({ level: "silent" });
+    logger.error("dropped");
+    expect(lines).to.have.length(0);
+  });
+
+  it("rejects unknown levels and formats", function () {
+    expect(() => createLogger({ level: "verbose" })).to.throw("Unknown log level");
+    expect(() => createLogger({ format: "xml" })).to.throw("Unknown log format");
+  });
+
+  it("logs bot statistics as data", function () {
+    const { logger, lines } = capture();
+    const bot = new LiquidationBot(
+      "0x000000000000000000000000000000000000dEaD",
+      "http://127.0.0.1:8545",
+      "0x" + "11".repeat(32),
+      { logger }
+    );
+
+    const stats = bot.getStats();
+    expect(stats).to.include({ isRunning: false, monitoredPositions: 0, liquidationsExecuted: 0, errors: 0 });
+    expect(stats.totalRewards).to.equal(0n);
+
+    bot.printStats();
+    expect(lines.at(-1)).to.include({ msg: "Bot statistics", monitoredPositions: 0, totalRewards: "0" });
+  });
+});
@@ -0,0 +1,44 @@
+import { expect } from "chai";
+import { Histogram, formatPrometheus } from "../scripts/lib/metrics.js";
+
+describe("metrics", function () {
+  it("formats counters and gauges with labels", function () {
+    const text = formatPrometheus([
+      { name: "jobs_total", help: "Jobs run", type: "counter", samples: [{ value: 3n }] },
+      {
+        name: "queue",
+        help: "Queued jobs",
+        type: "gauge",
+        samples: [{ labels: { state: "open" }, value: 2 }, { labels: { state: "say \"hi\"" }, value: 0 }]
+      }
+    ], { bot: "test" });
+
+    expect(text).to.equal([
+      "# HELP jobs_total Jobs run",
+      "# TYPE jobs_total counter",
+      "jobs_total{bot=\"test\"} 3",
+      "# HELP queue Queued jobs",
+      "# TYPE queue gauge",
+      "queue{bot=\"test\",state=\"open\"} 2",
+      "queue{bot=\"test\",state=\"say \\\"hi\\\"\"} 0",
+      ""
+    ].join("\n"));
+  });
+
+  it("formats histograms with cumulative buckets", function () {
+    const histogram = new Histogram([1, 0.5]);
+    histogram.observe(0.2);
+    histogram.observe(0.7);
+    histogram.observe(3);
+
+    const text = formatPrometheus([{ name: "took_seconds", help: "Duration", type: "histogram", histogram }]);
+
+    expect(text.split("\n").slice(2, -1)).to.deep.equal([
+      "took_seconds_bucket{le=\"0.5\"} 1",
+      "took_seconds_bucket{le=\"1\"} 2",
+      "took_seconds_bucket{le=\"+Inf\"} 3",
+      "took_seconds_sum 3.9",
+      "took_seconds_count 3"
+    ]);
+  });
+});
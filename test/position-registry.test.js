@@ -0,0 +1,93 @@
+import { expect } from "chai";
+import { PositionRegistry, POSITION_STATES } from "../scripts/lib/position-registry.js";
+
+const TRADER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const OTHER = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const ID_A = "0x" + "aa".repeat(32);
+const ID_B = "0x" + "bb".repeat(32);
+
+function event(name, blockNumber, logIndex, fields = {}) {
+  return { name, trader: TRADER, positionId: ID_A, blockNumber, logIndex, transactionHash: `0x${blockNumber}`, ...fields };
+}
+
+describe("PositionRegistry", function () {
+  let registry;
+
+  beforeEach(function () {
+    registry = new PositionRegistry();
+  });
+
+  it("applies each event once", function () {
+    const opened = event("PositionOpened", 1, 0, { isLong: true });
+    expect(registry.apply(opened)).to.not.equal(null);
+    expect(registry.apply(opened)).to.equal(null);
+
+    const closed = event("PositionClosed", 2, 0);
+    registry.apply(closed);
+    // Replaying the whole stream changes nothing
+    expect(registry.apply(opened)).to.equal(null);
+    expect(registry.apply(closed)).to.equal(null);
+
+    const position = registry.get(TRADER.toLowerCase(), ID_A);
+    expect(position.state).to.equal(POSITION_STATES.CLOSED);
+    expect(position.isLong).to.equal(true);
+  });
+
+  it("keeps the SL/TP state when PositionClosed follows", function () {
+    registry.apply(event("PositionOpened", 1, 0, { isLong: false }));
+    registry.apply(event("StopLossTriggered", 5, 0));
+    registry.apply(event("PositionClosed", 5, 1));
+
+    expect(registry.get(TRADER, ID_A).state).to.equal(POSITION_STATES.SL_TP_EXECUTED);
+    expect(registry.active()).to.have.length(0);
+  });
+
+  it("allows one liquidation attempt in flight per position", function () {
+    registry.track({ trader: TRADER, positionId: ID_A, isLong: true });
+
+    expect(registry.beginLiquidation(TRADER, ID_A)).to.equal(true);
+    expect(registry.beginLiquidation(TRADER, ID_A)).to.equal(false);
+    expect(registry.inFlight()).to.have.length(1);
+    expect(registry.open()).to.have.length(0);
+
+    registry.endLiquidation(TRADER, ID_A, { success: false });
+    expect(registry.get(TRADER, ID_A).state).to.equal(POSITION_STATES.OPEN);
+
+    expect(registry.beginLiquidation(TRADER, ID_A)).to.equal(true);
+    registry.endLiquidation(TRADER, ID_A, { success: true, txHash: "0x01" });
+    expect(registry.get(TRADER, ID_A).state).to.equal(POSITION_STATES.LIQUIDATED);
+    expect(registry.beginLiquidation(TRADER, ID_A)).to.equal(false);
+  });
+
+  it("keeps liquidations off positions with an SL/TP execution in flight", function () {
+    registry.track({ trader: TRADER, positionId: ID_A });
+
+    expect(registry.beginExecution(TRADER, ID_A)).to.equal(true);
+    expect(registry.beginLiquidation(TRADER, ID_A)).to.equal(false);
+    expect(registry.inFlight()).to.have.length(1);
+
+    registry.endExecution(TRADER, ID_A, { success: true, txHash: "0x02" });
+    expect(registry.get(TRADER, ID_A).state).to.equal(POSITION_STATES.SL_TP_EXECUTED);
+  });
+
+  it("answers queries by trader and reports state counts", function () {
+    registry.track({ trader: TRADER, positionId: ID_A });
+    registry.track({ trader: TRADER, positionId: ID_B });
+    registry.track({ trader: OTHER, positionId: ID_A });
+    registry.apply(event("LiquidationTriggered", 3, 0, { positionId: ID_B }));
+
+    expect(registry.byTrader(TRADER.toLowerCase()).map(p => p.positionId)).to.deep.equal([ID_A, ID_B]);
+    expect(registry.traders()).to.deep.equal([TRADER, OTHER]);
+    expect(registry.counts()).to.include({ open: 2, liquidated: 1 });
+    expect(registry.toJSON()).to.have.length(2);
+  });
+
+  it("reopens a finished position when storage says it is open", function () {
+    registry.apply(event("PositionClosed", 2, 0));
+    registry.reconcile(TRADER, ID_A, { isOpen: true, isLong: true });
+    expect(registry.get(TRADER, ID_A).state).to.equal(POSITION_STATES.OPEN);
+
+    registry.reconcile(TRADER, ID_A, { isOpen: false });
+    expect(registry.get(TRADER, ID_A).state).to.equal(POSITION_STATES.CLOSED);
+  });
+});
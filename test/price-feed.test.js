@@ -0,0 +1,137 @@
+import { expect } from "chai";
+import { PriceFeed } from "../public/js/price-feed.js";
+import { Price } from "../src/units.js";
+
+/** Source stand-in answering with `answers` in turn; an Error answer is thrown. */
+function source(name, ...answers) {
+  let calls = 0;
+  return {
+    name,
+    read: async () => {
+      const answer = answers[Math.min(calls++, answers.length - 1)];
+      if (answer instanceof Error) throw answer;
+      return answer;
+    }
+  };
+}
+
+describe("Price feed", function () {
+  const NOW = 1_700_000_000_000;
+  let realNow;
+  let now;
+
+  beforeEach(function () {
+    now = NOW;
+    realNow = Date.now;
+    Date.now = () => now;
+  });
+
+  afterEach(function () {
+    Date.now = realNow;
+  });
+
+  it("uses the first source with a fresh price", async function () {
+    const feed = new PriceFeed({
+      sources: [
+        source("oracle", { price: Price.parse("50000"), updatedAt: NOW - 1000 }),
+        source("public", { price: Price.parse("51000"), updatedAt: NOW })
+      ]
+    });
+
+    await feed.refresh();
+
+    expect(feed.price.toString()).to.equal(Price.parse("50000").toString());
+    expect(feed.source).to.equal("oracle");
+    expect(feed.ageMs).to.equal(1000);
+    expect(feed.isStale).to.equal(false);
+  });
+
+  it("skips stale and failing sources for a fresh one", async function () {
+    const feed = new PriceFeed({
+      staleAfterMs: 60000,
+      sources: [
+        source("oracle", { price: Price.parse("45000"), updatedAt: NOW - 120000 }),
+        source("unknown-age", { price: Price.parse("46000"), updatedAt: null }),
+        source("broken", new Error("HTTP 503")),
+        source("public", { price: Price.parse("50000"), updatedAt: NOW })
+      ]
+    });
+
+    await feed.refresh();
+
+    expect(feed.source).to.equal("public");
+    expect(feed.isStale).to.equal(false);
+  });
+
+  it("keeps the first answer, flagged stale, when no source is fresh", async function () {
+    const feed = new PriceFeed({
+      sources: [
+        source("broken", new Error("timeout")),
+        source("oracle", { price: Price.parse("45000"), updatedAt: null }),
+        source("public", { price: Price.parse("46000"), updatedAt: NOW - 600000 })
+      ]
+    });
+
+    await feed.refresh();
+
+    expect(feed.source).to.equal("oracle");
+    expect(feed.ageMs).to.equal(null);
+    expect(feed.error).to.equal(null);
+    expect(feed.isStale).to.equal(true);
+  });
+
+  it("turns stale once the price is older than staleAfterMs", async function () {
+    const feed = new PriceFeed({
+      staleAfterMs: 60000,
+      sources: [source("public", { price: Price.parse("50000"), updatedAt: NOW })]
+    });
+
+    await feed.refresh();
+    now += 60000;
+    expect(feed.isStale).to.equal(false);
+    now += 1;
+    expect(feed.isStale).to.equal(true);
+  });
+
+  it("keeps the last price, flagged stale, when a refresh fails", async function () {
+    const feed = new PriceFeed({
+      sources: [
+        source("oracle", { price: Price.parse("50000"), updatedAt: NOW }, new Error("no decryption access")),
+        source("public", new Error("HTTP 429"))
+      ]
+    });
+
+    await feed.refresh();
+    expect(feed.isStale).to.equal(false);
+
+    await feed.refresh();
+
+    expect(feed.price.toString()).to.equal(Price.parse("50000").toString());
+    expect(feed.error).to.equal("oracle: no decryption access; public: HTTP 429");
+    expect(feed.isStale).to.equal(true);
+  });
+
+  it("is stale before the first price and rejects a price of 0", async function () {
+    const feed = new PriceFeed({ sources: [source("public", { price: Price.parse("0"), updatedAt: NOW })] });
+    expect(feed.isStale).to.equal(true);
+
+    await feed.refresh();
+
+    expect(feed.price).to.equal(null);
+    expect(feed.error).to.equal("public: price is 0");
+  });
+
+  it("shares one read between overlapping refreshes", async function () {
+    let reads = 0;
+    const changes = [];
+    const feed = new PriceFeed({
+      sources: [{ name: "public", read: async () => ({ price: Price.parse(String(50000 + reads++)), updatedAt: NOW }) }],
+      onChange: changed => changes.push(changed.price.toString())
+    });
+
+    await Promise.all([feed.refresh(), feed.refresh()]);
+
+    expect(reads).to.equal(1);
+    expect(changes).to.have.length(1);
+  });
+});
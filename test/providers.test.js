@@ -0,0 +1,129 @@
+import { expect } from "chai";
+import http from "http";
+import { FailoverProvider, createProvider } from "../src/providers.js";
+
+/**
+ * JSON-RPC stand-in: answers eth_chainId with 31337 and eth_blockNumber /
+ * eth_call from `answers`, or fails every request with HTTP 500 while `down`.
+ */
+async function startNode(answers = {}) {
+  const node = { down: false, requests: 0 };
+  node.server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", chunk => { body += chunk; });
+    request.on("end", () => {
+      node.requests++;
+      if (node.down) {
+        response.writeHead(500).end();
+        return;
+      }
+      const payload = JSON.parse(body);
+      const reply = ({ id, method }) => ({ jsonrpc: "2.0", id, result: { eth_chainId: "0x7a69", ...answers }[method] ?? "0x1" });
+      response
+        .writeHead(200, { "Content-Type": "application/json" })
+        .end(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload)));
+    });
+  });
+  await new Promise(resolve => node.server.listen(0, "127.0.0.1", resolve));
+  node.url = `http://127.0.0.1:${node.server.address().port}`;
+  return node;
+}
+
+describe("FailoverProvider", function () {
+  let nodes;
+  let providers;
+
+  async function nodesWith(...answers) {
+    nodes = await Promise.all(answers.map(startNode));
+    return nodes;
+  }
+
+  function failover(options) {
+    const provider = new FailoverProvider(nodes.map(n => n.url), options);
+    providers.push(provider);
+    return provider;
+  }
+
+  beforeEach(function () {
+    nodes = [];
+    providers = [];
+  });
+
+  afterEach(async function () {
+    for (const provider of providers) provider.destroy();
+    await Promise.all(nodes.map(n => new Promise(resolve => n.server.close(resolve))));
+  });
+
+  it("fails over to the next endpoint and benches a failing one", async function () {
+    const [primary, backup] = await nodesWith({ eth_blockNumber: "0x10" }, { eth_blockNumber: "0x11" });
+    const provider = failover({ failureThreshold: 2, cooldownMs: 60000 });
+
+    expect(await provider.send("eth_blockNumber", [])).to.equal("0x10");
+
+    primary.down = true;
+    expect(await provider.send("eth_blockNumber", [])).to.equal("0x11");
+    expect(await provider.send("eth_blockNumber", [])).to.equal("0x11");
+    expect(provider.health().map(e => e.healthy)).to.deep.equal([false, true]);
+
+    // Benched: no longer tried first
+    const before = primary.requests;
+    expect(await provider.send("eth_blockNumber", [])).to.equal("0x11");
+    expect(primary.requests).to.equal(before);
+    expect(backup.requests).to.be.above(0);
+  });
+
+  it("reports the active endpoint as its connection URL", async function () {
+    const [primary, backup] = await nodesWith({}, {});
+    const provider = failover({ failureThreshold: 1, cooldownMs: 60000 });
+    expect(provider._getConnection().url).to.equal(primary.url);
+
+    primary.down = true;
+    await provider.send("eth_blockNumber", []);
+    expect(provider._getConnection().url).to.equal(backup.url);
+  });
+
+  it("returns the benched endpoint to rotation after its cooldown", async function () {
+    const [primary] = await nodesWith({ eth_blockNumber: "0x10" }, { eth_blockNumber: "0x11" });
+    const provider = failover({ failureThreshold: 1, cooldownMs: 50 });
+
+    primary.down = true;
+    expect(await provider.send("eth_blockNumber", [])).to.equal("0x11");
+    primary.down = false;
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    expect(await provider.send("eth_blockNumber", [])).to.equal("0x10");
+    expect(provider.health()[0]).to.include({ healthy: true, consecutiveFailures: 0 });
+  });
+
+  it("requires a quorum to agree on reads", async function () {
+    await nodesWith({ eth_call: "0xaa" }, { eth_call: "0xaa" }, { eth_call: "0xbb" });
+    const agreeing = failover({ quorum: 2 });
+    expect(await agreeing.send("eth_call", [{ to: "0x" + "11".repeat(20), data: "0x" }, "latest"])).to.equal("0xaa");
+
+    nodes[1].down = true;
+    const call = agreeing.send("eth_call", [{ to: "0x" + "11".repeat(20), data: "0x" }, "latest"]);
+    const error = await call.catch(e => e);
+    expect(error.info.error.message).to.equal("RPC endpoints disagree on eth_call (quorum 2)");
+    expect(agreeing.disagreements).to.equal(1);
+  });
+
+  it("throws when every endpoint is down, and refuses an impossible quorum", async function () {
+    await nodesWith({}, {});
+    nodes.forEach(n => { n.down = true; });
+    const provider = failover();
+    const error = await provider.send("eth_blockNumber", []).catch(e => e);
+    expect(error).to.be.instanceOf(Error);
+
+    expect(() => new FailoverProvider(nodes.map(n => n.url), { quorum: 3 })).to.throw("Quorum 3");
+  });
+
+  it("creates a plain provider for a single URL", async function () {
+    await nodesWith({});
+    const single = createProvider(nodes[0].url);
+    providers.push(single);
+    expect(single).to.not.be.instanceOf(FailoverProvider);
+    const several = createProvider(nodes.map(n => n.url).concat(nodes[0].url));
+    providers.push(several);
+    expect(several).to.be.instanceOf(FailoverProvider);
+  });
+});
@@ -0,0 +1,96 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  ConfidentialPerpDEXSDK,
+  DeploymentRegistry,
+  ReadOnlyError,
+  Size,
+  Collateral,
+  createLogger
+} from "../src/perp-dex-sdk.js";
+
+const { ethers } = hre;
+const logger = createLogger({ level: "silent" });
+
+describe("DeploymentRegistry", function () {
+  let registry;
+  let trader;
+
+  beforeEach(async function () {
+    [, trader] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("ConfidentialPerpDEXMock");
+    const contract = await Factory.deploy();
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    registry = DeploymentRegistry.fromManifest({
+      deployments: {
+        local: {
+          chainId: 31337,
+          address: (await contract.getAddress()).toLowerCase(),
+          deployBlock: receipt.blockNumber,
+          flavor: "mock"
+        },
+        zama: {
+          chainId: 9000,
+          address: "0x000000000000000000000000000000000000dEaD",
+          rpcUrl: "https://devnet.zama.ai"
+        }
+      }
+    });
+  });
+
+  it("validates and normalizes entries", function () {
+    expect(registry.names()).to.deep.equal(["local", "zama"]);
+    expect(registry.get("zama").flavor).to.equal("fhe");
+    expect(registry.get("zama").deployBlock).to.equal(0);
+    expect(registry.get("local").address).to.equal(ethers.getAddress(registry.get("local").address));
+    expect(registry.findByChainId(9000n).map(d => d.name)).to.deep.equal(["zama"]);
+
+    expect(() => registry.get("mainnet")).to.throw('Unknown deployment "mainnet"');
+    expect(() => registry.register("bad", { chainId: 1, address: "0x1234" })).to.throw("invalid address");
+    expect(() => registry.register("bad", { chainId: 1, address: ethers.ZeroAddress, flavor: "plain" })).to.throw("flavor");
+    expect(() => DeploymentRegistry.fromManifest({})).to.throw("deployments");
+
+    const copy = DeploymentRegistry.fromManifest(JSON.parse(JSON.stringify(registry)));
+    expect(copy.get("local")).to.deep.equal(registry.get("local"));
+  });
+
+  it("connects a read-only client whose writes fail clearly", async function () {
+    const writer = await registry.connect("local", { provider: ethers.provider, signer: trader, logger });
+    await writer.deposit(Collateral.parse("1000"));
+    await writer.openPosition(Size.parse("0.1"), 10, true);
+
+    const reader = await registry.connect("local", { provider: ethers.provider, logger });
+    expect(reader.readOnly).to.equal(true);
+    expect(reader.deployment.name).to.equal("local");
+    expect(reader.history.options.fromBlock).to.equal(registry.get("local").deployBlock);
+
+    const [timeline] = await reader.getPositionHistory(trader.address);
+    expect(timeline.status).to.equal("open");
+    expect(await reader.getUserPositions(trader.address)).to.have.length(1);
+
+    for (const call of [
+      () => reader.deposit(Collateral.parse("1")),
+      () => reader.closePosition(timeline.positionId),
+      () => reader.decryptBalance(),
+      () => reader.getUserPositions()
+    ]) {
+      const error = await call().catch(e => e);
+      expect(error).to.be.instanceOf(ReadOnlyError);
+    }
+    expect(() => reader.createEncryptedInput()).to.throw(ReadOnlyError, "read-only");
+  });
+
+  it("refuses a provider on the wrong chain", async function () {
+    const error = await registry.connect("zama", { provider: ethers.provider }).catch(e => e);
+    expect(error.message).to.include("chain 9000");
+  });
+
+  it("builds read-only clients directly", async function () {
+    const reader = ConfidentialPerpDEXSDK.readOnly(registry.get("local").address, ethers.provider, { logger });
+    await reader.initialize();
+    expect(await reader.getPositionHistory()).to.deep.equal([]);
+  });
+});
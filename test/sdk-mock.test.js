@@ -0,0 +1,86 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ConfidentialPerpDEXSDK, NotSupportedError, Price, Size, Collateral, createLogger } from "../src/perp-dex-sdk.js";
+
+const { ethers } = hre;
+
+describe("ConfidentialPerpDEXSDK - mock contract", function () {
+  let dex;
+  let contractAddress;
+
+  beforeEach(async function () {
+    const [trader] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("ConfidentialPerpDEXMock");
+    const contract = await Factory.deploy();
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+
+    dex = new ConfidentialPerpDEXSDK(contractAddress, ethers.provider, trader, { logger: createLogger({ level: "silent" }) });
+    await dex.initialize();
+  });
+
+  it("detects the mock contract", async function () {
+    expect(dex.encryptor.kind).to.equal("mock");
+  });
+
+  it("deposits, opens a position with SL/TP and decrypts it", async function () {
+    await dex.deposit(Collateral.parse("10000"));
+    expect((await dex.decryptBalance()).format()).to.equal("10000.000000");
+
+    const { positionId } = await dex.openPosition(Size.parse("1"), 10, true, {
+      stopLoss: Price.parse("48000"),
+      takeProfit: Price.parse("55000")
+    });
+    expect(positionId).to.be.a("string");
+
+    const position = await dex.decryptPosition(positionId);
+    expect(position.size.equals(Size.parse("1"))).to.equal(true);
+    expect(position.entryPrice.equals(Price.parse("50000"))).to.equal(true);
+    expect(position.collateral.equals(Collateral.parse("5000"))).to.equal(true);
+    expect(position.stopLoss.equals(Price.parse("48000"))).to.equal(true);
+    expect(position.takeProfit.equals(Price.parse("55000"))).to.equal(true);
+    expect(position.leverage).to.equal(10);
+    expect(position.isLong).to.equal(true);
+    expect(position.isOpen).to.equal(true);
+
+    expect((await dex.decryptBalance()).equals(Collateral.parse("5000"))).to.equal(true);
+  });
+
+  it("updates SL/TP on an open position", async function () {
+    await dex.deposit(Collateral.parse("10000"));
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 10, false);
+
+    await dex.updateStopLossTakeProfit(positionId, Price.parse("52000"), Price.parse("45000"));
+
+    const position = await dex.decryptPosition(positionId);
+    expect(position.stopLoss.format()).to.equal("52000.00");
+    expect(position.takeProfit.format()).to.equal("45000.00");
+  });
+
+  it("decrypts SL/TP trigger flags on the mock contract only", async function () {
+    await dex.deposit(Collateral.parse("10000"));
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 10, true, { stopLoss: Price.parse("48000") });
+
+    expect(await dex.decryptStopLossTakeProfit(dex.userAddress, positionId))
+      .to.deep.equal({ slTriggered: false, tpTriggered: false });
+
+    dex.encryptor = { kind: "fhevm" };
+    const error = await dex.decryptStopLossTakeProfit(dex.userAddress, positionId).catch(e => e);
+    expect(error).to.be.instanceOf(NotSupportedError);
+    expect(error.message).to.include("decryptStopLossTakeProfit() is not supported");
+  });
+
+  it("logs through an injected logger", async function () {
+    const [, trader] = await ethers.getSigners();
+    const entries = [];
+    const logger = createLogger({ format: "json", write: line => entries.push(JSON.parse(line)) });
+
+    const quiet = new ConfidentialPerpDEXSDK(contractAddress, ethers.provider, trader, { logger });
+    await quiet.initialize();
+    const receipt = await quiet.deposit(Collateral.parse("1"));
+
+    const done = entries.find(e => e.msg === "Deposit successful");
+    expect(done).to.include({ level: "info", txHash: receipt.hash, gasUsed: receipt.gasUsed.toString() });
+  });
+});
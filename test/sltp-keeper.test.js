@@ -0,0 +1,158 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import hre from "hardhat";
+import { ConfidentialPerpDEXSDK, Size, Price, Collateral, createLogger } from "../src/perp-dex-sdk.js";
+import { StopLossTakeProfitKeeper } from "../scripts/sltp-keeper.js";
+
+const { ethers } = hre;
+
+describe("StopLossTakeProfitKeeper", function () {
+  let contract;
+  let contractAddress;
+  let deployBlock;
+  let dex;
+  let keeperSigner;
+  let stateFile;
+  let keepers;
+
+  function createKeeper(options = {}) {
+    const entries = [];
+    const logger = createLogger({ level: "debug", format: "json", write: line => entries.push(JSON.parse(line)) });
+    const keeper = new StopLossTakeProfitKeeper(contractAddress, null, null, {
+      signer: keeperSigner,
+      logger,
+      stateFile,
+      fromBlock: deployBlock,
+      ...options
+    });
+    keeper.entries = entries;
+    keepers.push(keeper);
+    return keeper;
+  }
+
+  async function setOraclePrice(price) {
+    await contract.updateOraclePrice(ethers.toBeHex(Price.parse(price).raw, 32), "0x");
+  }
+
+  beforeEach(async function () {
+    let admin, trader;
+    [admin, trader, keeperSigner] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("ConfidentialPerpDEXMock", admin);
+    contract = await Factory.deploy();
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+    deployBlock = await ethers.provider.getBlockNumber();
+
+    dex = new ConfidentialPerpDEXSDK(contractAddress, ethers.provider, trader, { logger: createLogger({ level: "silent" }) });
+    await dex.initialize();
+    await dex.deposit(Collateral.parse("10000"));
+
+    stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "keeper-state-")), "state.json");
+    keepers = [];
+  });
+
+  afterEach(async function () {
+    for (const keeper of keepers) await keeper.stop();
+  });
+
+  it("executes stop losses once the price crosses them", async function () {
+    const { positionId: guarded } = await dex.openPosition(Size.parse("0.1"), 10, true, {
+      stopLoss: Price.parse("48000"),
+      takeProfit: Price.parse("55000")
+    });
+    const { positionId: bare } = await dex.openPosition(Size.parse("0.1"), 10, true);
+
+    const keeper = createKeeper();
+    await keeper.initialize();
+
+    await keeper.scanPositions();
+    expect(keeper.getStats().skipped).to.include({ "not-triggered": 1, "no-triggers": 1 });
+    expect(keeper.scanCandidates().map(p => p.positionId)).to.deep.equal([guarded]);
+
+    await setOraclePrice("47000");
+    await keeper.scanPositions();
+
+    const stats = keeper.getStats();
+    expect(stats).to.include({ executed: 1, stopLosses: 1, takeProfits: 0 });
+    expect(keeper.registry.get(dex.userAddress, guarded).state).to.equal("sl-tp-executed");
+    expect(keeper.registry.get(dex.userAddress, bare).state).to.equal("open");
+    expect((await contract.positions(dex.userAddress, guarded)).isOpen).to.equal(false);
+  });
+
+  it("re-reads triggers after StopLossTakeProfitUpdated", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 10, false);
+
+    const keeper = createKeeper();
+    await keeper.initialize();
+    await keeper.subscription.ready;
+    await keeper.scanPositions();
+    expect(keeper.scanCandidates()).to.have.length(0);
+
+    await dex.updateStopLossTakeProfit(positionId, 0, Price.parse("49000"));
+    await keeper.subscription.poll();
+    await keeper.processing;
+    expect(keeper.scanCandidates()).to.have.length(1);
+
+    await setOraclePrice("48500");
+    await keeper.scanPositions();
+    expect(keeper.getStats()).to.include({ executed: 1, takeProfits: 1 });
+  });
+
+  it("retries positions whose triggers failed to decrypt over RPC", async function () {
+    await dex.openPosition(Size.parse("0.1"), 10, true, { stopLoss: Price.parse("48000") });
+
+    const keeper = createKeeper();
+    await keeper.initialize();
+
+    const decryptHandle = keeper.dex.decryptHandle;
+    keeper.dex.decryptHandle = async () => {
+      keeper.dex.decryptHandle = decryptHandle;
+      throw Object.assign(new Error("network down"), { code: "NETWORK_ERROR" });
+    };
+
+    await setOraclePrice("47000");
+    await keeper.scanPositions();
+    expect(keeper.getStats()).to.include({ rpcErrors: 1, executed: 0 });
+    expect(keeper.getStats().skipped.undecryptable).to.equal(0);
+    expect(keeper.scanCandidates()).to.have.length(1);
+
+    await keeper.scanPositions();
+    expect(keeper.getStats()).to.include({ executed: 1, stopLosses: 1 });
+  });
+
+  it("refuses to start on the FHE contract", async function () {
+    const keeper = createKeeper();
+    keeper.dex.initialize = async function () {
+      this.encryptor = { kind: "fhevm" };
+    };
+
+    const error = await keeper.initialize().catch(e => e);
+
+    expect(error.message).to.include("only supports ConfidentialPerpDEXMock");
+    expect(keeper.initialized).to.not.equal(true);
+  });
+
+  it("scans on every oracle price update", async function () {
+    await dex.openPosition(Size.parse("0.1"), 10, true, { stopLoss: Price.parse("48000") });
+
+    const keeper = createKeeper();
+    keeper.checkInterval = 60000;
+    await keeper.initialize();
+    await keeper.subscription.ready;
+
+    const running = keeper.start();
+    while (keeper.stats.scans < 1) await new Promise(r => setTimeout(r, 10));
+
+    await setOraclePrice("47000");
+    await keeper.subscription.poll();
+    await keeper.processing;
+    while (keeper.stats.scans < 2) await new Promise(r => setTimeout(r, 10));
+
+    await keeper.stop();
+    await running;
+    expect(keeper.getStats().stopLosses).to.equal(1);
+  });
+});
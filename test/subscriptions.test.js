@@ -0,0 +1,177 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ConfidentialPerpDEXSDK, Size, Collateral, createLogger } from "../src/perp-dex-sdk.js";
+
+const { ethers, network } = hre;
+
+// Polls are driven by hand with sub.poll()
+const MANUAL = { pollInterval: 1e9 };
+
+describe("EventSubscription", function () {
+  let dex;
+  let otherDex;
+  let deployBlock;
+
+  async function connect(address, signer) {
+    const sdk = new ConfidentialPerpDEXSDK(address, ethers.provider, signer, { logger: createLogger({ level: "silent" }) });
+    await sdk.initialize();
+    return sdk;
+  }
+
+  beforeEach(async function () {
+    const [admin, trader, other] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("ConfidentialPerpDEXMock", admin);
+    const contract = await Factory.deploy();
+    await contract.waitForDeployment();
+    deployBlock = await ethers.provider.getBlockNumber();
+
+    const address = await contract.getAddress();
+    dex = await connect(address, trader);
+    otherDex = await connect(address, other);
+
+    await dex.deposit(Collateral.parse("10000"));
+    await otherDex.deposit(Collateral.parse("10000"));
+  });
+
+  afterEach(function () {
+    for (const sub of [...dex.subscriptions, ...otherDex.subscriptions]) sub.unsubscribe();
+  });
+
+  it("replays from a block, then continues live without duplicates", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 10, true);
+
+    const seen = [];
+    const sub = dex.subscribe("*", { ...MANUAL, fromBlock: deployBlock, onEvent: e => seen.push(e) });
+    await sub.ready;
+    expect(seen.map(e => e.name)).to.deep.equal(["BalanceDeposited", "BalanceDeposited", "PositionOpened"]);
+
+    await dex.closePosition(positionId);
+    await sub.poll();
+    await sub.poll();
+
+    expect(seen.map(e => e.name)).to.deep.equal(["BalanceDeposited", "BalanceDeposited", "PositionOpened", "PositionClosed"]);
+    expect(seen.every(e => e.removed === false)).to.equal(true);
+  });
+
+  it("only delivers new events without fromBlock", async function () {
+    const seen = [];
+    const sub = dex.subscribe("BalanceDeposited", { ...MANUAL, onEvent: e => seen.push(e) });
+    await sub.ready;
+
+    await dex.deposit(Collateral.parse("1"));
+    await sub.poll();
+    expect(seen).to.have.length(1);
+  });
+
+  it("filters by trader and position", async function () {
+    const { positionId } = await dex.openPosition(Size.parse("0.1"), 10, true);
+    await dex.openPosition(Size.parse("0.1"), 10, false);
+    await otherDex.openPosition(Size.parse("0.1"), 10, true);
+
+    const mine = [];
+    const one = [];
+    const subMine = dex.subscribe("*", { ...MANUAL, fromBlock: deployBlock, trader: dex.userAddress, onEvent: e => mine.push(e) });
+    const subOne = dex.subscribe("*", { ...MANUAL, fromBlock: deployBlock, positionId, onEvent: e => one.push(e) });
+    await Promise.all([subMine.ready, subOne.ready]);
+
+    expect(mine.map(e => e.name)).to.deep.equal(["BalanceDeposited", "PositionOpened", "PositionOpened"]);
+    expect(one.map(e => e.positionId)).to.deep.equal([positionId]);
+  });
+
+  it("unsubscribes one subscription without affecting the others", async function () {
+    const first = [];
+    const second = [];
+    const a = dex.subscribe("BalanceDeposited", { ...MANUAL, onEvent: e => first.push(e) });
+    const b = dex.subscribe("BalanceDeposited", { ...MANUAL, onEvent: e => second.push(e) });
+    await Promise.all([a.ready, b.ready]);
+
+    a.unsubscribe();
+    expect(dex.subscriptions.has(a)).to.equal(false);
+
+    await dex.deposit(Collateral.parse("1"));
+    await a.poll();
+    await b.poll();
+
+    expect(first).to.have.length(0);
+    expect(second).to.have.length(1);
+  });
+
+  it("reports events removed by a reorg", async function () {
+    const seen = [];
+    const sub = dex.subscribe("BalanceDeposited", { ...MANUAL, onEvent: e => seen.push(e) });
+    await sub.ready;
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await dex.deposit(Collateral.parse("1"));
+    await sub.poll();
+    expect(seen).to.have.length(1);
+
+    await network.provider.send("evm_revert", [snapshot]);
+    dex.transactions.resetNonce();
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_mine");
+    await sub.poll();
+
+    expect(seen).to.have.length(2);
+    expect(seen[1].removed).to.equal(true);
+    expect(seen[1].transactionHash).to.equal(seen[0].transactionHash);
+  });
+
+  it("neither redelivers nor removes events when the head moves backwards", async function () {
+    const seen = [];
+    const sub = dex.subscribe("BalanceDeposited", { ...MANUAL, fromBlock: deployBlock, reorgDepth: 2, onEvent: e => seen.push(e) });
+    await sub.ready;
+    expect(seen).to.have.length(2);
+
+    await dex.deposit(Collateral.parse("1"));
+    for (let i = 0; i < 4; i++) await network.provider.send("evm_mine");
+    await sub.poll();
+    expect(seen).to.have.length(3);
+
+    // A lagging node answers with a head from before the last deposit
+    const resolveBlock = sub.history.resolveBlock;
+    const head = await ethers.provider.getBlockNumber();
+    sub.history.resolveBlock = async block => (block === "latest" ? head - 6 : resolveBlock.call(sub.history, block));
+    try {
+      await sub.poll();
+    } finally {
+      sub.history.resolveBlock = resolveBlock;
+    }
+    await sub.poll();
+
+    expect(seen).to.have.length(3);
+    expect(seen.every(e => !e.removed)).to.equal(true);
+  });
+
+  it("works as an async iterator", async function () {
+    await dex.openPosition(Size.parse("0.1"), 10, true);
+
+    const sub = dex.subscribe(["PositionOpened", "PositionClosed"], { fromBlock: deployBlock, pollInterval: 20 });
+    const names = [];
+    for await (const event of sub) {
+      names.push(event.name);
+      if (event.name === "PositionOpened") {
+        await dex.closePosition(event.positionId);
+      } else {
+        break;
+      }
+    }
+
+    expect(names).to.deep.equal(["PositionOpened", "PositionClosed"]);
+    expect(dex.subscriptions.size).to.equal(0);
+  });
+
+  it("keeps subscribeToEvents callbacks working", async function () {
+    const seen = [];
+    const sub = dex.subscribeToEvents((name, data) => seen.push([name, data.trader]), MANUAL);
+    await sub.ready;
+
+    await dex.openPosition(Size.parse("0.1"), 10, true);
+    await sub.poll();
+    dex.unsubscribeFromEvents();
+
+    expect(seen).to.deep.equal([["PositionOpened", dex.userAddress]]);
+    expect(dex.subscriptions.size).to.equal(0);
+  });
+});
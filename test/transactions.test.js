@@ -0,0 +1,134 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  ConfidentialPerpDEXSDK,
+  Collateral,
+  ContractRevertError,
+  PositionNotOpenError,
+  OnlyAdminError,
+  TransactionTimeoutError,
+  TransactionReplacedError,
+  createLogger,
+  decodeContractError
+} from "../src/perp-dex-sdk.js";
+
+const { ethers, network } = hre;
+
+async function captureError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe("TransactionManager", function () {
+  let dex;
+  let contractAddress;
+  let trader;
+
+  beforeEach(async function () {
+    let admin;
+    [admin, trader] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("ConfidentialPerpDEXMock", admin);
+    const contract = await Factory.deploy();
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+
+    dex = new ConfidentialPerpDEXSDK(contractAddress, ethers.provider, trader, {
+      transactions: { timeout: 1000 },
+      logger: createLogger({ level: "silent" })
+    });
+    await dex.initialize();
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  it("decodes require() reasons into typed errors", async function () {
+    const notOpen = await captureError(dex.closePosition(ethers.ZeroHash));
+    expect(notOpen).to.be.instanceOf(PositionNotOpenError);
+    expect(notOpen).to.be.instanceOf(ContractRevertError);
+    expect(notOpen.reason).to.equal("Position not open");
+
+    const notAdmin = await captureError(dex.send("updateOraclePrice", [ethers.toBeHex(1, 32), "0x"]));
+    expect(notAdmin).to.be.instanceOf(OnlyAdminError);
+  });
+
+  it("decodes reverts from view calls", async function () {
+    const error = await captureError(dex.checkStopLossTakeProfit(trader.address, ethers.ZeroHash));
+    expect(error).to.be.instanceOf(PositionNotOpenError);
+  });
+
+  it("passes non-revert errors through unchanged", function () {
+    const error = Object.assign(new Error("socket hang up"), { code: "NETWORK_ERROR" });
+    expect(decodeContractError(error)).to.equal(error);
+  });
+
+  it("hands out sequential nonces to concurrent sends", async function () {
+    const start = await trader.getNonce();
+
+    const receipts = await Promise.all([
+      dex.deposit(Collateral.parse("1")),
+      dex.deposit(Collateral.parse("2")),
+      dex.deposit(Collateral.parse("3"))
+    ]);
+
+    const nonces = await Promise.all(receipts.map(r => r.getTransaction().then(tx => tx.nonce)));
+    expect(nonces.sort()).to.deep.equal([start, start + 1, start + 2]);
+    expect((await dex.decryptBalance()).format()).to.equal("6.000000");
+  });
+
+  it("adds headroom to the gas estimate", async function () {
+    const receipt = await dex.deposit(Collateral.parse("1"));
+    const tx = await receipt.getTransaction();
+    expect(tx.gasLimit > receipt.gasUsed).to.equal(true);
+  });
+
+  it("simulates calls without sending them", async function () {
+    const nonce = await trader.getNonce();
+    const error = await captureError(dex.transactions.simulate(dex.contract, "closePosition", [ethers.ZeroHash]));
+    expect(error).to.be.instanceOf(PositionNotOpenError);
+
+    const { gasEstimate, gasLimit, fees, gasCost } = await dex.transactions.simulate(
+      dex.contract, "deposit", [ethers.toBeHex(1, 32), "0x"]
+    );
+    expect(gasLimit).to.equal(gasEstimate + (gasEstimate * 20n) / 100n);
+    expect(gasCost).to.equal(gasEstimate * fees.maxFeePerGas);
+    expect(await trader.getNonce()).to.equal(nonce);
+  });
+
+  it("times out stuck transactions and lets them be sped up", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const timeout = await captureError(dex.deposit(Collateral.parse("1")));
+    expect(timeout).to.be.instanceOf(TransactionTimeoutError);
+
+    const [stuck] = dex.transactions.pendingTransactions();
+    const replacement = await dex.transactions.speedUp(stuck);
+    expect(replacement.nonce).to.equal(stuck.nonce);
+    expect(replacement.maxFeePerGas > stuck.maxFeePerGas).to.equal(true);
+
+    await network.provider.send("evm_mine");
+    const receipt = await dex.transactions.wait(stuck);
+    expect(receipt.hash).to.equal(replacement.hash);
+    expect(dex.transactions.pendingTransactions()).to.have.length(0);
+    expect((await dex.decryptBalance()).format()).to.equal("1.000000");
+  });
+
+  it("cancels stuck transactions", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+
+    await captureError(dex.deposit(Collateral.parse("1")));
+    const [stuck] = dex.transactions.pendingTransactions();
+    await dex.transactions.cancel(stuck);
+
+    await network.provider.send("evm_mine");
+    const error = await captureError(dex.transactions.wait(stuck));
+    expect(error).to.be.instanceOf(TransactionReplacedError);
+    expect((await dex.decryptBalance()).raw).to.equal(0n);
+  });
+});
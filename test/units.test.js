@@ -0,0 +1,91 @@
+import { expect } from "chai";
+import {
+  Price,
+  Size,
+  Collateral,
+  parseUnits,
+  formatUnits,
+  notional,
+  requiredCollateral,
+  liquidationPrice,
+  UINT64_MAX,
+  PRICE_DECIMALS,
+  SIZE_DECIMALS,
+  COLLATERAL_DECIMALS
+} from "../src/units.js";
+
+function captureError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe("Fixed-point units", function () {
+  it("keeps collateral scale equal to size × price", function () {
+    expect(PRICE_DECIMALS).to.equal(2);
+    expect(COLLATERAL_DECIMALS).to.equal(PRICE_DECIMALS + SIZE_DECIMALS);
+  });
+
+  it("parses decimals exactly", function () {
+    expect(parseUnits("1.5", 4)).to.equal(15000n);
+    expect(parseUnits("0.1", 2)).to.equal(10n);
+    expect(parseUnits(".25", 2)).to.equal(25n);
+    expect(parseUnits("50000", 2)).to.equal(5000000n);
+    expect(parseUnits("1.50", 1)).to.equal(15n);
+    expect(parseUnits(2n, 2)).to.equal(200n);
+  });
+
+  it("rejects malformed input and excess precision", function () {
+    expect(captureError(() => parseUnits("1.2.3", 2))).to.be.instanceOf(TypeError);
+    expect(captureError(() => parseUnits("", 2))).to.be.instanceOf(TypeError);
+    expect(captureError(() => parseUnits("abc", 2))).to.be.instanceOf(TypeError);
+    expect(captureError(() => parseUnits("1.001", 2))).to.be.instanceOf(RangeError);
+  });
+
+  it("formats base units", function () {
+    expect(formatUnits(5000000n, 2)).to.equal("50000.00");
+    expect(formatUnits(15000n, 4, { minDecimals: 0 })).to.equal("1.5");
+    expect(formatUnits(5n, 4)).to.equal("0.0005");
+    expect(formatUnits(-150n, 2)).to.equal("-1.50");
+  });
+
+  it("builds typed values from strings and raw units", function () {
+    const size = Size.parse("1.5");
+    expect(size.raw).to.equal(15000n);
+    expect(size.toString()).to.equal("1.5000");
+    expect(Size.from(15000n).equals(size)).to.equal(true);
+    expect(Size.from(size)).to.equal(size);
+  });
+
+  it("enforces the euint64 range", function () {
+    expect(new Collateral(UINT64_MAX).raw).to.equal(UINT64_MAX);
+    expect(captureError(() => new Collateral(UINT64_MAX + 1n))).to.be.instanceOf(RangeError);
+    expect(captureError(() => Price.parse("-1"))).to.be.instanceOf(RangeError);
+  });
+
+  it("refuses to mix types or accept fractional raw units", function () {
+    expect(captureError(() => Size.from(Price.parse("50000")))).to.be.instanceOf(TypeError);
+    expect(captureError(() => new Size(1.5))).to.be.instanceOf(TypeError);
+  });
+
+  it("mirrors the contract's collateral math", function () {
+    const size = Size.parse("1.5");
+    const price = Price.parse("50000");
+
+    expect(notional(size, price).format()).to.equal("75000.000000");
+    expect(requiredCollateral(size, price, 5).format()).to.equal("15000.000000");
+  });
+
+  it("estimates the liquidation price from the threshold", function () {
+    const size = Size.parse("1");
+    const entryPrice = Price.parse("50000");
+    const collateral = requiredCollateral(size, entryPrice, 10);
+
+    expect(liquidationPrice({ size, entryPrice, collateral, isLong: true }, 500).format()).to.equal("47368.42");
+    expect(liquidationPrice({ size, entryPrice, collateral, isLong: false }, 500).format()).to.equal("52380.95");
+    expect(liquidationPrice({ size, entryPrice, collateral: notional(size, entryPrice), isLong: true }, 500)).to.equal(null);
+  });
+});